@@ -4,17 +4,22 @@
  * This is the heart of StackPad. It sets up:
  * 1. Redux store for global state management
  * 2. Theme handling (light/dark mode)
- * 3. Navigation between different sections
+ * 3. URL routing between sections and workspaces (#/w/:workspaceId/:section)
  * 4. The main layout structure (Header, Sidebar, Content, Footer)
  * 
  * Architecture:
  * - App wraps everything in Redux Provider for state access
+ * - HashRouter keeps the active section/workspace in the URL (see routing.js)
  * - Dashboard handles the actual UI and navigation logic
  */
 
-import { useState, useEffect } from 'react';
-import { Provider, useSelector } from 'react-redux';
+import { useEffect, useRef, useCallback } from 'react';
+import { Provider, useSelector, useDispatch } from 'react-redux';
+import { HashRouter, Routes, Route, Navigate, useParams, useNavigate, useLocation } from 'react-router-dom';
 import store from './redux/store';
+import { switchWorkspace } from './redux/slices/workspaceSlice';
+import { rollOverRecurring } from './redux/slices/todosSlice';
+import { SECTION_IDS, DEFAULT_SECTION, sectionPath } from './routing';
 
 // ============================================
 // LAYOUT COMPONENTS
@@ -41,8 +46,12 @@ import MusicPlayer from './components/MusicPlayer/MusicPlayer';       // YouTube
 import Settings from './components/Settings/Settings';                 // Settings page
 import SlackTab from './components/SlackIntegration/SlackTab';         // Slack Integration Hub
 import SlackDrafter from './components/SlackIntegration/SlackDrafter'; // Slack Drafter Widget
+import GitHubActivity from './components/GitHub/GitHubActivity';       // Repo commits, reviews, checks
+import GlobalSearch from './components/Search/GlobalSearch';          // Search across all workspaces
 import DraggableDashboard from './components/Dashboard/DraggableDashboard'; // Customizable Dashboard
 import InstallPrompt from './components/InstallPrompt/InstallPrompt';  // PWA Install Banner
+import CommandPalette from './components/CommandPalette/CommandPalette'; // Ctrl/Cmd+K launcher
+import FocusLogPrompt from './components/ZenTimer/FocusLogPrompt'; // "Log this focus session?"
 
 import './App.css'; // Layout and container styles
 
@@ -51,15 +60,59 @@ import './App.css'; // Layout and container styles
  * 
  * Handles the main UI logic including:
  * - Theme application (sets data-theme attribute on <html>)
- * - Section navigation (which content to show)
+ * - Section navigation (which content to show, read from the URL)
+ * - Keeping the URL workspace and the Redux workspace in sync
  * - Responsive layout rendering
  */
 function Dashboard() {
-  // Get current theme from Redux store
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+  const location = useLocation();
+
+  // Get current theme and workspaces from Redux store
   const { mode } = useSelector((state) => state.theme);
+  const { currentId, workspaces } = useSelector((state) => state.workspace);
+
+  // The URL decides which workspace and section are shown
+  const { workspaceId, section = DEFAULT_SECTION } = useParams();
+  const activeSection = section;
+
+  /**
+   * goToSection - Navigates to a section of the current workspace
+   * Passed to Sidebar, MobileNav and the command palette
+   */
+  const goToSection = useCallback((sectionId) => {
+    navigate(sectionPath(currentId, sectionId));
+  }, [navigate, currentId]);
+
+  // Sync workspace between URL and Redux
+  // - URL changed (deep link, back/forward): switch the Redux workspace
+  // - Redux changed (WorkspaceSwitcher, palette, delete): push the new URL
+  const previousIds = useRef({ workspaceId, currentId });
+  useEffect(() => {
+    const urlChanged = previousIds.current.workspaceId !== workspaceId;
+    const storeChanged = previousIds.current.currentId !== currentId;
+    previousIds.current = { workspaceId, currentId };
+
+    if (workspaceId === currentId) return;
+
+    if (storeChanged && !urlChanged) {
+      navigate(sectionPath(currentId, activeSection));
+    } else if (workspaces.some(w => w.id === workspaceId)) {
+      dispatch(switchWorkspace(workspaceId));
+    } else {
+      // Unknown workspace in the URL - fall back to the current one
+      navigate(sectionPath(currentId, activeSection) + location.search, { replace: true });
+    }
+  }, [workspaceId, currentId, workspaces, activeSection, location.search, navigate, dispatch]);
 
-  // Track which section is currently active (default: 'dashboard')
-  const [activeSection, setActiveSection] = useState('dashboard');
+  // Renew recurring todos whose occurrence has passed - on load, then every
+  // minute so it also happens at midnight while the app is open
+  useEffect(() => {
+    dispatch(rollOverRecurring());
+    const interval = setInterval(() => dispatch(rollOverRecurring()), 60 * 1000);
+    return () => clearInterval(interval);
+  }, [dispatch]);
 
   // Apply theme whenever it changes
   // This sets data-theme="dark" or data-theme="light" on the <html> element
@@ -71,8 +124,8 @@ function Dashboard() {
   /**
    * renderContent - Renders the appropriate component based on active section
    * 
-   * This is a simple router alternative - we use state instead of URL routing
-   * because this is a single-page productivity dashboard, not a multi-page site
+   * The section comes from the URL (#/w/:workspaceId/:section), so refreshing,
+   * bookmarking and back/forward all keep you where you were
    */
   const renderContent = () => {
     switch (activeSection) {
@@ -100,7 +153,12 @@ function Dashboard() {
       case 'settings':
         return <Settings />;
       case 'slack':
-        return <SlackTab />;
+        // Keyed so the draft reloads when the workspace changes
+        return <SlackTab key={currentId} />;
+      case 'github':
+        return <GitHubActivity />;
+      case 'search':
+        return <GlobalSearch />;
 
       // Default: Show the main dashboard with customizable widgets
       case 'dashboard':
@@ -121,7 +179,7 @@ function Dashboard() {
         {/* Desktop sidebar navigation (hidden on mobile) */}
         <Sidebar
           activeSection={activeSection}
-          onSectionChange={setActiveSection}
+          onSectionChange={goToSection}
         />
 
         {/* Main content area - renders based on activeSection */}
@@ -133,28 +191,62 @@ function Dashboard() {
       {/* Music player that persists across all sections */}
       <MiniPlayer />
 
+      {/* Global command palette (Ctrl/Cmd+K) */}
+      <CommandPalette onNavigate={goToSection} />
+
+      {/* Offers to log a finished focus session as a check-in */}
+      <FocusLogPrompt />
+
       {/* PWA Install Prompt (Mobile/Desktop) */}
       <InstallPrompt />
 
       {/* Mobile bottom navigation (hidden on desktop) */}
       <MobileNav
         activeSection={activeSection}
-        onSectionChange={setActiveSection}
+        onSectionChange={goToSection}
       />
     </div>
   );
 }
 
+/**
+ * SectionRoute - Validates the section in the URL before rendering
+ * Unknown sections redirect to the workspace dashboard
+ */
+function SectionRoute() {
+  const { workspaceId, section } = useParams();
+
+  if (section && !SECTION_IDS.includes(section)) {
+    return <Navigate to={sectionPath(workspaceId, DEFAULT_SECTION)} replace />;
+  }
+  return <Dashboard />;
+}
+
+/**
+ * DefaultRedirect - Sends "/" (and unknown URLs) to the current workspace dashboard
+ */
+function DefaultRedirect() {
+  const currentId = useSelector((state) => state.workspace.currentId);
+  return <Navigate to={sectionPath(currentId, DEFAULT_SECTION)} replace />;
+}
+
 /**
  * App Component - Root of the application
  * 
  * Wraps everything in Redux Provider so all child components
- * can access the global state using useSelector and useDispatch
+ * can access the global state using useSelector and useDispatch,
+ * and in HashRouter so navigation lives in the URL.
+ * Hash URLs work on GitHub Pages without any server rewrites.
  */
 function App() {
   return (
     <Provider store={store}>
-      <Dashboard />
+      <HashRouter>
+        <Routes>
+          <Route path="/w/:workspaceId/:section?" element={<SectionRoute />} />
+          <Route path="*" element={<DefaultRedirect />} />
+        </Routes>
+      </HashRouter>
     </Provider>
   );
 }
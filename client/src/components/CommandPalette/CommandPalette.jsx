@@ -0,0 +1,246 @@
+/**
+ * CommandPalette.jsx - Global Keyboard Command Palette (Ctrl/Cmd+K)
+ *
+ * A quick launcher that spans every StackPad section:
+ * - Jump to any section
+ * - Search vault commands and DevHints, copy the result with Enter
+ * - Switch workspaces
+ * - Run actions ("start 25m focus", "new sticky note", "add todo ...", "toggle theme")
+ *
+ * The palette doesn't hard-code any of this - each feature module registers
+ * a provider in paletteRegistry.js and the palette just collects and ranks them.
+ *
+ * Keyboard:
+ * - Ctrl/Cmd+K: open/close
+ * - ↑/↓: move selection, Enter: run, Tab: autocomplete, Esc: close
+ *
+ * Props:
+ * - onNavigate: function(sectionId) - Switches the visible section
+ */
+
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { useDispatch, useStore } from 'react-redux';
+import { getPaletteItems, useIntent } from './paletteRegistry';
+import { fuzzyMatch } from '../CommandVault/fuzzySearch';
+import './CommandPalette.css';
+
+// Maximum number of results shown at once
+const MAX_RESULTS = 40;
+
+/**
+ * rankItems - Filters items by the query and sorts best-first
+ *
+ * Static items are fuzzy matched on their label (then keywords).
+ * Dynamic items were already filtered by their provider and keep their score.
+ * Without a query only static items are listed, in registration order.
+ */
+const rankItems = (items, query) => {
+    if (!query) {
+        return items.filter(item => !item.dynamic).map(item => ({ item, indices: [] }));
+    }
+
+    const pattern = query.toLowerCase();
+    const ranked = [];
+    items.forEach((item, order) => {
+        if (item.dynamic) {
+            ranked.push({ item, score: item.score ?? 50, indices: [], order });
+            return;
+        }
+
+        const labelMatch = fuzzyMatch(pattern, item.label);
+        const keywordMatch = item.keywords ? fuzzyMatch(pattern, item.keywords) : null;
+        if (labelMatch) {
+            ranked.push({ item, score: labelMatch.score * 2, indices: labelMatch.indices, order });
+        } else if (keywordMatch) {
+            ranked.push({ item, score: keywordMatch.score, indices: [], order });
+        }
+    });
+
+    return ranked.sort((a, b) => b.score - a.score || a.order - b.order);
+};
+
+/**
+ * HighlightedLabel - Marks the fuzzy-matched characters of a label
+ */
+function HighlightedLabel({ text, indices }) {
+    if (indices.length === 0) return text;
+
+    const matched = new Set(indices);
+    return text.split('').map((char, i) =>
+        matched.has(i) ? <mark key={i} className="palette-highlight">{char}</mark> : char
+    );
+}
+
+export default function CommandPalette({ onNavigate }) {
+    const dispatch = useDispatch();
+    const store = useStore();
+
+    // Palette UI state
+    const [isOpen, setIsOpen] = useState(false);
+    const [query, setQuery] = useState('');
+    const [selectedIndex, setSelectedIndex] = useState(0);
+
+    const inputRef = useRef(null);
+    const listRef = useRef(null);
+
+    // Open (or close) and start from a clean slate
+    const togglePalette = (open) => {
+        setIsOpen(open);
+        setQuery('');
+        setSelectedIndex(0);
+    };
+
+    // Other components (e.g. the header button) can open the palette
+    useIntent('palette/open', () => togglePalette(true));
+
+    // Global Ctrl/Cmd+K shortcut
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+                e.preventDefault();
+                setIsOpen(open => !open);
+                setQuery('');
+                setSelectedIndex(0);
+            }
+        };
+
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, []);
+
+    // Focus the input whenever the palette opens
+    useEffect(() => {
+        if (isOpen) inputRef.current?.focus();
+    }, [isOpen]);
+
+    /**
+     * results - Items from every registered provider, ranked for the query
+     * Providers get a fresh snapshot of the store each time the query changes.
+     */
+    const results = useMemo(() => {
+        if (!isOpen) return [];
+
+        const trimmed = query.trim();
+        const context = {
+            query: trimmed,
+            state: store.getState(),
+            dispatch,
+            navigate: onNavigate,
+            copy: (text) => navigator.clipboard.writeText(text).catch(err => {
+                console.error('Failed to copy:', err);
+            }),
+        };
+        return rankItems(getPaletteItems(context), trimmed).slice(0, MAX_RESULTS);
+    }, [isOpen, query, store, dispatch, onNavigate]);
+
+    // Keep the selected row visible while arrowing through the list
+    useEffect(() => {
+        listRef.current?.children[selectedIndex]?.scrollIntoView({ block: 'nearest' });
+    }, [selectedIndex]);
+
+    /**
+     * runItem - Executes an item (or autocompletes the query for "complete" items)
+     */
+    const runItem = (item) => {
+        if (!item) return;
+
+        if (item.complete) {
+            setQuery(item.complete);
+            setSelectedIndex(0);
+            inputRef.current?.focus();
+            return;
+        }
+
+        togglePalette(false);
+        item.run();
+    };
+
+    const handleKeyDown = (e) => {
+        switch (e.key) {
+            case 'ArrowDown':
+                e.preventDefault();
+                setSelectedIndex(i => Math.min(i + 1, results.length - 1));
+                break;
+            case 'ArrowUp':
+                e.preventDefault();
+                setSelectedIndex(i => Math.max(i - 1, 0));
+                break;
+            case 'Enter':
+                e.preventDefault();
+                runItem(results[selectedIndex]?.item);
+                break;
+            case 'Tab':
+                // Autocomplete-only items fill the input on Tab as well
+                if (results[selectedIndex]?.item.complete) {
+                    e.preventDefault();
+                    runItem(results[selectedIndex].item);
+                }
+                break;
+            case 'Escape':
+                togglePalette(false);
+                break;
+            default:
+                break;
+        }
+    };
+
+    if (!isOpen) return null;
+
+    return (
+        <div className="palette-overlay" onClick={() => togglePalette(false)}>
+            <div className="command-palette glass-card" onClick={(e) => e.stopPropagation()}>
+                {/* Search input */}
+                <div className="palette-input-wrapper">
+                    <span className="palette-input-icon">⌘</span>
+                    <input
+                        ref={inputRef}
+                        type="text"
+                        className="palette-input"
+                        placeholder="Jump to, search commands & hints, or run an action..."
+                        value={query}
+                        onChange={(e) => {
+                            setQuery(e.target.value);
+                            setSelectedIndex(0);
+                        }}
+                        onKeyDown={handleKeyDown}
+                    />
+                    <kbd className="palette-kbd">Esc</kbd>
+                </div>
+
+                {/* Results list */}
+                <div className="palette-results" ref={listRef}>
+                    {results.map(({ item, indices }, index) => (
+                        <button
+                            key={item.id}
+                            type="button"
+                            className={`palette-item ${index === selectedIndex ? 'selected' : ''}`}
+                            onClick={() => runItem(item)}
+                            onMouseMove={() => index !== selectedIndex && setSelectedIndex(index)}
+                        >
+                            <span className="palette-item-icon">{item.icon}</span>
+                            <span className="palette-item-text">
+                                <span className="palette-item-label">
+                                    <HighlightedLabel text={item.label} indices={indices} />
+                                </span>
+                                {item.hint && <span className="palette-item-hint">{item.hint}</span>}
+                            </span>
+                            <span className="palette-item-group">{item.group}</span>
+                        </button>
+                    ))}
+
+                    {/* Empty state */}
+                    {results.length === 0 && (
+                        <div className="palette-empty">No matches for "{query}"</div>
+                    )}
+                </div>
+
+                {/* Keyboard hints */}
+                <div className="palette-footer">
+                    <span><kbd>↑</kbd><kbd>↓</kbd> navigate</span>
+                    <span><kbd>Enter</kbd> run / copy</span>
+                    <span><kbd>Ctrl</kbd>/<kbd>⌘</kbd>+<kbd>K</kbd> toggle</span>
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,105 @@
+/**
+ * paletteRegistry.js - Extension point for the Command Palette (Ctrl/Cmd+K)
+ *
+ * Feature modules register their own palette entries here, so the palette
+ * itself knows nothing about timers, notes or workspaces:
+ *
+ *   registerPaletteProvider('timer', ({ query, navigate }) => [
+ *       { id: 'timer-start', group: 'Timer', icon: '🧘', label: 'Start 25m focus', run: () => ... },
+ *   ]);
+ *
+ * A provider receives a context object and returns palette items:
+ *   context: { query, state, dispatch, navigate(sectionId), copy(text) }
+ *   item: {
+ *     id: string,            // Unique across all providers
+ *     group: string,         // Shown as a label ("Navigate", "Commands"...)
+ *     icon: string,
+ *     label: string,         // Main text, fuzzy matched against the query
+ *     hint: string,          // Optional secondary text
+ *     keywords: string,      // Optional extra words to match on
+ *     dynamic: boolean,      // Provider already filtered it for the query - always shown
+ *     score: number,         // Optional ranking for dynamic items
+ *     complete: string,      // Optional: selecting it fills the input with this text instead of running
+ *     run: () => void        // Executed on Enter/click, the palette closes afterwards
+ *   }
+ *
+ * Intents - some actions target a component that may not be mounted yet
+ * ("new sticky note" while on the dashboard). The action navigates and
+ * sends an intent; the component picks it up with useIntent() once mounted.
+ */
+
+import { useEffect, useRef, useSyncExternalStore } from 'react';
+
+// ============================================
+// PROVIDERS
+// ============================================
+
+const providers = new Map();
+
+/**
+ * registerPaletteProvider - Adds (or replaces) a provider under a unique ID
+ */
+export const registerPaletteProvider = (id, provider) => {
+    providers.set(id, provider);
+};
+
+/**
+ * getPaletteItems - Collects items from every registered provider
+ * A failing provider is skipped so it can't break the whole palette.
+ */
+export const getPaletteItems = (context) => {
+    const items = [];
+    providers.forEach((provider, id) => {
+        try {
+            items.push(...(provider(context) || []));
+        } catch (err) {
+            console.error(`Palette provider "${id}" failed:`, err);
+        }
+    });
+    return items;
+};
+
+// ============================================
+// INTENTS
+// ============================================
+
+let intents = {};                 // type → { payload }
+const subscribers = new Set();
+
+const subscribe = (callback) => {
+    subscribers.add(callback);
+    return () => subscribers.delete(callback);
+};
+
+/**
+ * sendIntent - Queues a request for whichever component handles `type`
+ * The latest intent of a type wins; it is consumed once.
+ */
+export const sendIntent = (type, payload = {}) => {
+    intents = { ...intents, [type]: { payload } };
+    subscribers.forEach(callback => callback());
+};
+
+/**
+ * useIntent - Runs handler(payload) when an intent of `type` arrives
+ * (including one sent before the component mounted)
+ */
+export const useIntent = (type, handler) => {
+    const intent = useSyncExternalStore(subscribe, () => intents[type]);
+
+    // Always call the latest handler without re-subscribing
+    const handlerRef = useRef(handler);
+    useEffect(() => {
+        handlerRef.current = handler;
+    });
+
+    useEffect(() => {
+        // Only the first component to see an intent consumes it
+        if (!intent || intents[type] !== intent) return;
+
+        const remaining = { ...intents };
+        delete remaining[type];
+        intents = remaining;
+        handlerRef.current(intent.payload);
+    }, [type, intent]);
+};
@@ -6,24 +6,46 @@
  * 
  * Features:
  * - List view of commands with copy buttons
- * - Search by title, command, tags, or description
+ * - Fuzzy, ranked search by title, tags, steps, or description
+ *   (supports `tag:docker` and `cat:git` filters, highlights matches)
  * - Filter by category and favorites
  * - Multi-step commands (e.g., "git add .", "git commit", "git push")
- * - Add/Edit/Delete functionality
+ * - Add/Edit/Delete functionality (edit reuses the add form, steps can be reordered)
+ * - Placeholder templates: <branch> / {{port}} tokens are filled in before copying
+ *   (the form opens pre-filled with last time's values on every copy, to review them)
+ * - Vault import (JSON, shell aliases) and export (JSON, Markdown, .sh)
  * 
  * Uses 'commandsSlice' in Redux for state management.
  */
 
-import { useState, useMemo } from 'react';
+import { useState, useMemo, useRef, useEffect } from 'react';
 import { useSelector, useDispatch } from 'react-redux';
+import { useParams } from 'react-router-dom';
 import {
     setSearchQuery,
     setSelectedCategory,
     toggleFavorite,
     toggleShowFavorites,
+    setTemplateValues,
+    recordCopy,
     addCommand,
+    importCommands,
+    updateCommand,
     deleteCommand,
 } from '../../redux/slices/commandsSlice';
+import { registerPaletteProvider, sendIntent, useIntent } from '../CommandPalette/paletteRegistry';
+import { useSearchParamState } from '../../routing';
+import { searchCommands } from './fuzzySearch';
+import { extractPlaceholders, getTargetSteps, fillPlaceholders, getMissingPlaceholders } from './commandTemplates';
+import {
+    getCommandSteps,
+    exportVaultJSON,
+    exportVaultMarkdown,
+    exportVaultShell,
+    downloadFile,
+    parseVaultImport,
+    findDuplicate,
+} from './vaultTransfer';
 import './CommandSearch.css';
 
 // Predefined categories with icons for filtering
@@ -38,58 +60,121 @@ const CATEGORIES = [
     { id: 'custom', label: 'Custom', icon: '✨' },
 ];
 
+// Blank form used when adding a command (and to reset after saving)
+const EMPTY_FORM = {
+    title: '',
+    category: 'custom',
+    description: '',
+    tags: '',
+    steps: [{ command: '', description: '' }], // Starts with one empty step
+};
+
+// Command palette: search the vault, Enter copies the command
+// (commands with placeholders open their fill form instead, to review the values)
+registerPaletteProvider('command-vault', ({ query, state, dispatch, navigate, copy }) => {
+    if (!query) return [];
+
+    const { commands, copyStats } = state.commands;
+    return searchCommands(commands, query, { copyStats, getSteps: getCommandSteps })
+        .slice(0, 6)
+        .map(({ command, score }) => {
+            const steps = getCommandSteps(command);
+            const hasPlaceholders = extractPlaceholders(steps).length > 0;
+
+            return {
+                id: `vault-${command.id}`,
+                group: 'Command',
+                icon: '⚡',
+                label: command.title,
+                hint: hasPlaceholders ? '🧩 Fill placeholders first' : steps.map(s => s.command).join(' && '),
+                dynamic: true,
+                score,
+                run: () => {
+                    if (hasPlaceholders) {
+                        navigate('commands');
+                        sendIntent('commands/fill', { id: command.id, title: command.title });
+                        return;
+                    }
+                    copy(steps.map(s => s.command).join('\n'));
+                    dispatch(recordCopy(command.id));
+                },
+            };
+        });
+});
+
+/**
+ * HighlightedText - Renders text with the fuzzy-matched characters marked
+ */
+function HighlightedText({ text, indices }) {
+    if (!indices || indices.length === 0) return text;
+
+    const matched = new Set(indices);
+    return text.split('').map((char, i) =>
+        matched.has(i) ? <mark key={i} className="match-highlight">{char}</mark> : char
+    );
+}
+
 export default function CommandSearch() {
     const dispatch = useDispatch();
 
     // Get command data and filter state from Redux
-    const { commands, searchQuery, selectedCategory, showFavoritesOnly } = useSelector(
+    const { commands, templateValues, copyStats, searchQuery, selectedCategory, showFavoritesOnly } = useSelector(
         (state) => state.commands
     );
 
+    // On the Command Vault page the search query lives in the URL (?q=...),
+    // so it survives refreshes and back/forward. The dashboard widget doesn't touch the URL.
+    const isPage = useParams().section === 'commands';
+    const [urlQuery, setUrlQuery] = useSearchParamState('q', '');
+
+    useEffect(() => {
+        if (isPage) dispatch(setSearchQuery(urlQuery));
+    }, [isPage, urlQuery, dispatch]);
+
+    const changeSearch = (value) => {
+        dispatch(setSearchQuery(value));
+        if (isPage) setUrlQuery(value);
+    };
+
     // UI state for clipboard feedback
     const [copiedId, setCopiedId] = useState(null);
     const [copiedStep, setCopiedStep] = useState(null);
 
+    // Open placeholder form (null = none): the command, the step(s) to copy
+    // (as for copyCommand) and the values typed so far (null = none yet)
+    const [filling, setFilling] = useState(null);
+
     // Toggle for the "Add Command" form
     const [showAddForm, setShowAddForm] = useState(false);
 
-    // Form state for new command creation
-    const [newCommand, setNewCommand] = useState({
-        title: '',
-        category: 'custom',
-        description: '',
-        tags: '',
-        steps: [{ command: '', description: '' }], // Starts with one empty step
-    });
+    // ID of the command being edited (null = form is in "add" mode)
+    const [editingId, setEditingId] = useState(null);
+
+    // Form state for new command creation (also holds the command being edited)
+    const [newCommand, setNewCommand] = useState(EMPTY_FORM);
+
+    // Import/Export panel state
+    const [showTransfer, setShowTransfer] = useState(false);
+    const [importText, setImportText] = useState('');       // Pasted or uploaded import content
+    const [importStatus, setImportStatus] = useState(null); // Result message after importing
+    const importFileRef = useRef(null);                      // Hidden file input
 
     /**
-     * filteredCommands - Efficiently filters the command list
+     * searchResults - Fuzzy-matched and ranked commands
      * based on search text, category, and favorites only toggle.
+     * Each result carries the matched character positions for highlighting.
      * Memoized to prevent re-calculation on every render.
      */
-    const filteredCommands = useMemo(() => {
-        return commands.filter((cmd) => {
-            // Combine all step commands into one string for easier searching
-            const commandText = cmd.steps
-                ? cmd.steps.map(s => s.command).join(' ')
-                : cmd.command || '';
-
-            // Check if search query matches any field
-            const matchesSearch =
-                cmd.title.toLowerCase().includes(searchQuery.toLowerCase()) ||
-                commandText.toLowerCase().includes(searchQuery.toLowerCase()) ||
-                cmd.description.toLowerCase().includes(searchQuery.toLowerCase()) ||
-                cmd.tags.some((tag) => tag.toLowerCase().includes(searchQuery.toLowerCase()));
-
+    const searchResults = useMemo(() => {
+        const visible = commands.filter((cmd) =>
             // Check category filter
-            const matchesCategory = selectedCategory === 'all' || cmd.category === selectedCategory;
-
+            (selectedCategory === 'all' || cmd.category === selectedCategory) &&
             // Check favorites filter
-            const matchesFavorites = !showFavoritesOnly || cmd.isFavorite;
+            (!showFavoritesOnly || cmd.isFavorite)
+        );
 
-            return matchesSearch && matchesCategory && matchesFavorites;
-        });
-    }, [commands, searchQuery, selectedCategory, showFavoritesOnly]);
+        return searchCommands(visible, searchQuery, { copyStats, getSteps: getCommandSteps });
+    }, [commands, copyStats, searchQuery, selectedCategory, showFavoritesOnly]);
 
     /**
      * handleCopy - Copies a single command string to clipboard
@@ -98,6 +183,7 @@ export default function CommandSearch() {
     const handleCopy = async (command, id, stepIndex = null) => {
         try {
             await navigator.clipboard.writeText(command);
+            dispatch(recordCopy(id));
             setCopiedId(id);
             setCopiedStep(stepIndex);
             // Reset "Copied!" state after 2 seconds
@@ -118,6 +204,7 @@ export default function CommandSearch() {
         try {
             const allCommands = steps.map(s => s.command).join('\n');
             await navigator.clipboard.writeText(allCommands);
+            dispatch(recordCopy(id));
             setCopiedId(id);
             setCopiedStep('all');
             setTimeout(() => {
@@ -129,6 +216,77 @@ export default function CommandSearch() {
         }
     };
 
+    /**
+     * copySteps - Copies the requested step(s) with the values filled in
+     * stepIndex: step number, null for single-step commands, or 'all'
+     */
+    const copySteps = (cmd, stepIndex, values) => {
+        const filledSteps = getCommandSteps(cmd).map(s => ({ ...s, command: fillPlaceholders(s.command, values) }));
+        if (stepIndex === 'all') {
+            handleCopyAll(filledSteps, cmd.id);
+        } else {
+            handleCopy(filledSteps[stepIndex ?? 0].command, cmd.id, stepIndex);
+        }
+    };
+
+    /**
+     * copyCommand - Entry point for the copy buttons on a card
+     *
+     * Step(s) without placeholders are copied right away. Templates open
+     * the fill form, pre-filled with the remembered values, so last time's
+     * host or branch is never copied without a look.
+     */
+    const copyCommand = (cmd, stepIndex = null) => {
+        if (extractPlaceholders(getTargetSteps(getCommandSteps(cmd), stepIndex)).length > 0) {
+            openFillForm(cmd.id, stepIndex);
+        } else {
+            copySteps(cmd, stepIndex, {});
+        }
+    };
+
+    // Remember the typed values (saved right away when the form is submitted or closed)
+    const saveFillValues = () => {
+        if (filling?.values) dispatch(setTemplateValues({ id: filling.id, values: filling.values }));
+    };
+
+    const openFillForm = (id, step) => {
+        saveFillValues();
+        setFilling({ id, step, values: null });
+    };
+
+    const closeFillForm = () => {
+        saveFillValues();
+        setFilling(null);
+    };
+
+    const updateTemplateValue = (name, value) => {
+        const values = filling.values || templateValues[filling.id] || {};
+        setFilling({ ...filling, values: { ...values, [name]: value } });
+    };
+
+    // Palette asked us to fill a command's placeholders - show it and open its form
+    useIntent('commands/fill', ({ id, title }) => {
+        const cmd = commands.find(c => c.id === id);
+        changeSearch(title);
+        openFillForm(id, cmd && getCommandSteps(cmd).length > 1 ? 'all' : null);
+    });
+
+    // Save typed values while the form is open (debounced)
+    useEffect(() => {
+        if (!filling?.values) return;
+        const timeout = setTimeout(() => {
+            dispatch(setTemplateValues({ id: filling.id, values: filling.values }));
+        }, 500);
+        return () => clearTimeout(timeout);
+    }, [filling, dispatch]);
+
+    const submitFillForm = (e, cmd, values) => {
+        e.preventDefault();
+        saveFillValues();
+        setFilling({ ...filling, values: null });
+        copySteps(cmd, filling.step, values);
+    };
+
     // Form helper: Add a new empty step
     const addStep = () => {
         setNewCommand({
@@ -137,6 +295,23 @@ export default function CommandSearch() {
         });
     };
 
+    // Form helper: Insert an empty step right after the given one
+    const insertStepAfter = (index) => {
+        const updatedSteps = [...newCommand.steps];
+        updatedSteps.splice(index + 1, 0, { command: '', description: '' });
+        setNewCommand({ ...newCommand, steps: updatedSteps });
+    };
+
+    // Form helper: Move a step up (-1) or down (+1)
+    const moveStep = (index, direction) => {
+        const target = index + direction;
+        if (target < 0 || target >= newCommand.steps.length) return;
+
+        const updatedSteps = [...newCommand.steps];
+        [updatedSteps[index], updatedSteps[target]] = [updatedSteps[target], updatedSteps[index]];
+        setNewCommand({ ...newCommand, steps: updatedSteps });
+    };
+
     // Form helper: Remove a step (prevents removing the last one)
     const removeStep = (index) => {
         if (newCommand.steps.length > 1) {
@@ -155,17 +330,47 @@ export default function CommandSearch() {
     };
 
     /**
-     * handleAddCommand - Validates and dispatches new command
+     * closeForm - Hides the form and resets it back to "add" mode
+     */
+    const closeForm = () => {
+        setNewCommand(EMPTY_FORM);
+        setEditingId(null);
+        setShowAddForm(false);
+    };
+
+    /**
+     * openEditForm - Opens the form pre-filled with an existing command
+     * Legacy single-`command` entries are converted to the steps format here,
+     * so saving them writes the new structure back.
+     */
+    const openEditForm = (cmd) => {
+        setNewCommand({
+            title: cmd.title,
+            category: cmd.category || 'custom',
+            description: cmd.description || '',
+            tags: (cmd.tags || []).join(', '),
+            steps: getCommandSteps(cmd).map(s => ({
+                command: s.command || '',
+                description: s.description || '',
+            })),
+        });
+        setEditingId(cmd.id);
+        setShowAddForm(true);
+    };
+
+    /**
+     * handleSubmit - Validates the form and dispatches either
+     * addCommand (new command) or updateCommand (edit mode)
      */
-    const handleAddCommand = (e) => {
+    const handleSubmit = (e) => {
         e.preventDefault();
         // Simple validation: must have title and at least one command
-        if (!newCommand.title.trim() || !newCommand.steps[0].command.trim()) return;
+        if (!newCommand.title.trim() || !newCommand.steps.some(s => s.command.trim())) return;
 
         // Filter out any empty steps before saving
         const validSteps = newCommand.steps.filter(s => s.command.trim());
 
-        dispatch(addCommand({
+        const commandData = {
             title: newCommand.title,
             category: newCommand.category,
             description: newCommand.description,
@@ -174,17 +379,15 @@ export default function CommandSearch() {
             steps: validSteps,
             // Backward compatibility for single-command structure
             command: validSteps.length === 1 ? validSteps[0].command : undefined,
-        }));
+        };
 
-        // Reset form
-        setNewCommand({
-            title: '',
-            category: 'custom',
-            description: '',
-            tags: '',
-            steps: [{ command: '', description: '' }],
-        });
-        setShowAddForm(false);
+        if (editingId) {
+            dispatch(updateCommand({ id: editingId, ...commandData }));
+        } else {
+            dispatch(addCommand(commandData));
+        }
+
+        closeForm();
     };
 
     /**
@@ -193,19 +396,72 @@ export default function CommandSearch() {
     const handleDelete = (id) => {
         if (confirm('Delete this command?')) {
             dispatch(deleteCommand(id));
+            // Don't leave the form editing a command that no longer exists
+            if (editingId === id) closeForm();
         }
     };
 
+    // ============================================
+    // VAULT IMPORT / EXPORT
+    // ============================================
+
     /**
-     * getCommandSteps - Normalizes command structure
-     * Handles both new multi-step format and old single-string format
+     * handleExport - Downloads the whole vault in the chosen format
+     * format: 'json' | 'markdown' | 'shell'
      */
-    const getCommandSteps = (cmd) => {
-        if (cmd.steps && cmd.steps.length > 0) {
-            return cmd.steps;
+    const handleExport = (format) => {
+        const date = new Date().toISOString().split('T')[0];
+        if (format === 'json') {
+            downloadFile(exportVaultJSON(commands), `stackpad-commands-${date}.json`, 'application/json');
+        } else if (format === 'markdown') {
+            downloadFile(exportVaultMarkdown(commands, CATEGORIES), `stackpad-commands-${date}.md`, 'text/markdown');
+        } else {
+            downloadFile(exportVaultShell(commands, CATEGORIES), `stackpad-commands-${date}.sh`, 'text/x-shellscript');
         }
-        // Convert old single command format to step array
-        return [{ command: cmd.command, description: '' }];
+    };
+
+    /**
+     * importPreview - Parsed import text, split into new commands and duplicates
+     * Duplicates match an existing title or identical step text (or an
+     * earlier entry in the same import) and are skipped.
+     */
+    const importPreview = useMemo(() => {
+        const { format, commands: parsed } = parseVaultImport(
+            importText,
+            CATEGORIES.map(c => c.id)
+        );
+        const fresh = [];
+        const duplicates = [];
+        parsed.forEach(cmd => {
+            if (findDuplicate(cmd, [...commands, ...fresh])) {
+                duplicates.push(cmd);
+            } else {
+                fresh.push(cmd);
+            }
+        });
+        return { format, fresh, duplicates };
+    }, [importText, commands]);
+
+    // Load an uploaded file into the import textarea
+    const handleImportFile = (e) => {
+        const file = e.target.files?.[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = (event) => setImportText(event.target.result);
+        reader.readAsText(file);
+
+        // Reset input so same file can be selected again
+        e.target.value = '';
+    };
+
+    // Add the new (non-duplicate) commands to the vault
+    const handleImport = () => {
+        if (importPreview.fresh.length === 0) return;
+        dispatch(importCommands(importPreview.fresh));
+        setImportStatus(`Imported ${importPreview.fresh.length} commands`
+            + (importPreview.duplicates.length ? `, skipped ${importPreview.duplicates.length} duplicates` : ''));
+        setImportText('');
     };
 
     return (
@@ -219,17 +475,107 @@ export default function CommandSearch() {
                     </h2>
                     <p className="command-search-subtitle">Quick access to your developer shortcuts</p>
                 </div>
-                <button
-                    className="glass-button primary add-command-btn"
-                    onClick={() => setShowAddForm(!showAddForm)}
-                >
-                    {showAddForm ? '✕ Cancel' : '+ Add Command'}
-                </button>
+                <div className="command-header-actions">
+                    <button
+                        className={`glass-button transfer-btn ${showTransfer ? 'active' : ''}`}
+                        onClick={() => {
+                            setShowTransfer(!showTransfer);
+                            setImportStatus(null);
+                        }}
+                        title="Import / Export vault"
+                    >
+                        ⇅
+                    </button>
+                    <button
+                        className="glass-button primary add-command-btn"
+                        onClick={() => (showAddForm ? closeForm() : setShowAddForm(true))}
+                    >
+                        {showAddForm ? '✕ Cancel' : '+ Add Command'}
+                    </button>
+                </div>
             </div>
 
-            {/* ====== ADD COMMAND FORM ====== */}
+            {/* ====== IMPORT / EXPORT PANEL ====== */}
+            {showTransfer && (
+                <div className="vault-transfer glass-card">
+                    <div className="transfer-row">
+                        <span className="transfer-label">Export</span>
+                        <div className="transfer-buttons">
+                            <button className="glass-button" onClick={() => handleExport('json')} disabled={commands.length === 0}>
+                                {'{ }'} JSON
+                            </button>
+                            <button className="glass-button" onClick={() => handleExport('markdown')} disabled={commands.length === 0}>
+                                📝 Markdown
+                            </button>
+                            <button className="glass-button" onClick={() => handleExport('shell')} disabled={commands.length === 0}>
+                                💻 Shell (.sh)
+                            </button>
+                        </div>
+                    </div>
+
+                    <div className="transfer-row">
+                        <span className="transfer-label">Import</span>
+                        <div className="transfer-buttons">
+                            <button className="glass-button" onClick={() => importFileRef.current?.click()}>
+                                📂 Choose File
+                            </button>
+                        </div>
+                        {/* Hidden file input - triggered by button above */}
+                        <input
+                            ref={importFileRef}
+                            type="file"
+                            accept=".json,.sh,.bashrc,.zshrc,.txt,text/plain"
+                            onChange={handleImportFile}
+                            style={{ display: 'none' }}
+                        />
+                    </div>
+
+                    <textarea
+                        className="glass-input import-textarea"
+                        placeholder={"Paste a vault JSON export, or alias lines from your .bashrc / .zshrc:\nalias gs='git status'"}
+                        value={importText}
+                        onChange={(e) => {
+                            setImportText(e.target.value);
+                            setImportStatus(null);
+                        }}
+                        rows={4}
+                    />
+
+                    {/* Preview of what will be imported */}
+                    {importText.trim() && (
+                        <div className="import-preview">
+                            <span>
+                                Found <strong>{importPreview.fresh.length}</strong> new
+                                {importPreview.format === 'shell' ? ' aliases' : ' commands'}
+                                {importPreview.duplicates.length > 0 && (
+                                    <> · {importPreview.duplicates.length} duplicates will be skipped</>
+                                )}
+                            </span>
+                            {importPreview.duplicates.length > 0 && (
+                                <span className="import-duplicates">
+                                    {importPreview.duplicates.map(cmd => cmd.title).join(', ')}
+                                </span>
+                            )}
+                            <button
+                                className="glass-button primary"
+                                onClick={handleImport}
+                                disabled={importPreview.fresh.length === 0}
+                            >
+                                Import {importPreview.fresh.length}
+                            </button>
+                        </div>
+                    )}
+
+                    {importStatus && <div className="import-status">✅ {importStatus}</div>}
+                </div>
+            )}
+
+            {/* ====== ADD / EDIT COMMAND FORM ====== */}
             {showAddForm && (
-                <form className="add-command-form glass-card" onSubmit={handleAddCommand}>
+                <form className="add-command-form glass-card" onSubmit={handleSubmit}>
+                    {editingId && (
+                        <div className="form-mode-label">✏️ Editing command</div>
+                    )}
                     <div className="form-row">
                         <input
                             type="text"
@@ -287,15 +633,45 @@ export default function CommandSearch() {
                                         onChange={(e) => updateStep(index, 'description', e.target.value)}
                                     />
                                 </div>
-                                {newCommand.steps.length > 1 && (
+                                {/* Step controls: reorder, insert below, remove */}
+                                <div className="step-controls">
                                     <button
                                         type="button"
-                                        className="remove-step-btn"
-                                        onClick={() => removeStep(index)}
+                                        className="step-control-btn"
+                                        onClick={() => moveStep(index, -1)}
+                                        disabled={index === 0}
+                                        title="Move up"
                                     >
-                                        ✕
+                                        ▲
                                     </button>
-                                )}
+                                    <button
+                                        type="button"
+                                        className="step-control-btn"
+                                        onClick={() => moveStep(index, 1)}
+                                        disabled={index === newCommand.steps.length - 1}
+                                        title="Move down"
+                                    >
+                                        ▼
+                                    </button>
+                                    <button
+                                        type="button"
+                                        className="step-control-btn"
+                                        onClick={() => insertStepAfter(index)}
+                                        title="Insert step below"
+                                    >
+                                        +
+                                    </button>
+                                    {newCommand.steps.length > 1 && (
+                                        <button
+                                            type="button"
+                                            className="remove-step-btn"
+                                            onClick={() => removeStep(index)}
+                                            title="Remove step"
+                                        >
+                                            ✕
+                                        </button>
+                                    )}
+                                </div>
                             </div>
                         ))}
                     </div>
@@ -308,7 +684,7 @@ export default function CommandSearch() {
                         onChange={(e) => setNewCommand({ ...newCommand, tags: e.target.value })}
                     />
                     <button type="submit" className="glass-button primary">
-                        Save Command
+                        {editingId ? 'Update Command' : 'Save Command'}
                     </button>
                 </form>
             )}
@@ -331,15 +707,15 @@ export default function CommandSearch() {
                     <input
                         type="text"
                         className="glass-input search-input"
-                        placeholder="Search commands, tags, or descriptions..."
+                        placeholder="Fuzzy search... (try gco, tag:docker, cat:git)"
                         value={searchQuery}
-                        onChange={(e) => dispatch(setSearchQuery(e.target.value))}
+                        onChange={(e) => changeSearch(e.target.value)}
                     />
                     {/* Clear search button only shown when typing */}
                     {searchQuery && (
                         <button
                             className="clear-search"
-                            onClick={() => dispatch(setSearchQuery(''))}
+                            onClick={() => changeSearch('')}
                         >
                             ✕
                         </button>
@@ -360,30 +736,53 @@ export default function CommandSearch() {
 
             {/* Filter results summary */}
             <div className="results-info">
-                <span className="results-count">{filteredCommands.length}</span> commands found
+                <span className="results-count">{searchResults.length}</span> commands found
             </div>
 
             {/* ====== RESULTS GRID ====== */}
             <div className="command-grid">
-                {filteredCommands.length > 0 ? (
-                    filteredCommands.map((cmd) => {
+                {searchResults.length > 0 ? (
+                    searchResults.map(({ command: cmd, highlights }) => {
                         const steps = getCommandSteps(cmd);
                         const isMultiStep = steps.length > 1;
+                        const placeholders = extractPlaceholders(steps);
+                        const isFilling = filling?.id === cmd.id;
+                        const values = (isFilling && filling.values) || templateValues[cmd.id] || {};
+                        // The form only asks for the placeholders of the step(s) being copied
+                        const targetSteps = isFilling ? getTargetSteps(steps, filling.step) : steps;
+                        const targetPlaceholders = extractPlaceholders(targetSteps);
+                        const hasMissingValues = getMissingPlaceholders(targetPlaceholders, values).length > 0;
 
                         return (
                             <div key={cmd.id} className="command-card glass-card">
                                 <div className="command-card-header">
                                     <h3 className="command-title">
-                                        {cmd.title}
+                                        <HighlightedText text={cmd.title} indices={highlights.title} />
                                         {isMultiStep && <span className="steps-badge">{steps.length} steps</span>}
                                     </h3>
                                     <div className="command-actions">
+                                        {placeholders.length > 0 && (
+                                            <button
+                                                className={`template-btn ${isFilling ? 'active' : ''}`}
+                                                onClick={() => isFilling ? closeFillForm() : openFillForm(cmd.id, isMultiStep ? 'all' : null)}
+                                                title="Fill placeholders"
+                                            >
+                                                🧩
+                                            </button>
+                                        )}
                                         <button
                                             className={`favorite-btn ${cmd.isFavorite ? 'active' : ''}`}
                                             onClick={() => dispatch(toggleFavorite(cmd.id))}
                                         >
                                             {cmd.isFavorite ? '★' : '☆'}
                                         </button>
+                                        <button
+                                            className="edit-btn"
+                                            onClick={() => openEditForm(cmd)}
+                                            title="Edit"
+                                        >
+                                            ✏️
+                                        </button>
                                         <button
                                             className="delete-btn"
                                             onClick={() => handleDelete(cmd.id)}
@@ -396,6 +795,52 @@ export default function CommandSearch() {
 
                                 <p className="command-description">{cmd.description}</p>
 
+                                {/* Placeholder fill form - values are remembered per command */}
+                                {targetPlaceholders.length > 0 && isFilling && (
+                                    <form
+                                        className="template-form"
+                                        onSubmit={(e) => submitFillForm(e, cmd, values)}
+                                    >
+                                        <div className="template-form-header">
+                                            <span>🧩 Fill placeholders</span>
+                                            <button
+                                                type="button"
+                                                className="template-close"
+                                                onClick={closeFillForm}
+                                            >
+                                                ✕
+                                            </button>
+                                        </div>
+                                        {targetPlaceholders.map((name, idx) => (
+                                            <label key={name} className="template-field">
+                                                <span className="template-name">{name}</span>
+                                                <input
+                                                    type="text"
+                                                    className="glass-input"
+                                                    placeholder={name}
+                                                    value={values[name] || ''}
+                                                    onChange={(e) => updateTemplateValue(name, e.target.value)}
+                                                    autoFocus={idx === 0}
+                                                />
+                                            </label>
+                                        ))}
+                                        {/* Exactly what will be copied */}
+                                        <pre className="template-preview">
+                                            {targetSteps.map(s => fillPlaceholders(s.command, values)).join('\n')}
+                                        </pre>
+                                        <button
+                                            type="submit"
+                                            className={`copy-all-btn ${copiedId === cmd.id && copiedStep === filling.step ? 'copied' : ''}`}
+                                            disabled={hasMissingValues}
+                                        >
+                                            {copiedId === cmd.id && copiedStep === filling.step
+                                                ? '✓ Copied!'
+                                                : filling.step === 'all' ? '📋 Copy All Steps'
+                                                    : filling.step === null ? '📋 Copy' : `📋 Copy Step ${filling.step + 1}`}
+                                        </button>
+                                    </form>
+                                )}
+
                                 {/* Render commands based on step count */}
                                 {isMultiStep ? (
                                     <div className="command-steps">
@@ -406,11 +851,13 @@ export default function CommandSearch() {
                                                     {step.description && (
                                                         <span className="step-label">{step.description}</span>
                                                     )}
-                                                    <code className="command-code">{step.command}</code>
+                                                    <code className="command-code">
+                                                        <HighlightedText text={step.command} indices={highlights.steps[idx]} />
+                                                    </code>
                                                 </div>
                                                 <button
                                                     className={`copy-btn small ${copiedId === cmd.id && copiedStep === idx ? 'copied' : ''}`}
-                                                    onClick={() => handleCopy(step.command, cmd.id, idx)}
+                                                    onClick={() => copyCommand(cmd, idx)}
                                                 >
                                                     {copiedId === cmd.id && copiedStep === idx ? '✓' : '📋'}
                                                 </button>
@@ -419,7 +866,7 @@ export default function CommandSearch() {
                                         {/* Copy All button for multi-step commands */}
                                         <button
                                             className={`copy-all-btn ${copiedId === cmd.id && copiedStep === 'all' ? 'copied' : ''}`}
-                                            onClick={() => handleCopyAll(steps, cmd.id)}
+                                            onClick={() => copyCommand(cmd, 'all')}
                                         >
                                             {copiedId === cmd.id && copiedStep === 'all' ? '✓ Copied All!' : '📋 Copy All Steps'}
                                         </button>
@@ -427,10 +874,12 @@ export default function CommandSearch() {
                                 ) : (
                                     // Single step layout
                                     <div className="command-code-container">
-                                        <code className="command-code">{steps[0].command}</code>
+                                        <code className="command-code">
+                                            <HighlightedText text={steps[0].command} indices={highlights.steps[0]} />
+                                        </code>
                                         <button
                                             className={`copy-btn ${copiedId === cmd.id ? 'copied' : ''}`}
-                                            onClick={() => handleCopy(steps[0].command, cmd.id)}
+                                            onClick={() => copyCommand(cmd)}
                                         >
                                             {copiedId === cmd.id ? (
                                                 <>
@@ -450,7 +899,7 @@ export default function CommandSearch() {
                                 <div className="command-tags">
                                     {cmd.tags.map((tag, idx) => (
                                         <span key={idx} className="command-tag">
-                                            #{tag}
+                                            #<HighlightedText text={tag} indices={highlights.tags[idx]} />
                                         </span>
                                     ))}
                                 </div>
@@ -0,0 +1,52 @@
+/**
+ * commandTemplates.js - Placeholder helpers for the Command Vault
+ *
+ * Vault commands often contain placeholders that change on every use,
+ * e.g. "git checkout <branch>" or "docker logs {{container}}".
+ * These helpers find those tokens and substitute user-provided values.
+ *
+ * Supported token styles (same `<url>` style used in devHintsData.json):
+ * - <name>
+ * - {{name}}
+ */
+
+// Matches <name> or {{name}} - names start with a letter and may contain -, _ or digits
+const PLACEHOLDER_PATTERN = /<([A-Za-z][\w-]*)>|\{\{\s*([A-Za-z][\w-]*)\s*\}\}/g;
+
+/**
+ * extractPlaceholders - Returns the unique placeholder names used in the steps
+ * (in order of first appearance)
+ */
+export const extractPlaceholders = (steps) => {
+    const names = [];
+    steps.forEach(step => {
+        for (const match of (step.command || '').matchAll(PLACEHOLDER_PATTERN)) {
+            const name = match[1] || match[2];
+            if (!names.includes(name)) names.push(name);
+        }
+    });
+    return names;
+};
+
+/**
+ * getTargetSteps - The steps a copy button copies
+ * stepIndex: step number, null for single-step commands, or 'all'
+ */
+export const getTargetSteps = (steps, stepIndex) =>
+    stepIndex === 'all' ? steps : [steps[stepIndex ?? 0]];
+
+/**
+ * fillPlaceholders - Replaces every token that has a value
+ * Tokens without a value are left untouched so they stay visible
+ */
+export const fillPlaceholders = (text, values = {}) =>
+    (text || '').replace(PLACEHOLDER_PATTERN, (token, angleName, braceName) => {
+        const value = values[angleName || braceName];
+        return value ? value : token;
+    });
+
+/**
+ * getMissingPlaceholders - Placeholder names that still have no value
+ */
+export const getMissingPlaceholders = (names, values = {}) =>
+    names.filter(name => !values[name]);
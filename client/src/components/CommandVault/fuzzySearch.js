@@ -0,0 +1,220 @@
+/**
+ * fuzzySearch.js - Ranked fuzzy search for the Command Vault
+ *
+ * Matches query characters in order (not necessarily adjacent), so
+ * "gco" finds "git checkout" and "dcu" finds "docker compose up".
+ *
+ * Ranking combines:
+ * - Match quality (consecutive characters, word starts, exact substrings)
+ * - Field weight: title > tags > steps > description
+ * - Favorites
+ * - Usage: how often and how recently a command was copied
+ *
+ * Query syntax:
+ * - Plain words: fuzzy matched, every word must match somewhere
+ * - tag:docker   only commands tagged "docker" (prefix match)
+ * - cat:git      only commands in the "git" category (also category:git)
+ */
+
+// How much a match in each field counts towards the score
+const FIELD_WEIGHTS = {
+    title: 3,
+    tags: 2,
+    steps: 1.5,
+    description: 1,
+};
+
+// Ranking boosts (applied on top of the match score)
+const FAVORITE_BOOST = 15;
+const USAGE_BOOST = 6;       // Multiplied by log2(copy count + 1)
+const RECENCY_BOOST = 12;    // Decays with the time since the last copy
+const RECENCY_HALF_LIFE_DAYS = 3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Characters after which a new "word" starts
+const WORD_SEPARATORS = ' -_/.:@=';
+
+/**
+ * parseQuery - Splits a raw query into fuzzy terms and field filters
+ * "tag:docker logs" → { terms: ['logs'], tags: ['docker'], categories: [] }
+ */
+export const parseQuery = (query) => {
+    const parsed = { terms: [], tags: [], categories: [] };
+
+    query.trim().toLowerCase().split(/\s+/).filter(Boolean).forEach(token => {
+        const [, key, value] = token.match(/^(tag|cat|category):(.*)$/) || [];
+        if (key === 'tag') {
+            if (value) parsed.tags.push(value);
+        } else if (key) {
+            if (value) parsed.categories.push(value);
+        } else {
+            parsed.terms.push(token);
+        }
+    });
+
+    return parsed;
+};
+
+/**
+ * fuzzyMatch - Matches pattern characters in order inside text
+ *
+ * Returns { score, indices } where indices are the matched character
+ * positions in text (for highlighting), or null if there's no match.
+ */
+export const fuzzyMatch = (pattern, text) => {
+    if (!pattern || !text) return null;
+    const lowerText = text.toLowerCase();
+
+    // Exact substrings always win - prefer one that starts a word
+    const substringAt = findSubstring(pattern, lowerText);
+    if (substringAt !== -1) {
+        const indices = Array.from({ length: pattern.length }, (_, i) => substringAt + i);
+        const wordStart = isWordStart(lowerText, substringAt) ? 2 : 1;
+        return { score: pattern.length * 4 * wordStart + (substringAt === 0 ? 5 : 0), indices };
+    }
+
+    // Try word-start-first matching ("gco" → Git Check Out), then plain in-order matching
+    const candidates = [matchInOrder(pattern, lowerText, true), matchInOrder(pattern, lowerText, false)]
+        .filter(Boolean)
+        .map(indices => ({ score: scoreIndices(indices, lowerText), indices }));
+
+    if (candidates.length === 0) return null;
+    return candidates.reduce((best, c) => (c.score > best.score ? c : best));
+};
+
+/**
+ * searchCommands - Filters and ranks commands for a query
+ *
+ * Returns [{ command, score, highlights }] sorted best-first, where
+ * highlights = { title: [indices], tags: { [tagIndex]: [indices] },
+ *                steps: { [stepIndex]: [indices] } }
+ * With an empty query, commands keep their original order.
+ */
+export const searchCommands = (commands, query, { copyStats = {}, getSteps, now = Date.now() } = {}) => {
+    const { terms, tags, categories } = parseQuery(query);
+    const hasQuery = terms.length > 0 || tags.length > 0 || categories.length > 0;
+
+    const results = [];
+    commands.forEach((command, order) => {
+        const cmdTags = (command.tags || []).map(t => t.toLowerCase());
+
+        // Field filters must all match
+        if (tags.some(tag => !cmdTags.some(t => t.startsWith(tag)))) return;
+        if (categories.some(cat => !(command.category || '').toLowerCase().startsWith(cat))) return;
+
+        const highlights = { title: [], tags: {}, steps: {} };
+        let score = 0;
+
+        // Every fuzzy term has to match at least one field
+        for (const term of terms) {
+            const best = matchTerm(term, command, getSteps(command));
+            if (!best) return;
+
+            score += best.score;
+            if (best.field === 'title') {
+                highlights.title.push(...best.indices);
+            } else if (best.field === 'tags' || best.field === 'steps') {
+                const existing = highlights[best.field][best.index] || [];
+                highlights[best.field][best.index] = [...existing, ...best.indices];
+            }
+        }
+
+        if (hasQuery) score += usageBoost(command, copyStats[command.id], now);
+        results.push({ command, score, highlights, order });
+    });
+
+    if (hasQuery) {
+        // Highest score first, original order breaks ties
+        results.sort((a, b) => b.score - a.score || a.order - b.order);
+    }
+    return results;
+};
+
+// ============================================
+// INTERNAL HELPERS
+// ============================================
+
+// Best-scoring field match for one term: { field, index, score, indices }
+const matchTerm = (term, command, steps) => {
+    const fields = [
+        { field: 'title', index: 0, text: command.title },
+        ...(command.tags || []).map((text, index) => ({ field: 'tags', index, text })),
+        ...steps.map((step, index) => ({ field: 'steps', index, text: step.command })),
+        { field: 'description', index: 0, text: command.description },
+    ];
+
+    let best = null;
+    fields.forEach(({ field, index, text }) => {
+        const match = fuzzyMatch(term, text);
+        if (!match) return;
+        const score = match.score * FIELD_WEIGHTS[field];
+        if (!best || score > best.score) {
+            best = { field, index, score, indices: match.indices };
+        }
+    });
+    return best;
+};
+
+// Favorite + frequency + recency boost
+const usageBoost = (command, stats, now) => {
+    let boost = command.isFavorite ? FAVORITE_BOOST : 0;
+    if (stats?.count) {
+        boost += USAGE_BOOST * Math.log2(stats.count + 1);
+    }
+    if (stats?.lastCopiedAt) {
+        const ageDays = Math.max(0, now - new Date(stats.lastCopiedAt).getTime()) / DAY_MS;
+        boost += RECENCY_BOOST * Math.pow(0.5, ageDays / RECENCY_HALF_LIFE_DAYS);
+    }
+    return boost;
+};
+
+const isWordStart = (text, index) => index === 0 || WORD_SEPARATORS.includes(text[index - 1]);
+
+// Index of pattern in text, preferring an occurrence at a word start
+const findSubstring = (pattern, text) => {
+    let first = -1;
+    let index = text.indexOf(pattern);
+    while (index !== -1) {
+        if (isWordStart(text, index)) return index;
+        if (first === -1) first = index;
+        index = text.indexOf(pattern, index + 1);
+    }
+    return first;
+};
+
+// Greedy in-order match; with preferWordStarts, jumps to the next word start
+// containing the character when there is one
+const matchInOrder = (pattern, text, preferWordStarts) => {
+    const indices = [];
+    let from = 0;
+
+    for (const char of pattern) {
+        let found = -1;
+        if (preferWordStarts) {
+            for (let i = from; i < text.length; i++) {
+                // Keep consecutive runs together ("che" in "checkout")
+                const continuesRun = indices.length > 0 && i === indices[indices.length - 1] + 1;
+                if (text[i] === char && (continuesRun || isWordStart(text, i))) {
+                    found = i;
+                    break;
+                }
+            }
+        }
+        if (found === -1) found = text.indexOf(char, from);
+        if (found === -1) return null;
+
+        indices.push(found);
+        from = found + 1;
+    }
+    return indices;
+};
+
+// Rewards word starts and consecutive runs, penalizes gaps
+const scoreIndices = (indices, text) => indices.reduce((score, index, i) => {
+    let charScore = 1;
+    if (isWordStart(text, index)) charScore += 3;
+    if (i > 0 && index === indices[i - 1] + 1) charScore += 2;
+    if (i > 0) charScore -= Math.min(index - indices[i - 1] - 1, 5) * 0.2;
+    return score + charScore;
+}, 0);
@@ -0,0 +1,276 @@
+/**
+ * vaultTransfer.js - Import/Export helpers for the Command Vault
+ *
+ * Export formats:
+ * - JSON: Full-fidelity backup of the vault (re-importable)
+ * - Markdown: Cheat sheet grouped by category
+ * - Shell (.sh): Multi-step commands become commented functions,
+ *   single commands become aliases. Meant to be `source`d.
+ *
+ * Import formats:
+ * - JSON: The same file the JSON export produces (or a plain array)
+ * - Shell: `alias x='...'` lines pasted from a .bashrc / .zshrc
+ */
+
+import { extractPlaceholders, fillPlaceholders } from './commandTemplates';
+
+/**
+ * getCommandSteps - Normalizes command structure
+ * Handles both new multi-step format and old single-string format
+ */
+export const getCommandSteps = (cmd) => {
+    if (cmd.steps && cmd.steps.length > 0) {
+        return cmd.steps;
+    }
+    // Convert old single command format to step array
+    return [{ command: cmd.command || '', description: '' }];
+};
+
+// ============================================
+// EXPORT
+// ============================================
+
+/**
+ * exportVaultJSON - Serializes the vault as a versioned JSON document
+ */
+export const exportVaultJSON = (commands) => JSON.stringify({
+    app: 'stackpad',
+    type: 'command-vault',
+    version: 1,
+    exportedAt: new Date().toISOString(),
+    commands: commands.map(cmd => ({
+        title: cmd.title,
+        category: cmd.category,
+        description: cmd.description || '',
+        tags: cmd.tags || [],
+        isFavorite: !!cmd.isFavorite,
+        steps: getCommandSteps(cmd),
+    })),
+}, null, 2);
+
+/**
+ * exportVaultMarkdown - Builds a cheat sheet grouped by category
+ * categories: [{ id, label, icon }] used for section headings and ordering
+ */
+export const exportVaultMarkdown = (commands, categories) => {
+    const lines = ['# ⚡ Command Vault', ''];
+
+    groupByCategory(commands, categories).forEach(({ heading, items }) => {
+        lines.push(`## ${heading}`, '');
+
+        items.forEach(cmd => {
+            lines.push(`### ${cmd.title}`, '');
+            if (cmd.description) lines.push(cmd.description, '');
+            if (cmd.tags?.length) lines.push(cmd.tags.map(t => `\`#${t}\``).join(' '), '');
+
+            lines.push('```bash');
+            getCommandSteps(cmd).forEach(step => {
+                if (step.description) lines.push(`# ${step.description}`);
+                lines.push(step.command);
+            });
+            lines.push('```', '');
+        });
+    });
+
+    lines.push('*Generated with StackPad*');
+    return lines.join('\n');
+};
+
+/**
+ * exportVaultShell - Builds a sourceable shell script
+ *
+ * Placeholders (<branch>, {{port}}) become positional arguments,
+ * so `deploy_branch <branch>` turns into `deploy_branch main`.
+ */
+export const exportVaultShell = (commands, categories) => {
+    const usedNames = new Set();
+    const lines = [
+        '#!/usr/bin/env bash',
+        '# StackPad Command Vault',
+        `# Exported ${new Date().toISOString().split('T')[0]} - load with: source <this file>`,
+        '',
+    ];
+
+    groupByCategory(commands, categories).forEach(({ heading, items }) => {
+        lines.push(`# ===== ${heading} =====`, '');
+
+        items.forEach(cmd => {
+            const steps = getCommandSteps(cmd);
+            const placeholders = extractPlaceholders(steps);
+            const name = uniqueName(toShellName(cmd.title), usedNames);
+
+            lines.push(`# ${cmd.title}`);
+            if (cmd.description) lines.push(`# ${cmd.description}`);
+
+            // Single command without arguments → plain alias
+            if (steps.length === 1 && placeholders.length === 0) {
+                lines.push(`alias ${name}=${shellQuote(steps[0].command)}`, '');
+                return;
+            }
+
+            // Map each placeholder to its positional argument
+            const args = Object.fromEntries(placeholders.map((p, i) => [p, `"$${i + 1}"`]));
+            if (placeholders.length > 0) {
+                lines.push(`# Usage: ${name} ${placeholders.map(p => `<${p}>`).join(' ')}`);
+            }
+
+            lines.push(`${name}() {`);
+            steps.forEach((step, i) => {
+                lines.push(`    # Step ${i + 1}${step.description ? `: ${step.description}` : ''}`);
+                lines.push(`    ${fillPlaceholders(step.command, args)}`);
+            });
+            lines.push('}', '');
+        });
+    });
+
+    return lines.join('\n');
+};
+
+/**
+ * downloadFile - Triggers a browser download for generated text
+ */
+export const downloadFile = (content, filename, type = 'text/plain') => {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);  // Cleanup
+};
+
+// ============================================
+// IMPORT
+// ============================================
+
+/**
+ * parseVaultImport - Parses pasted/uploaded text into commands
+ *
+ * Tries JSON first, then falls back to shell alias lines.
+ * Returns { format, commands } - commands are ready for importCommands
+ */
+export const parseVaultImport = (text, categoryIds = []) => {
+    const trimmed = text.trim();
+    if (!trimmed) return { format: null, commands: [] };
+
+    if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+        try {
+            return { format: 'json', commands: parseVaultJSON(JSON.parse(trimmed)) };
+        } catch {
+            // Not valid JSON - fall through to alias parsing
+        }
+    }
+
+    return { format: 'shell', commands: parseShellAliases(trimmed, categoryIds) };
+};
+
+/**
+ * parseVaultJSON - Accepts our export document, a plain array,
+ * or the raw 'stackpad-commands' localStorage value
+ */
+const parseVaultJSON = (data) => {
+    const list = Array.isArray(data) ? data : data?.commands;
+    if (!Array.isArray(list)) return [];
+
+    return list
+        .filter(cmd => cmd && typeof cmd.title === 'string' && cmd.title.trim())
+        .map(cmd => ({
+            title: cmd.title.trim(),
+            category: typeof cmd.category === 'string' ? cmd.category : 'custom',
+            description: typeof cmd.description === 'string' ? cmd.description : '',
+            tags: Array.isArray(cmd.tags) ? cmd.tags.filter(t => typeof t === 'string') : [],
+            isFavorite: !!cmd.isFavorite,
+            steps: getCommandSteps(cmd)
+                .filter(s => s && typeof s.command === 'string' && s.command.trim())
+                .map(s => ({ command: s.command, description: s.description || '' })),
+        }))
+        .filter(cmd => cmd.steps.length > 0);
+};
+
+// alias name='value' | alias name="value" | alias name=value
+const ALIAS_PATTERN = /^\s*alias\s+([^\s=]+)=(?:'((?:[^']|'\\'')*)'|"((?:[^"\\]|\\.)*)"|(\S+))/;
+
+/**
+ * parseShellAliases - Turns `alias x='...'` lines into commands
+ * Other lines (exports, functions, comments) are ignored.
+ */
+const parseShellAliases = (text, categoryIds) =>
+    text.split('\n').reduce((result, line) => {
+        const match = line.match(ALIAS_PATTERN);
+        if (!match) return result;
+
+        const [, name, single, double, bare] = match;
+        const command = single !== undefined
+            ? single.replace(/'\\''/g, "'")
+            : double !== undefined
+                ? double.replace(/\\(.)/g, '$1')
+                : bare;
+        if (!command.trim()) return result;
+
+        // Guess the category from the tool being aliased (git, docker, npm...)
+        const tool = command.trim().split(/\s+/)[0];
+        result.push({
+            title: name,
+            category: categoryIds.includes(tool) ? tool : 'bash',
+            description: `Imported alias "${name}"`,
+            tags: ['alias'],
+            isFavorite: false,
+            steps: [{ command, description: '' }],
+        });
+        return result;
+    }, []);
+
+/**
+ * findDuplicate - Returns the existing command that matches by title
+ * or by identical step text, or undefined if the candidate is new
+ */
+export const findDuplicate = (candidate, existing) => {
+    const title = candidate.title.trim().toLowerCase();
+    const text = stepText(candidate);
+    return existing.find(cmd =>
+        cmd.title.trim().toLowerCase() === title || stepText(cmd) === text
+    );
+};
+
+// ============================================
+// INTERNAL HELPERS
+// ============================================
+
+// Joined, whitespace-normalized step commands for duplicate detection
+const stepText = (cmd) =>
+    getCommandSteps(cmd).map(s => s.command.trim().replace(/\s+/g, ' ')).join('\n');
+
+// Groups commands by category, ordered as in the category list
+const groupByCategory = (commands, categories) => {
+    const groups = categories
+        .filter(cat => cat.id !== 'all')
+        .map(cat => ({
+            heading: `${cat.icon} ${cat.label}`,
+            items: commands.filter(cmd => cmd.category === cat.id),
+        }));
+
+    // Commands with a category we don't know about
+    const knownIds = categories.map(cat => cat.id);
+    const other = commands.filter(cmd => !knownIds.includes(cmd.category));
+    if (other.length > 0) groups.push({ heading: 'Other', items: other });
+
+    return groups.filter(group => group.items.length > 0);
+};
+
+// "Deploy to Prod!" → "deploy_to_prod"
+const toShellName = (title) => {
+    const name = title.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+    if (!name) return 'cmd';
+    return /^[0-9]/.test(name) ? `cmd_${name}` : name;
+};
+
+// Appends _2, _3... when two commands share a name
+const uniqueName = (name, used) => {
+    let candidate = name;
+    for (let i = 2; used.has(candidate); i++) candidate = `${name}_${i}`;
+    used.add(candidate);
+    return candidate;
+};
+
+// Wraps a value in single quotes, escaping embedded single quotes
+const shellQuote = (value) => `'${value.replace(/'/g, `'\\''`)}'`;
@@ -2,6 +2,8 @@
  * DraggableDashboard.jsx - Customizable Dashboard Layout
  * 
  * Allows users to drag widgets to any position in a 2-column grid.
+ * In Customize mode, widgets can also be removed and added back
+ * (including ones that aren't on the default layout, like GitHub Activity).
  * Layout persists in localStorage per workspace.
  */
 
@@ -15,6 +17,7 @@ import ZenTimer from '../ZenTimer/ZenTimer';
 import CommandSearch from '../CommandVault/CommandSearch';
 import SystemLogs from '../SystemLogs/SystemLogs';
 import SlackDrafter from '../SlackIntegration/SlackDrafter';
+import GitHubActivity from '../GitHub/GitHubActivity';
 
 import './DraggableDashboard.css';
 
@@ -24,6 +27,7 @@ const WIDGET_COMPONENTS = {
     CommandSearch: CommandSearch,
     SystemLogs: SystemLogs,
     SlackDrafter: SlackDrafter,
+    GitHubActivity: GitHubActivity,
 };
 
 // Default layout - 2 columns
@@ -38,6 +42,13 @@ const DEFAULT_LAYOUT = {
     ],
 };
 
+// Every widget that can be placed on the dashboard
+const WIDGET_CATALOG = [
+    ...DEFAULT_LAYOUT.left,
+    ...DEFAULT_LAYOUT.right,
+    { id: 'github', title: 'GitHub Activity', component: 'GitHubActivity' },
+];
+
 export default function DraggableDashboard() {
     const workspace = useSelector(selectCurrentWorkspace);
     const workspaceId = workspace?.id || 'default';
@@ -97,6 +108,20 @@ export default function DraggableDashboard() {
         setLayout(DEFAULT_LAYOUT);
     };
 
+    // Widgets from the catalog that aren't on the dashboard
+    const placedIds = [...layout.left, ...layout.right].map(widget => widget.id);
+    const availableWidgets = WIDGET_CATALOG.filter(widget => !placedIds.includes(widget.id));
+
+    // Add a widget to the bottom of the shorter column
+    const addWidget = (widget) => {
+        const column = layout.left.length <= layout.right.length ? 'left' : 'right';
+        setLayout({ ...layout, [column]: [...layout[column], widget] });
+    };
+
+    const removeWidget = (columnId, widgetId) => {
+        setLayout({ ...layout, [columnId]: layout[columnId].filter(widget => widget.id !== widgetId) });
+    };
+
     // Render widget by component name
     const renderWidget = (componentName) => {
         const Component = WIDGET_COMPONENTS[componentName];
@@ -129,6 +154,13 @@ export default function DraggableDashboard() {
                                         <div className="drag-handle" {...provided.dragHandleProps}>
                                             <span className="handle-icon">⋮⋮</span>
                                             <span className="widget-label">{widget.title}</span>
+                                            <button
+                                                className="widget-remove-btn"
+                                                onClick={() => removeWidget(columnId, widget.id)}
+                                                title="Remove widget"
+                                            >
+                                                ✕
+                                            </button>
                                         </div>
                                     )}
                                     <div className="widget-content">
@@ -168,6 +200,21 @@ export default function DraggableDashboard() {
                 )}
             </div>
 
+            {/* Widgets that can be added back */}
+            {isEditMode && availableWidgets.length > 0 && (
+                <div className="widget-catalog">
+                    {availableWidgets.map(widget => (
+                        <button
+                            key={widget.id}
+                            className="add-widget-btn"
+                            onClick={() => addWidget(widget)}
+                        >
+                            + {widget.title}
+                        </button>
+                    ))}
+                </div>
+            )}
+
             <DragDropContext onDragEnd={handleDragEnd}>
                 <div className={`dashboard-grid ${isEditMode ? 'edit-mode' : ''}`}>
                     {renderColumn('left', layout.left)}
@@ -15,6 +15,9 @@
 
 import { useState, useMemo } from 'react';
 import hintsData from '../../data/devHintsData.json';
+import { useSearchParamState } from '../../routing';
+import { registerPaletteProvider } from '../CommandPalette/paletteRegistry';
+import { fuzzyMatch } from '../CommandVault/fuzzySearch';
 import './DevHints.css';
 
 // Icons for each hint category
@@ -26,9 +29,34 @@ const CATEGORY_ICONS = {
     terminal: '💻',
 };
 
+// Command palette: search hints by title or shortcut, Enter copies the shortcut
+registerPaletteProvider('devhints', ({ query, copy }) => {
+    if (!query) return [];
+
+    const pattern = query.toLowerCase();
+    return hintsData
+        .flatMap(cat => cat.hints.map(hint => ({ ...hint, category: cat.category })))
+        .map(hint => ({ hint, match: fuzzyMatch(pattern, hint.title) || fuzzyMatch(pattern, hint.shortcut) }))
+        .filter(({ match }) => match)
+        .sort((a, b) => b.match.score - a.match.score)
+        .slice(0, 5)
+        .map(({ hint, match }) => ({
+            id: `hint-${hint.category}-${hint.title}`,
+            group: 'DevHint',
+            icon: CATEGORY_ICONS[hint.category] || '💡',
+            label: hint.title,
+            hint: hint.shortcut,
+            dynamic: true,
+            score: match.score,
+            run: () => copy(hint.shortcut),
+        }));
+});
+
 export default function DevHints() {
-    const [searchQuery, setSearchQuery] = useState('');
-    const [selectedCategory, setSelectedCategory] = useState('all');
+    // Search and category live in the URL (?q=...&cat=...) so they survive
+    // refreshes and come back with the back/forward buttons
+    const [searchQuery, setSearchQuery] = useSearchParamState('q', '');
+    const [selectedCategory, setSelectedCategory] = useSearchParamState('cat', 'all');
 
     // UI state for clipboard feedback
     const [copiedId, setCopiedId] = useState(null);
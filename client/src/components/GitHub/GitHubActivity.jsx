@@ -0,0 +1,199 @@
+/**
+ * GitHubActivity.jsx - Workspace GitHub Activity Panel
+ *
+ * Shows what's going on in the current workspace's repo (its GitHub URL):
+ * - 🔴 Failing check runs (default branch and newest open PRs)
+ * - 👀 Open PRs awaiting your review (GitHub username from Settings)
+ * - 📝 Recent commits
+ *
+ * Available as the "GitHub" section and as a DraggableDashboard widget.
+ * Loads when shown and on 🔄 Refresh; ETag caching (githubApi.js) means
+ * refreshing an unchanged repo doesn't use up the rate limit.
+ */
+
+import { useState, useEffect } from 'react';
+import { useSelector } from 'react-redux';
+import { useNavigate } from 'react-router-dom';
+import { selectCurrentWorkspace } from '../../redux/slices/workspaceSlice';
+import { parseRepoUrl, loadGitHubConfig } from './githubApi';
+import { fetchRepoActivity } from './repoActivity';
+import { sectionPath } from '../../routing';
+import './GitHubActivity.css';
+
+// "5m ago" style times (same steps as SystemLogs)
+const timeAgo = (isoString) => {
+    const date = new Date(isoString);
+    const diff = Date.now() - date;
+
+    if (diff < 60000) return 'Just now';
+    if (diff < 3600000) return `${Math.floor(diff / 60000)}m ago`;
+    if (diff < 86400000) return `${Math.floor(diff / 3600000)}h ago`;
+    return date.toLocaleDateString();
+};
+
+export default function GitHubActivity() {
+    const navigate = useNavigate();
+    const workspace = useSelector(selectCurrentWorkspace);
+    const repoInfo = parseRepoUrl(workspace?.githubUrl);
+    const repoName = repoInfo ? `${repoInfo.owner}/${repoInfo.repo}` : null;
+    const { username } = loadGitHubConfig();
+
+    // Latest result: { key, data, error } - key says which repo/user it's for
+    const [result, setResult] = useState(null);
+    const [refreshCount, setRefreshCount] = useState(0);
+    const [isRefreshing, setIsRefreshing] = useState(false);
+
+    const requestKey = `${repoName}|${username}`;
+
+    // Fetch when the repo changes and on every refresh
+    useEffect(() => {
+        if (!repoName) return;
+        const key = `${repoName}|${username}`;
+        const [owner, repo] = repoName.split('/');
+        let cancelled = false;
+
+        fetchRepoActivity({ owner, repo, username })
+            .then(data => ({ key, data, error: null }))
+            .catch(err => {
+                console.error('GitHub activity error:', err);
+                return { key, data: null, error: err };
+            })
+            .then(newResult => {
+                if (cancelled) return;
+                // Keep showing the last data if a refresh fails
+                setResult(prev => newResult.error && prev?.key === key
+                    ? { ...prev, error: newResult.error }
+                    : newResult);
+                setIsRefreshing(false);
+            });
+
+        return () => { cancelled = true; };
+    }, [repoName, username, refreshCount]);
+
+    const refresh = () => {
+        setIsRefreshing(true);
+        setRefreshCount(count => count + 1);
+    };
+
+    // ====== NO REPO ======
+    if (!repoInfo) {
+        return (
+            <div className="github-activity glass-card">
+                <h3 className="github-activity-title">🐙 GitHub Activity</h3>
+                <p className="github-empty">
+                    Add a GitHub URL to <strong>{workspace?.name}</strong> (workspace switcher) to see its commits, reviews and checks here.
+                </p>
+            </div>
+        );
+    }
+
+    const current = result?.key === requestKey ? result : null;
+    const data = current?.data;
+    const error = current?.error;
+    const isLoading = !current || isRefreshing;
+
+    return (
+        <div className="github-activity glass-card">
+            {/* ====== HEADER ====== */}
+            <div className="github-activity-header">
+                <h3 className="github-activity-title">
+                    🐙{' '}
+                    <a href={`https://github.com/${repoName}`} target="_blank" rel="noopener noreferrer">
+                        {repoName}
+                    </a>
+                </h3>
+                <div className="github-activity-actions">
+                    {data && (
+                        <span className="github-updated" title={data.notModified ? 'Not modified since the last fetch (served from cache)' : undefined}>
+                            {data.notModified ? '✓ up to date' : `updated ${timeAgo(data.fetchedAt)}`}
+                        </span>
+                    )}
+                    <button type="button" className="github-refresh" onClick={refresh} disabled={isLoading}>
+                        {isLoading ? '⏳' : '🔄'} Refresh
+                    </button>
+                </div>
+            </div>
+
+            {error && (
+                <div className="github-error">
+                    {error.status === 403 || error.status === 429
+                        ? 'Rate limit reached - add an access token in Settings, or try again later.'
+                        : error.status === 404
+                            ? `${repoName} not found (private repos need an access token in Settings).`
+                            : error.message}
+                </div>
+            )}
+
+            {!data && !error && <p className="github-empty">Loading…</p>}
+
+            {data && (
+                <div className="github-activity-body">
+                    {/* ====== FAILING CHECKS ====== */}
+                    <section className="github-group">
+                        <h4>🔴 Failing checks <span className="github-count">{data.failingChecks.length}</span></h4>
+                        {data.failingChecks.length === 0 ? (
+                            <p className="github-empty">All checks passing 🎉</p>
+                        ) : (
+                            <ul>
+                                {data.failingChecks.map(run => (
+                                    <li key={`${run.ref}-${run.id}`}>
+                                        <a href={run.url} target="_blank" rel="noopener noreferrer">{run.name}</a>
+                                        <span className="github-meta">{run.ref} · {run.conclusion.replace('_', ' ')}</span>
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+                    </section>
+
+                    {/* ====== REVIEW REQUESTS ====== */}
+                    <section className="github-group">
+                        <h4>👀 Awaiting your review <span className="github-count">{data.reviewRequests.length}</span></h4>
+                        {!username ? (
+                            <button
+                                type="button"
+                                className="github-link-btn"
+                                onClick={() => navigate(sectionPath(workspace.id, 'settings'))}
+                            >
+                                Set your GitHub username in Settings
+                            </button>
+                        ) : data.reviewRequests.length === 0 ? (
+                            <p className="github-empty">No reviews requested from @{username}</p>
+                        ) : (
+                            <ul>
+                                {data.reviewRequests.map(pull => (
+                                    <li key={pull.number}>
+                                        <a href={pull.url} target="_blank" rel="noopener noreferrer">
+                                            #{pull.number} {pull.title}
+                                        </a>
+                                        <span className="github-meta">
+                                            @{pull.author} · {timeAgo(pull.updatedAt)}{pull.draft ? ' · draft' : ''}
+                                        </span>
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+                    </section>
+
+                    {/* ====== RECENT COMMITS ====== */}
+                    <section className="github-group">
+                        <h4>📝 Recent commits</h4>
+                        {data.commits.length === 0 ? (
+                            <p className="github-empty">No commits yet</p>
+                        ) : (
+                            <ul>
+                                {data.commits.map(commit => (
+                                    <li key={commit.sha}>
+                                        <a href={commit.url} target="_blank" rel="noopener noreferrer">
+                                            <code>{commit.sha.slice(0, 7)}</code> {commit.message}
+                                        </a>
+                                        <span className="github-meta">@{commit.author} · {timeAgo(commit.date)}</span>
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+                    </section>
+                </div>
+            )}
+        </div>
+    );
+}
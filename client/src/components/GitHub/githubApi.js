@@ -0,0 +1,192 @@
+/**
+ * githubApi.js - Small GitHub REST API client
+ *
+ * Used by the todo issue sync and the GitHub activity panel.
+ *
+ * Configuration lives in localStorage, not in Redux:
+ * - 'stackpad-github'       { username, apiUrl, issueSync: { [workspaceId:owner/repo]: ISO date } }
+ * - 'stackpad-github-token' Personal access token (kept out of settings backups)
+ * - 'stackpad-github-cache' ETag cache of GET responses (also kept out of backups)
+ *
+ * Cached requests send the stored ETag as If-None-Match. GitHub answers
+ * "304 Not Modified" without a body, and 304s don't count against the rate limit.
+ *
+ * The fetch layer is pluggable: point apiUrl at a local mock server,
+ * and/or swap the fetch function itself with setGitHubFetch() in tests.
+ */
+
+export const DEFAULT_API_URL = 'https://api.github.com';
+
+const CONFIG_KEY = 'stackpad-github';
+const TOKEN_KEY = 'stackpad-github-token';
+const CACHE_KEY = 'stackpad-github-cache';
+
+// Keys the settings backup leaves out (a secret, and a cache)
+export const BACKUP_EXCLUDED_KEYS = [TOKEN_KEY, CACHE_KEY];
+
+// Most cached responses kept (oldest are dropped first)
+const MAX_CACHE_ENTRIES = 40;
+
+const DEFAULT_CONFIG = {
+    username: '',
+    apiUrl: DEFAULT_API_URL,
+    issueSync: {},
+};
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+/**
+ * loadGitHubConfig - Username, API URL and sync bookkeeping
+ */
+export const loadGitHubConfig = () => {
+    try {
+        return { ...DEFAULT_CONFIG, ...JSON.parse(localStorage.getItem(CONFIG_KEY)) };
+    } catch {
+        return { ...DEFAULT_CONFIG };
+    }
+};
+
+/**
+ * saveGitHubConfig - Merges changes into the stored config, returns the new config
+ */
+export const saveGitHubConfig = (changes) => {
+    const config = { ...loadGitHubConfig(), ...changes };
+    localStorage.setItem(CONFIG_KEY, JSON.stringify(config));
+    return config;
+};
+
+export const getGitHubToken = () => localStorage.getItem(TOKEN_KEY) || '';
+
+export const setGitHubToken = (token) => {
+    if (token) localStorage.setItem(TOKEN_KEY, token);
+    else localStorage.removeItem(TOKEN_KEY);
+};
+
+/**
+ * parseRepoUrl - "https://github.com/owner/repo(.git)" (or "owner/repo") → { owner, repo }
+ * Returns null for anything that doesn't name a repository.
+ */
+export const parseRepoUrl = (url) => {
+    if (!url) return null;
+    const match = url.trim().match(/^(?:(?:https?:\/\/)?(?:www\.)?github\.com\/|git@github\.com:)?([\w.-]+)\/([\w.-]+?)(?:\.git)?(?:[/?#].*)?$/i);
+    if (!match) return null;
+    return { owner: match[1], repo: match[2] };
+};
+
+// ============================================
+// ETAG CACHE
+// { [url]: { etag, data, link, savedAt } }
+// ============================================
+
+const loadCache = () => {
+    try {
+        return JSON.parse(localStorage.getItem(CACHE_KEY)) || {};
+    } catch {
+        return {};
+    }
+};
+
+const saveToCache = (url, entry) => {
+    const cache = { ...loadCache(), [url]: { ...entry, savedAt: Date.now() } };
+    const urls = Object.keys(cache).sort((a, b) => cache[b].savedAt - cache[a].savedAt);
+    urls.slice(MAX_CACHE_ENTRIES).forEach(oldUrl => delete cache[oldUrl]);
+    try {
+        localStorage.setItem(CACHE_KEY, JSON.stringify(cache));
+    } catch {
+        // Storage full - the cache is only an optimization
+        localStorage.removeItem(CACHE_KEY);
+    }
+};
+
+// ============================================
+// FETCH LAYER
+// ============================================
+
+// The fetch implementation requests go through (swappable for tests)
+let fetchImpl = (...args) => fetch(...args);
+
+/**
+ * setGitHubFetch - Replaces the fetch function (pass null to restore the default)
+ */
+export const setGitHubFetch = (fn) => {
+    fetchImpl = fn || ((...args) => fetch(...args));
+};
+
+/**
+ * getNextPageUrl - The rel="next" URL from a Link header, if any
+ */
+const getNextPageUrl = (linkHeader) =>
+    linkHeader?.split(',').find(part => part.includes('rel="next"'))?.match(/<([^>]+)>/)?.[1] || null;
+
+/**
+ * createGitHubClient - A client bound to an API URL and token
+ *
+ * @param {object} options - { apiUrl, token } (defaults: the stored config)
+ * @returns {object} { request, requestAll }
+ */
+export const createGitHubClient = ({ apiUrl, token } = {}) => {
+    const baseUrl = (apiUrl || loadGitHubConfig().apiUrl || DEFAULT_API_URL).replace(/\/+$/, '');
+    const authToken = token ?? getGitHubToken();
+
+    const headers = {
+        Accept: 'application/vnd.github+json',
+        'X-GitHub-Api-Version': '2022-11-28',
+        ...(authToken ? { Authorization: `Bearer ${authToken}` } : {}),
+    };
+
+    const toUrl = (path, params) => {
+        const url = new URL(path.startsWith('http') ? path : `${baseUrl}${path}`);
+        Object.entries(params || {}).forEach(([key, value]) => {
+            if (value != null && value !== '') url.searchParams.set(key, value);
+        });
+        return url.toString();
+    };
+
+    /**
+     * request - GET a path, resolves to { data, response, link, notModified }
+     * With { cache: true }, a stored ETag is sent and a 304 answers from the cache.
+     * `select` trims the response before it's returned and cached (GitHub objects are big).
+     * Throws an Error with a `status` for other non-2xx responses.
+     */
+    const request = async (path, params, { cache = false, select = (data) => data } = {}) => {
+        const url = toUrl(path, params);
+        const cached = cache ? loadCache()[url] : null;
+        const response = await fetchImpl(url, {
+            headers: cached?.etag ? { ...headers, 'If-None-Match': cached.etag } : headers,
+        });
+
+        if (response.status === 304 && cached) {
+            return { data: cached.data, response, link: cached.link, notModified: true };
+        }
+        if (!response.ok) {
+            const body = await response.json().catch(() => ({}));
+            const error = new Error(body.message || `GitHub request failed (${response.status})`);
+            error.status = response.status;
+            throw error;
+        }
+
+        const data = select(await response.json());
+        const link = response.headers.get('Link');
+        const etag = response.headers.get('ETag');
+        if (cache && etag) saveToCache(url, { etag, data, link });
+        return { data, response, link, notModified: false };
+    };
+
+    /**
+     * requestAll - GET a list, following pagination (up to maxPages pages of 100)
+     */
+    const requestAll = async (path, params, maxPages = 5) => {
+        const items = [];
+        let next = toUrl(path, { per_page: 100, ...params });
+        for (let page = 0; next && page < maxPages; page++) {
+            const { data, link } = await request(next);
+            items.push(...data);
+            next = getNextPageUrl(link);
+        }
+        return items;
+    };
+
+    return { request, requestAll };
+};
@@ -0,0 +1,63 @@
+/**
+ * githubIssues.js - Fetching a workspace's GitHub issues for the todo sync
+ *
+ * The TodoList's "Sync issues" button:
+ * 1. Reads owner/repo from the workspace's githubUrl
+ * 2. Fetches issues assigned to the configured user that changed since the last sync
+ *    (all of them on the first sync - open and closed)
+ * 3. Dispatches syncGitHubIssues: open issues become (or update) todos,
+ *    closed issues complete their todo
+ */
+
+import { createGitHubClient, loadGitHubConfig, saveGitHubConfig } from './githubApi';
+
+/**
+ * fetchAssignedIssues - Issues of a repo assigned to a user, simplified
+ * Pull requests (which the issues endpoint also returns) are left out.
+ *
+ * @param {object} options - { owner, repo, assignee, since, client }
+ * @returns {Promise<object[]>} [{ number, title, url, state, labels, closedAt }]
+ */
+export const fetchAssignedIssues = async ({ owner, repo, assignee, since, client = createGitHubClient() }) => {
+    const issues = await client.requestAll(`/repos/${owner}/${repo}/issues`, {
+        assignee,
+        state: 'all',
+        since,
+        sort: 'updated',
+    });
+
+    return issues
+        .filter(issue => !issue.pull_request)
+        .map(issue => ({
+            number: issue.number,
+            title: issue.title,
+            url: issue.html_url,
+            state: issue.state,
+            labels: issue.labels.map(label => (typeof label === 'string' ? label : label.name).toLowerCase()),
+            closedAt: issue.closed_at,
+        }));
+};
+
+/**
+ * summarizeIssueSync - What a sync will change in a todo list
+ * Computed before dispatching, for the "3 added, 1 completed" message.
+ */
+export const summarizeIssueSync = (todos, repoName, issues) => {
+    const findTodo = (issue) => todos.find(t => t.github?.repo === repoName && t.github.number === issue.number);
+    return {
+        added: issues.filter(issue => issue.state === 'open' && !findTodo(issue)).length,
+        completed: issues.filter(issue => issue.state === 'closed' && findTodo(issue) && !findTodo(issue).completed).length,
+    };
+};
+
+// Sync bookkeeping is per workspace, repo and assignee (changing the URL or
+// the username in Settings starts over, so older issues aren't skipped)
+const syncKey = (workspaceId, repoName, assignee) => `${workspaceId}:${repoName}:${assignee.toLowerCase()}`;
+
+export const getLastIssueSync = (workspaceId, repoName, assignee) =>
+    loadGitHubConfig().issueSync[syncKey(workspaceId, repoName, assignee)] || null;
+
+export const setLastIssueSync = (workspaceId, repoName, assignee, date) => {
+    const { issueSync } = loadGitHubConfig();
+    saveGitHubConfig({ issueSync: { ...issueSync, [syncKey(workspaceId, repoName, assignee)]: date } });
+};
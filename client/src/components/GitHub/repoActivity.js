@@ -0,0 +1,90 @@
+/**
+ * repoActivity.js - What's happening in a workspace's repo
+ *
+ * Fetched for the GitHub activity panel:
+ * - Recent commits on the default branch
+ * - Open pull requests that request a review from the configured user
+ * - Failing check runs on the default branch and on the newest open PRs
+ *
+ * Every request is ETag-cached (see githubApi.js), so refreshing an
+ * unchanged repo costs no rate limit.
+ */
+
+import { createGitHubClient } from './githubApi';
+
+// How many open PRs get their checks looked at (one request each)
+const CHECKED_PULLS = 5;
+
+// Check run conclusions that count as failing
+const FAILING_CONCLUSIONS = ['failure', 'timed_out', 'action_required', 'startup_failure'];
+
+const selectCommits = (commits) => commits.map(commit => ({
+    sha: commit.sha,
+    message: commit.commit.message.split('\n')[0],
+    author: commit.author?.login || commit.commit.author?.name || 'unknown',
+    date: commit.commit.author?.date,
+    url: commit.html_url,
+}));
+
+const selectPulls = (pulls) => pulls.map(pull => ({
+    number: pull.number,
+    title: pull.title,
+    author: pull.user?.login,
+    url: pull.html_url,
+    headSha: pull.head.sha,
+    draft: pull.draft,
+    updatedAt: pull.updated_at,
+    reviewers: (pull.requested_reviewers || []).map(reviewer => reviewer.login.toLowerCase()),
+}));
+
+const selectFailingRuns = (result) => result.check_runs
+    .filter(run => FAILING_CONCLUSIONS.includes(run.conclusion))
+    .map(run => ({
+        id: run.id,
+        name: run.name,
+        conclusion: run.conclusion,
+        url: run.html_url,
+        completedAt: run.completed_at,
+    }));
+
+/**
+ * fetchRepoActivity - Commits, review requests and failing checks of a repo
+ *
+ * @param {object} options - { owner, repo, username, client }
+ * @returns {Promise<object>} { commits, reviewRequests, failingChecks, notModified, fetchedAt }
+ *   failingChecks: [{ ...run, ref: 'main' | '#42' }]
+ *   notModified: true when nothing changed since the last fetch
+ */
+export const fetchRepoActivity = async ({ owner, repo, username, client = createGitHubClient() }) => {
+    const base = `/repos/${owner}/${repo}`;
+
+    const [commitsResult, pullsResult] = await Promise.all([
+        client.request(`${base}/commits`, { per_page: 10 }, { cache: true, select: selectCommits }),
+        client.request(`${base}/pulls`, { state: 'open', sort: 'updated', direction: 'desc', per_page: 50 }, { cache: true, select: selectPulls }),
+    ]);
+
+    const commits = commitsResult.data;
+    const pulls = pullsResult.data;
+    const me = username?.toLowerCase();
+    const reviewRequests = me ? pulls.filter(pull => pull.reviewers.includes(me)) : [];
+
+    // Checks: default branch head + the newest open PRs
+    const refs = [
+        ...(commits[0] ? [{ ref: 'default branch', sha: commits[0].sha }] : []),
+        ...pulls.slice(0, CHECKED_PULLS).map(pull => ({ ref: `#${pull.number}`, sha: pull.headSha })),
+    ];
+    const checkResults = await Promise.all(refs.map(({ sha }) =>
+        client.request(`${base}/commits/${sha}/check-runs`, { per_page: 100 }, { cache: true, select: selectFailingRuns })
+    ));
+    const failingChecks = checkResults.flatMap((result, index) =>
+        result.data.map(run => ({ ...run, ref: refs[index].ref }))
+    );
+
+    return {
+        commits,
+        reviewRequests,
+        failingChecks,
+        notModified: [commitsResult, pullsResult, ...checkResults].every(result => result.notModified),
+        fetchedAt: new Date().toISOString(),
+    };
+};
@@ -2,32 +2,41 @@
  * ProgressStats.jsx - Analytics & Gamification Dashboard
  * 
  * Visualizes the user's productivity data from daily check-ins (SystemLogs).
- * Calculates streaks, total hours, and activity breakdown.
+ * Calculates streaks, focus time, and activity breakdown.
+ * Hours come from completed Zen Timer focus sessions (real, measured time)
+ * rather than the hours typed into check-ins.
  * 
  * Features:
- * - Weekly activity chart (bar chart)
+ * - Weekly activity chart (bars stacked by log type)
  * - Streak calculation (consecutive days with logs)
- * - Activity breakdown by log type (Progress, Gotcha, Error, Tip)
+ * - Activity breakdown by the workspace's log types (see SystemLogs/logUtils.js)
  * - Share functionality for social media (LinkedIn, Twitter)
  * - Copyable markdown summary for GitHub READMEs
+ * - Date-range reports for timesheets and reviews (ReportBuilder.jsx)
  */
 
 import { useState, useMemo } from 'react';
 import { useSelector } from 'react-redux';
 import { selectCurrentWorkspace } from '../../redux/slices/workspaceSlice';
+import { FOCUS_MODES } from '../../redux/slices/timerSlice';
+import { getLogTypes, getLogType, countLogsByType, sortLogs } from '../SystemLogs/logUtils';
+import ReportBuilder from './ReportBuilder';
 import './ProgressStats.css';
 
 export default function ProgressStats() {
     const workspace = useSelector(selectCurrentWorkspace);
     const logs = workspace?.logs || [];
+    const logTypes = getLogTypes(workspace);
+    const timerHistory = useSelector((state) => state.timer.history);
 
     // UI state for share modal and copy feedback
     const [copied, setCopied] = useState(false);
     const [showShareModal, setShowShareModal] = useState(false);
+    const [showReportModal, setShowReportModal] = useState(false);
 
     /**
      * stats - Memoized calculation of all analytics
-     * Re-runs only when logs change
+     * Re-runs only when logs or focus sessions change
      */
     const stats = useMemo(() => {
         const now = new Date();
@@ -41,14 +50,16 @@ export default function ProgressStats() {
         const todayLogs = logs.filter(l => new Date(l.timestamp) >= todayStart);
         const weekLogs = logs.filter(l => new Date(l.timestamp) >= weekStart);
 
-        // Group by log type (progress, gotcha, etc.)
-        const byType = logs.reduce((acc, log) => {
-            acc[log.type] = (acc[log.type] || 0) + 1;
-            return acc;
-        }, {});
+        // Count per configured log type: [{ type, count }]
+        const byType = countLogsByType(logs, logTypes);
 
-        // Calculate total hours spent
-        const totalHours = logs.reduce((sum, log) => sum + (log.hours || 0), 0);
+        // Focus time measured by the Zen Timer in this workspace
+        const focusSessions = timerHistory.filter(entry =>
+            entry.workspaceId === workspace?.id && FOCUS_MODES.includes(entry.mode)
+        );
+        const toHours = (sessions) => sessions.reduce((sum, entry) => sum + entry.duration, 0) / 3600;
+        const focusHours = toHours(focusSessions);
+        const todayFocusHours = toHours(focusSessions.filter(e => new Date(e.completedAt) >= todayStart));
 
         // Calculate daily activity for the last 7 days (for bar chart)
         const dailyActivity = [];
@@ -58,14 +69,16 @@ export default function ProgressStats() {
             const dayEnd = new Date(date);
             dayEnd.setDate(dayEnd.getDate() + 1);
 
-            const count = logs.filter(l => {
+            const dayLogs = logs.filter(l => {
                 const d = new Date(l.timestamp);
                 return d >= date && d < dayEnd;
-            }).length;
+            });
 
             dailyActivity.push({
                 day: date.toLocaleDateString('en-US', { weekday: 'short' }),
-                count,
+                count: dayLogs.length,
+                // Stacked bar segments, one per type used that day
+                segments: countLogsByType(dayLogs, logTypes).filter(c => c.count > 0),
             });
         }
 
@@ -76,9 +89,11 @@ export default function ProgressStats() {
             byType,
             dailyActivity,
             streak: calculateStreak(logs),
-            totalHours,
+            focusHours,
+            todayFocusHours,
+            focusSessions: focusSessions.length,
         };
-    }, [logs]);
+    }, [logs, logTypes, timerHistory, workspace?.id]);
 
     /**
      * calculateStreak - Counts consecutive days with at least one log
@@ -117,13 +132,17 @@ export default function ProgressStats() {
      * generateShareText - Creates a social media friendly summary
      */
     const generateShareText = () => {
+        // One line per log type that has check-ins
+        const typeLines = stats.byType
+            .filter(({ count }) => count > 0)
+            .map(({ type, count }) => `${type.icon} ${count} ${type.label}`);
+
         return `🚀 My Developer Progress on ${workspace?.name || 'StackPad'}!
 
 🔥 ${stats.streak} Day Streak
 📊 ${stats.total} Total Check-ins
-⏱️ ${stats.totalHours.toFixed(1)} Hours Logged
-🚀 ${stats.byType.progress || 0} Progress Updates
-💡 ${stats.byType.gotcha || 0} Gotchas Found
+⏱️ ${stats.focusHours.toFixed(1)} Hours of Focus
+${typeLines.join('\n')}
 
 #Developer #Productivity #Coding #100DaysOfCode`;
     };
@@ -132,17 +151,17 @@ export default function ProgressStats() {
      * generateMarkdown - Creates a markdown table for GitHub/GitLab
      */
     const generateMarkdown = () => {
+        // One row per log type
+        const typeRows = stats.byType.map(({ type, count }) => `| ${type.icon} ${type.label} | ${count} |`);
+
         return `## 📊 My Developer Progress
 
 | Metric | Value |
 |--------|-------|
 | 🔥 Streak | ${stats.streak} days |
 | 📊 Total Check-ins | ${stats.total} |
-| ⏱️ Hours Logged | ${stats.totalHours.toFixed(1)}h |
-| 🚀 Progress Updates | ${stats.byType.progress || 0} |
-| 💡 Gotchas | ${stats.byType.gotcha || 0} |
-| 🐛 Bugs Fixed | ${stats.byType.error || 0} |
-| ✨ Tips Learned | ${stats.byType.tip || 0} |
+| ⏱️ Focus Time | ${stats.focusHours.toFixed(1)}h (${stats.focusSessions} sessions) |
+${typeRows.join('\n')}
 
 *Generated with StackPad*`;
     };
@@ -185,12 +204,20 @@ export default function ProgressStats() {
                     </h2>
                     <span className="workspace-label">{workspace?.name}</span>
                 </div>
-                <button
-                    className="glass-button primary share-btn"
-                    onClick={() => setShowShareModal(true)}
-                >
-                    📤 Share Progress
-                </button>
+                <div className="stats-header-actions">
+                    <button
+                        className="glass-button share-btn"
+                        onClick={() => setShowReportModal(true)}
+                    >
+                        📑 Report
+                    </button>
+                    <button
+                        className="glass-button primary share-btn"
+                        onClick={() => setShowShareModal(true)}
+                    >
+                        📤 Share Progress
+                    </button>
+                </div>
             </div>
 
             {/* ====== STATS CARDS ====== */}
@@ -218,9 +245,9 @@ export default function ProgressStats() {
                 </div>
                 <div className="stat-card glass-card">
                     <span className="stat-icon">⏱️</span>
-                    <div className="stat-info">
-                        <span className="stat-value">{stats.totalHours.toFixed(1)}h</span>
-                        <span className="stat-label">Total Hours</span>
+                    <div className="stat-info" title={`${stats.todayFocusHours.toFixed(1)}h today · ${stats.focusSessions} sessions`}>
+                        <span className="stat-value">{stats.focusHours.toFixed(1)}h</span>
+                        <span className="stat-label">Focus Time</span>
                     </div>
                 </div>
             </div>
@@ -238,38 +265,41 @@ export default function ProgressStats() {
                                 >
                                     {/* Show count on hover/bars */}
                                     <span className="bar-value">{day.count}</span>
+                                    {day.segments.map(({ type, count }) => (
+                                        <div
+                                            key={type.id}
+                                            className="bar-segment"
+                                            style={{ flexGrow: count, background: type.color }}
+                                            title={`${type.label}: ${count}`}
+                                        />
+                                    ))}
                                 </div>
                             </div>
                             <span className="bar-label">{day.day}</span>
                         </div>
                     ))}
                 </div>
+                <div className="chart-legend">
+                    {logTypes.map(type => (
+                        <span key={type.id} className="chart-legend-item">
+                            <span className="chart-legend-dot" style={{ background: type.color }} />
+                            {type.label}
+                        </span>
+                    ))}
+                </div>
             </div>
 
             {/* ====== BREAKDOWN SECTION ====== */}
             <div className="breakdown-section glass-card">
                 <h3 className="chart-title">Log Breakdown</h3>
                 <div className="breakdown-grid">
-                    <div className="breakdown-item progress">
-                        <span className="breakdown-icon">🚀</span>
-                        <span className="breakdown-label">Progress</span>
-                        <span className="breakdown-value">{stats.byType.progress || 0}</span>
-                    </div>
-                    <div className="breakdown-item gotcha">
-                        <span className="breakdown-icon">💡</span>
-                        <span className="breakdown-label">Gotchas</span>
-                        <span className="breakdown-value">{stats.byType.gotcha || 0}</span>
-                    </div>
-                    <div className="breakdown-item error">
-                        <span className="breakdown-icon">🐛</span>
-                        <span className="breakdown-label">Errors</span>
-                        <span className="breakdown-value">{stats.byType.error || 0}</span>
-                    </div>
-                    <div className="breakdown-item tip">
-                        <span className="breakdown-icon">✨</span>
-                        <span className="breakdown-label">Tips</span>
-                        <span className="breakdown-value">{stats.byType.tip || 0}</span>
-                    </div>
+                    {stats.byType.map(({ type, count }) => (
+                        <div key={type.id} className="breakdown-item" style={{ '--type-color': type.color }}>
+                            <span className="breakdown-icon">{type.icon}</span>
+                            <span className="breakdown-label">{type.label}</span>
+                            <span className="breakdown-value">{count}</span>
+                        </div>
+                    ))}
                 </div>
             </div>
 
@@ -277,11 +307,9 @@ export default function ProgressStats() {
             <div className="recent-section glass-card">
                 <h3 className="chart-title">Recent Check-ins</h3>
                 <div className="recent-list">
-                    {logs.slice(0, 5).map((log) => (
+                    {sortLogs(logs).slice(0, 5).map((log) => (
                         <div key={log.id} className="recent-item">
-                            <span className="recent-icon">
-                                {log.type === 'progress' ? '🚀' : log.type === 'gotcha' ? '💡' : log.type === 'error' ? '🐛' : '✨'}
-                            </span>
+                            <span className="recent-icon">{getLogType(logTypes, log.type).icon}</span>
                             <span className="recent-text">{log.content}</span>
                             <span className="recent-time">
                                 {new Date(log.timestamp).toLocaleDateString()}
@@ -294,6 +322,19 @@ export default function ProgressStats() {
                 </div>
             </div>
 
+            {/* ====== REPORT MODAL ====== */}
+            {showReportModal && (
+                <div className="modal-overlay" onClick={() => setShowReportModal(false)}>
+                    <div className="modal glass-card report-modal" onClick={(e) => e.stopPropagation()}>
+                        <div className="modal-header">
+                            <h3>📑 Report</h3>
+                            <button className="modal-close" onClick={() => setShowReportModal(false)}>✕</button>
+                        </div>
+                        <ReportBuilder onClose={() => setShowReportModal(false)} />
+                    </div>
+                </div>
+            )}
+
             {/* ====== SHARE MODAL ====== */}
             {showShareModal && (
                 <div className="modal-overlay" onClick={() => setShowShareModal(false)}>
@@ -0,0 +1,195 @@
+/**
+ * ReportBuilder.jsx - Timesheet / review report for a date range
+ *
+ * Pick a range (presets or any from/to dates), check the summary, then
+ * export the full report (see report.js) as Markdown, CSV or a printable
+ * HTML page. Covers the current workspace only.
+ *
+ * Rendered inside ProgressStats' report modal (body + footer).
+ */
+
+import { useState, useMemo } from 'react';
+import { useSelector } from 'react-redux';
+import { selectCurrentWorkspace } from '../../redux/slices/workspaceSlice';
+import { selectWorkspaceTodos } from '../../redux/slices/todosSlice';
+import { getLogTypes } from '../SystemLogs/logUtils';
+import { downloadFile } from '../CommandVault/vaultTransfer';
+import {
+    RANGE_PRESETS,
+    getPresetRange,
+    buildReport,
+    getReportFilename,
+    toMarkdown,
+    toCSV,
+    toHTML,
+} from './report';
+
+/**
+ * @param {function} onClose
+ */
+export default function ReportBuilder({ onClose }) {
+    const workspace = useSelector(selectCurrentWorkspace);
+    const workspaceId = workspace?.id;
+    const todos = useSelector((state) => selectWorkspaceTodos(state, workspaceId));
+    const timerHistory = useSelector((state) => state.timer.history);
+    const logTypes = getLogTypes(workspace);
+
+    const [preset, setPreset] = useState('this-week');
+    const [range, setRange] = useState(() => getPresetRange('this-week'));
+    const isValid = Boolean(range.from && range.to && range.from <= range.to);
+
+    const report = useMemo(
+        () => isValid ? buildReport({ ...range, workspace, logTypes, todos, timerHistory }) : null,
+        [isValid, range, workspace, logTypes, todos, timerHistory]
+    );
+
+    const choosePreset = (id) => {
+        setPreset(id);
+        setRange(getPresetRange(id));
+    };
+
+    // Editing a date by hand leaves the presets
+    const changeDate = (key, value) => {
+        setPreset(null);
+        setRange({ ...range, [key]: value });
+    };
+
+    const printReport = () => {
+        const printWindow = window.open('', '_blank');
+        if (!printWindow) {
+            // Popup blocked: hand over the file instead
+            downloadFile(toHTML(report), getReportFilename(report, 'html'), 'text/html');
+            return;
+        }
+        printWindow.document.write(toHTML(report));
+        printWindow.document.close();
+        printWindow.focus();
+        printWindow.print();
+    };
+
+    return (
+        <>
+            <div className="modal-body">
+                {/* ====== RANGE ====== */}
+                <div className="report-range">
+                    <div className="report-presets">
+                        {RANGE_PRESETS.map(p => (
+                            <button
+                                key={p.id}
+                                type="button"
+                                className={`report-preset ${preset === p.id ? 'active' : ''}`}
+                                onClick={() => choosePreset(p.id)}
+                            >
+                                {p.label}
+                            </button>
+                        ))}
+                    </div>
+                    <div className="report-dates">
+                        <label>
+                            From
+                            <input
+                                type="date"
+                                className="glass-input"
+                                value={range.from}
+                                onChange={(e) => changeDate('from', e.target.value)}
+                            />
+                        </label>
+                        <label>
+                            To
+                            <input
+                                type="date"
+                                className="glass-input"
+                                value={range.to}
+                                onChange={(e) => changeDate('to', e.target.value)}
+                            />
+                        </label>
+                    </div>
+                </div>
+
+                {/* ====== SUMMARY ====== */}
+                {!report ? (
+                    <p className="no-data">Pick a start date on or before the end date.</p>
+                ) : (
+                    <>
+                        <div className="report-totals">
+                            <span><strong>{report.totals.focusHours.toFixed(1)}h</strong> focus</span>
+                            <span><strong>{report.totals.logHours.toFixed(1)}h</strong> logged</span>
+                            <span><strong>{report.totals.logs}</strong> check-ins</span>
+                            <span><strong>{report.totals.completedTodos}</strong> todos done</span>
+                            <span><strong>{report.totals.sessions}</strong> sessions</span>
+                        </div>
+
+                        <div className="report-days">
+                            <table>
+                                <thead>
+                                    <tr>
+                                        <th>Day</th>
+                                        <th>Focus</th>
+                                        <th>Logged</th>
+                                        <th>Check-ins</th>
+                                        <th>Todos</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {report.days.map(day => (
+                                        <tr key={day.dateKey} className={day.logs || day.focusHours || day.completedTodos ? '' : 'empty'}>
+                                            <td>{day.dateKey}</td>
+                                            <td>{day.focusHours.toFixed(1)}h</td>
+                                            <td>{day.logHours.toFixed(1)}h</td>
+                                            <td>{day.logs}</td>
+                                            <td>{day.completedTodos}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+
+                        {report.byType.length > 0 && (
+                            <div className="report-types">
+                                {report.byType.map(({ type, logs }) => (
+                                    <span key={type.id} className="report-type" style={{ '--type-color': type.color }}>
+                                        {type.icon} {type.label} · {logs.length}
+                                    </span>
+                                ))}
+                            </div>
+                        )}
+                    </>
+                )}
+            </div>
+
+            {/* ====== EXPORT ====== */}
+            <div className="modal-footer report-actions">
+                <button type="button" className="glass-button" onClick={onClose}>
+                    Close
+                </button>
+                <button
+                    type="button"
+                    className="glass-button"
+                    disabled={!report}
+                    onClick={() => downloadFile(toMarkdown(report), getReportFilename(report, 'md'), 'text/markdown')}
+                >
+                    📝 Markdown
+                </button>
+                <button
+                    type="button"
+                    className="glass-button"
+                    disabled={!report}
+                    onClick={() => downloadFile(toCSV(report), getReportFilename(report, 'csv'), 'text/csv')}
+                >
+                    📊 CSV
+                </button>
+                <button
+                    type="button"
+                    className="glass-button"
+                    disabled={!report}
+                    onClick={() => downloadFile(toHTML(report), getReportFilename(report, 'html'), 'text/html')}
+                >
+                    🌐 HTML
+                </button>
+                <button type="button" className="glass-button primary" disabled={!report} onClick={printReport}>
+                    🖨️ Print
+                </button>
+            </div>
+        </>
+    );
+}
@@ -0,0 +1,349 @@
+/**
+ * report.js - Date-range reports for timesheets and reviews
+ *
+ * buildReport() collects one workspace's activity between two local dates
+ * (inclusive): check-ins grouped by type, todos completed, Zen Timer focus
+ * sessions, and hours per day (typed into check-ins vs. measured focus).
+ * The report can be exported as Markdown, CSV (one row per item, for
+ * spreadsheets) or a standalone printable HTML page.
+ */
+
+import { toDateKey } from '../TodoList/todoUtils';
+import { FOCUS_MODES } from '../../redux/slices/timerSlice';
+import { countLogsByType } from '../SystemLogs/logUtils';
+
+// Quick ranges; weeks start on Monday
+export const RANGE_PRESETS = [
+    { id: 'this-week', label: 'This week' },
+    { id: 'last-week', label: 'Last week' },
+    { id: 'this-month', label: 'This month' },
+    { id: 'last-month', label: 'Last month' },
+];
+
+/**
+ * getPresetRange - { from, to } date keys ('YYYY-MM-DD') for a preset
+ */
+export const getPresetRange = (preset, now = new Date()) => {
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const monday = new Date(today);
+    monday.setDate(today.getDate() - ((today.getDay() + 6) % 7));
+
+    switch (preset) {
+        case 'last-week': {
+            const start = new Date(monday);
+            start.setDate(monday.getDate() - 7);
+            const end = new Date(monday);
+            end.setDate(monday.getDate() - 1);
+            return { from: toDateKey(start), to: toDateKey(end) };
+        }
+        case 'this-month':
+            return { from: toDateKey(new Date(today.getFullYear(), today.getMonth(), 1)), to: toDateKey(today) };
+        case 'last-month':
+            return {
+                from: toDateKey(new Date(today.getFullYear(), today.getMonth() - 1, 1)),
+                to: toDateKey(new Date(today.getFullYear(), today.getMonth(), 0)),
+            };
+        case 'this-week':
+        default:
+            return { from: toDateKey(monday), to: toDateKey(today) };
+    }
+};
+
+// Every date key from `from` to `to`, inclusive
+const getDateKeys = (from, to) => {
+    const keys = [];
+    const [year, month, day] = from.split('-').map(Number);
+    for (const date = new Date(year, month - 1, day); toDateKey(date) <= to; date.setDate(date.getDate() + 1)) {
+        keys.push(toDateKey(date));
+    }
+    return keys;
+};
+
+const dayOf = (isoString) => toDateKey(new Date(isoString));
+
+const byTime = (getTime) => (a, b) => new Date(getTime(a)) - new Date(getTime(b));
+
+// ============================================
+// BUILD
+// ============================================
+
+/**
+ * buildReport - Everything that happened in a workspace between two dates
+ *
+ * @param {object} sources - { from, to, workspace, logTypes, todos, timerHistory }
+ * @returns {object} {
+ *   from, to, workspaceName,
+ *   days: [{ dateKey, logHours, focusHours, logs, completedTodos }],
+ *   byType: [{ type, logs }],          // Oldest first, only types with check-ins
+ *   completedTodos: [todo],
+ *   sessions: [{ completedAt, duration, todoText }],
+ *   totals: { logHours, focusHours, logs, completedTodos, sessions }
+ * }
+ */
+export const buildReport = ({ from, to, workspace, logTypes, todos, timerHistory }) => {
+    const inRange = (isoString) => {
+        const day = dayOf(isoString);
+        return day >= from && day <= to;
+    };
+
+    const logs = (workspace?.logs || [])
+        .filter(log => inRange(log.timestamp))
+        .sort(byTime(log => log.timestamp));
+
+    const completedTodos = todos
+        .filter(todo => todo.completed && todo.completedAt && inRange(todo.completedAt))
+        .sort(byTime(todo => todo.completedAt));
+
+    const sessions = timerHistory
+        .filter(entry =>
+            entry.workspaceId === workspace?.id &&
+            FOCUS_MODES.includes(entry.mode) &&
+            inRange(entry.completedAt)
+        )
+        .sort(byTime(entry => entry.completedAt));
+
+    const days = getDateKeys(from, to).map(dateKey => {
+        const dayLogs = logs.filter(log => dayOf(log.timestamp) === dateKey);
+        return {
+            dateKey,
+            logHours: dayLogs.reduce((sum, log) => sum + (log.hours || 0), 0),
+            focusHours: sessions
+                .filter(entry => dayOf(entry.completedAt) === dateKey)
+                .reduce((sum, entry) => sum + entry.duration, 0) / 3600,
+            logs: dayLogs.length,
+            completedTodos: completedTodos.filter(todo => dayOf(todo.completedAt) === dateKey).length,
+        };
+    });
+
+    const byType = countLogsByType(logs, logTypes)
+        .filter(({ count }) => count > 0)
+        .map(({ type }) => ({ type, logs: logs.filter(log => log.type === type.id) }));
+
+    return {
+        from,
+        to,
+        workspaceName: workspace?.name || 'StackPad',
+        days,
+        byType,
+        completedTodos,
+        sessions,
+        totals: {
+            logHours: days.reduce((sum, day) => sum + day.logHours, 0),
+            focusHours: days.reduce((sum, day) => sum + day.focusHours, 0),
+            logs: logs.length,
+            completedTodos: completedTodos.length,
+            sessions: sessions.length,
+        },
+    };
+};
+
+// ============================================
+// FORMATTING
+// ============================================
+
+const formatHours = (hours) => `${hours.toFixed(1)}h`;
+
+const formatDay = (dateKey) => {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return new Date(year, month - 1, day).toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' });
+};
+
+const formatDateTime = (isoString) => `${dayOf(isoString)} ${new Date(isoString).toTimeString().slice(0, 5)}`;
+
+export const getReportTitle = (report) => `${report.workspaceName} report: ${report.from} to ${report.to}`;
+
+export const getReportFilename = (report, extension) =>
+    `stackpad-report-${report.from}-to-${report.to}.${extension}`;
+
+// Markdown table cells can't contain newlines or unescaped pipes
+const mdCell = (text) => String(text).replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+
+/**
+ * toMarkdown - Report as a Markdown document
+ */
+export const toMarkdown = (report) => {
+    const { totals } = report;
+    const lines = [
+        `# ${getReportTitle(report)}`,
+        '',
+        `- ⏱️ Focus time: ${formatHours(totals.focusHours)} (${totals.sessions} sessions)`,
+        `- 🕐 Hours logged in check-ins: ${formatHours(totals.logHours)}`,
+        `- 📋 Check-ins: ${totals.logs}`,
+        `- ✅ Todos completed: ${totals.completedTodos}`,
+        '',
+        '## Hours per day',
+        '',
+        '| Day | Focus | Logged | Check-ins | Todos done |',
+        '|-----|-------|--------|-----------|------------|',
+        ...report.days.map(day =>
+            `| ${formatDay(day.dateKey)} | ${formatHours(day.focusHours)} | ${formatHours(day.logHours)} | ${day.logs} | ${day.completedTodos} |`
+        ),
+        '',
+        '## Check-ins',
+    ];
+
+    if (report.byType.length === 0) lines.push('', '_None_');
+    report.byType.forEach(({ type, logs }) => {
+        lines.push('', `### ${type.icon} ${type.label} (${logs.length})`, '');
+        logs.forEach(log => {
+            const hours = log.hours > 0 ? ` (${log.hours}h)` : '';
+            const tags = (log.tags || []).map(tag => ` #${tag}`).join('');
+            lines.push(`- **${formatDateTime(log.timestamp)}**${hours}${tags}: ${log.content.replace(/\n/g, '\n  ')}`);
+        });
+    });
+
+    lines.push('', '## Completed todos', '');
+    if (report.completedTodos.length === 0) lines.push('_None_');
+    report.completedTodos.forEach(todo => {
+        lines.push(`- [x] ${todo.text} (${dayOf(todo.completedAt)})`);
+    });
+
+    lines.push('', '## Focus sessions', '');
+    if (report.sessions.length === 0) {
+        lines.push('_None_');
+    } else {
+        lines.push('| Finished | Minutes | Task |', '|----------|---------|------|');
+        report.sessions.forEach(entry => {
+            lines.push(`| ${formatDateTime(entry.completedAt)} | ${Math.round(entry.duration / 60)} | ${mdCell(entry.todoText || '')} |`);
+        });
+    }
+
+    lines.push('', '*Generated with StackPad*');
+    return lines.join('\n');
+};
+
+// Quote a CSV field when it has commas, quotes or newlines
+const csvField = (value) => {
+    const text = String(value ?? '');
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * toCSV - One row per check-in, completed todo and focus session
+ * Columns: date, time, kind, type, description, hours, tags
+ */
+export const toCSV = (report) => {
+    const rows = [
+        ...report.byType.flatMap(({ type, logs }) => logs.map(log => ({
+            at: log.timestamp, kind: 'check-in', type: type.label, description: log.content,
+            hours: log.hours || '', tags: (log.tags || []).join(' '),
+        }))),
+        ...report.completedTodos.map(todo => ({
+            at: todo.completedAt, kind: 'todo', type: todo.priority, description: todo.text,
+            hours: '', tags: (todo.tags || []).join(' '),
+        })),
+        ...report.sessions.map(entry => ({
+            at: entry.completedAt, kind: 'focus', type: entry.mode, description: entry.todoText || '',
+            hours: (entry.duration / 3600).toFixed(2), tags: '',
+        })),
+    ].sort(byTime(row => row.at));
+
+    return [
+        ['date', 'time', 'kind', 'type', 'description', 'hours', 'tags'],
+        ...rows.map(row => {
+            const [date, time] = formatDateTime(row.at).split(' ');
+            return [date, time, row.kind, row.type, row.description, row.hours, row.tags];
+        }),
+    ].map(fields => fields.map(csvField).join(',')).join('\r\n');
+};
+
+const escapeHtml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * toHTML - Standalone page with print styles (open it and print, or save as PDF)
+ */
+export const toHTML = (report) => {
+    const { totals } = report;
+    const title = escapeHtml(getReportTitle(report));
+
+    const dayRows = report.days.map(day => `
+        <tr>
+            <td>${escapeHtml(formatDay(day.dateKey))}</td>
+            <td>${formatHours(day.focusHours)}</td>
+            <td>${formatHours(day.logHours)}</td>
+            <td>${day.logs}</td>
+            <td>${day.completedTodos}</td>
+        </tr>`).join('');
+
+    const typeSections = report.byType.map(({ type, logs }) => `
+        <h3>${escapeHtml(`${type.icon} ${type.label}`)} (${logs.length})</h3>
+        <ul>${logs.map(log => `
+            <li>
+                <span class="meta">${formatDateTime(log.timestamp)}${log.hours > 0 ? ` · ${log.hours}h` : ''}${(log.tags || []).map(tag => ` · #${escapeHtml(tag)}`).join('')}</span>
+                <div class="content">${escapeHtml(log.content)}</div>
+            </li>`).join('')}
+        </ul>`).join('') || '<p class="none">None</p>';
+
+    const todoItems = report.completedTodos.map(todo => `
+            <li>✅ ${escapeHtml(todo.text)} <span class="meta">${dayOf(todo.completedAt)}</span></li>`).join('');
+
+    const sessionRows = report.sessions.map(entry => `
+        <tr>
+            <td>${formatDateTime(entry.completedAt)}</td>
+            <td>${Math.round(entry.duration / 60)}</td>
+            <td>${escapeHtml(entry.todoText || '')}</td>
+        </tr>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${title}</title>
+<style>
+    body { font-family: system-ui, -apple-system, sans-serif; color: #1a1a1a; max-width: 800px; margin: 2rem auto; padding: 0 1rem; line-height: 1.5; }
+    h1 { font-size: 1.5rem; margin-bottom: 0.25rem; }
+    h2 { font-size: 1.15rem; margin-top: 2rem; border-bottom: 1px solid #ddd; padding-bottom: 0.25rem; }
+    h3 { font-size: 1rem; margin-bottom: 0.25rem; }
+    table { width: 100%; border-collapse: collapse; font-size: 0.9rem; }
+    th, td { text-align: left; padding: 4px 8px; border-bottom: 1px solid #eee; }
+    th { background: #f5f5f5; }
+    ul { padding-left: 1.25rem; }
+    li { margin-bottom: 0.5rem; }
+    .summary { display: flex; flex-wrap: wrap; gap: 1.5rem; margin: 1rem 0; }
+    .summary strong { display: block; font-size: 1.25rem; }
+    .meta { color: #666; font-size: 0.8rem; }
+    .content { white-space: pre-wrap; }
+    .none { color: #666; font-style: italic; }
+    footer { margin-top: 2rem; color: #999; font-size: 0.8rem; }
+    @media print { body { margin: 0; } h2 { break-after: avoid; } tr, li { break-inside: avoid; } }
+</style>
+</head>
+<body>
+    <h1>${title}</h1>
+    <div class="summary">
+        <div><strong>${formatHours(totals.focusHours)}</strong>Focus (${totals.sessions} sessions)</div>
+        <div><strong>${formatHours(totals.logHours)}</strong>Logged in check-ins</div>
+        <div><strong>${totals.logs}</strong>Check-ins</div>
+        <div><strong>${totals.completedTodos}</strong>Todos completed</div>
+    </div>
+
+    <h2>Hours per day</h2>
+    <table>
+        <thead><tr><th>Day</th><th>Focus</th><th>Logged</th><th>Check-ins</th><th>Todos done</th></tr></thead>
+        <tbody>${dayRows}
+        </tbody>
+    </table>
+
+    <h2>Check-ins</h2>
+    ${typeSections}
+
+    <h2>Completed todos</h2>
+    ${todoItems ? `<ul>${todoItems}
+    </ul>` : '<p class="none">None</p>'}
+
+    <h2>Focus sessions</h2>
+    ${sessionRows ? `<table>
+        <thead><tr><th>Finished</th><th>Minutes</th><th>Task</th></tr></thead>
+        <tbody>${sessionRows}
+        </tbody>
+    </table>` : '<p class="none">None</p>'}
+
+    <footer>Generated with StackPad</footer>
+</body>
+</html>
+`;
+};
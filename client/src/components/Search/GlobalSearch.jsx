@@ -0,0 +1,186 @@
+/**
+ * GlobalSearch.jsx - Search across all workspaces
+ *
+ * One search box for the sticky notes, check-in logs, todos and Slack
+ * drafts of every workspace (see searchIndex.js). Results are grouped by
+ * workspace (the current one first), then by type, with the matched words
+ * highlighted. Opening a result switches to its workspace, goes to the
+ * section and flashes the note or entry.
+ *
+ * The query lives in the URL (?q=), so a search can be bookmarked.
+ * The command palette shows the best matches too, plus "Search everywhere".
+ */
+
+import { useMemo } from 'react';
+import { useSelector, useDispatch } from 'react-redux';
+import { useNavigate } from 'react-router-dom';
+import { sectionPath, useSearchParamState } from '../../routing';
+import { registerPaletteProvider, sendIntent, useIntent } from '../CommandPalette/paletteRegistry';
+import {
+    MIN_QUERY_LENGTH,
+    getSearchTerms,
+    highlightTerms,
+    searchWorkspaces,
+    openSearchResult,
+} from './searchIndex';
+import './GlobalSearch.css';
+
+// Matches shown in the command palette
+const PALETTE_RESULTS = 5;
+
+// Command palette: best matches from every workspace, and a link to the full results
+registerPaletteProvider('search', ({ query, state, dispatch, navigate }) => {
+    if (query.trim().length < 3) return [];
+
+    const hits = searchWorkspaces(query, {
+        workspaces: state.workspace.workspaces,
+        todosByWorkspace: state.todos.byWorkspace,
+        currentId: state.workspace.currentId,
+    })
+        .flatMap(({ workspace, groups }) => groups.flatMap(({ type, results }) =>
+            results.map(result => ({ result, workspace, type }))
+        ))
+        .sort((a, b) => b.result.score - a.result.score)
+        .slice(0, PALETTE_RESULTS);
+
+    return [
+        ...hits.map(({ result, workspace, type }) => ({
+            id: `search-${result.key}`,
+            group: 'Search',
+            icon: type.icon,
+            label: result.title,
+            hint: `${workspace.name} · ${type.label}`,
+            dynamic: true,
+            score: 20 + result.score,
+            run: () => openSearchResult(result, { dispatch, navigate, query }),
+        })),
+        {
+            id: 'search-everywhere',
+            group: 'Search',
+            icon: '🔎',
+            label: `Search all workspaces for “${query.trim()}”`,
+            dynamic: true,
+            score: 10,
+            run: () => {
+                navigate('search');
+                sendIntent('search/query', { query: query.trim() });
+            },
+        },
+    ];
+});
+
+const formatDate = (timestamp) => new Date(timestamp).toLocaleDateString();
+
+// Text with the search terms wrapped in <mark>
+function Highlighted({ text, terms }) {
+    return highlightTerms(text, terms).map((part, index) =>
+        part.match ? <mark key={index}>{part.text}</mark> : part.text
+    );
+}
+
+export default function GlobalSearch() {
+    const dispatch = useDispatch();
+    const navigate = useNavigate();
+    const { workspaces, currentId } = useSelector((state) => state.workspace);
+    const todosByWorkspace = useSelector((state) => state.todos.byWorkspace);
+
+    const [query, setQuery] = useSearchParamState('q', '');
+    const terms = getSearchTerms(query);
+
+    // Palette's "Search all workspaces for …"
+    useIntent('search/query', ({ query: text }) => setQuery(text));
+
+    const groups = useMemo(
+        () => searchWorkspaces(query, { workspaces, todosByWorkspace, currentId }),
+        [query, workspaces, todosByWorkspace, currentId]
+    );
+    const total = groups.reduce((sum, group) => sum + group.total, 0);
+
+    const openResult = (result) => openSearchResult(result, {
+        dispatch,
+        navigate: (section) => navigate(sectionPath(result.workspaceId, section)),
+        query,
+    });
+
+    // Enter opens the first result
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        const first = groups[0]?.groups[0]?.results[0];
+        if (first) openResult(first);
+    };
+
+    return (
+        <div className="global-search">
+            {/* ====== HEADER ====== */}
+            <div className="global-search-header">
+                <h2 className="global-search-title">🔎 Search</h2>
+                <p className="global-search-subtitle">Notes, to-dos, check-ins and Slack drafts in every workspace</p>
+            </div>
+
+            <form className="global-search-form" onSubmit={handleSubmit}>
+                <input
+                    type="search"
+                    className="glass-input global-search-input"
+                    placeholder="Search everything..."
+                    value={query}
+                    onChange={(e) => setQuery(e.target.value)}
+                    autoFocus
+                />
+            </form>
+
+            {/* ====== RESULTS ====== */}
+            {query.trim().length < MIN_QUERY_LENGTH ? (
+                <p className="global-search-empty">
+                    Type at least {MIN_QUERY_LENGTH} characters. All words must match, in any order.
+                </p>
+            ) : total === 0 ? (
+                <p className="global-search-empty">No matches for “{query.trim()}”</p>
+            ) : (
+                <>
+                    <p className="global-search-count">
+                        {total} {total === 1 ? 'match' : 'matches'} in {groups.length} {groups.length === 1 ? 'workspace' : 'workspaces'}
+                    </p>
+
+                    {groups.map(({ workspace, total: count, groups: typeGroups }) => (
+                        <section key={workspace.id} className="global-search-workspace glass-card">
+                            <h3 className="global-search-workspace-name">
+                                {workspace.name}
+                                {workspace.id === currentId && <span className="global-search-current">current</span>}
+                                <span className="global-search-badge">{count}</span>
+                            </h3>
+
+                            {typeGroups.map(({ type, results }) => (
+                                <div key={type.id} className="global-search-type">
+                                    <h4>{type.icon} {type.label}</h4>
+                                    <ul>
+                                        {results.map(result => (
+                                            <li key={result.key}>
+                                                <button
+                                                    type="button"
+                                                    className="global-search-result"
+                                                    onClick={() => openResult(result)}
+                                                >
+                                                    <span className="global-search-result-title">
+                                                        <Highlighted text={result.title} terms={terms} />
+                                                    </span>
+                                                    {result.snippet && (
+                                                        <span className="global-search-snippet">
+                                                            <Highlighted text={result.snippet} terms={terms} />
+                                                        </span>
+                                                    )}
+                                                    {result.timestamp && (
+                                                        <span className="global-search-meta">{formatDate(result.timestamp)}</span>
+                                                    )}
+                                                </button>
+                                            </li>
+                                        ))}
+                                    </ul>
+                                </div>
+                            ))}
+                        </section>
+                    ))}
+                </>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,196 @@
+/**
+ * searchIndex.js - Full-text search across every workspace
+ *
+ * Looks through the sticky notes, check-in logs (text, tags), todos (text,
+ * notes, tags, subtasks) and Slack draft of each workspace. An entry
+ * matches when every word of the query appears in it, case-insensitive,
+ * in any order.
+ *
+ * Opening a result switches to its workspace, navigates to its section and
+ * sends a '<section>/highlight' intent ({ id, query }) so the section can
+ * scroll to the entry and flash it.
+ */
+
+import { switchWorkspace } from '../../redux/slices/workspaceSlice';
+import { sendIntent } from '../CommandPalette/paletteRegistry';
+
+// Result types, in the order they're listed within a workspace
+export const RESULT_TYPES = [
+    { id: 'note', label: 'Notes', icon: '📌', section: 'notes' },
+    { id: 'todo', label: 'To-Do', icon: '✅', section: 'todos' },
+    { id: 'log', label: 'Check-Ins', icon: '📋', section: 'logs' },
+    { id: 'slack', label: 'Slack Draft', icon: '💬', section: 'slack' },
+];
+
+// Queries shorter than this aren't searched
+export const MIN_QUERY_LENGTH = 2;
+
+// How long an opened result keeps its .search-hit flash (see index.css)
+export const HIGHLIGHT_DURATION = 2400;
+
+// Characters of context on each side of the first match in a snippet
+const SNIPPET_RADIUS = 60;
+
+export const getSlackDraft = (workspaceId) =>
+    localStorage.getItem(`stackpad_slack_draft_${workspaceId}`) || '';
+
+export const getSearchTerms = (query) =>
+    query.toLowerCase().split(/\s+/).filter(Boolean);
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// A note's (or draft's) first line (without Markdown markers like "# " or "- [ ] ") and the rest
+const splitNote = (content) => {
+    const lines = content.split('\n');
+    const first = lines.findIndex(line => line.trim());
+    if (first === -1) return { title: '', body: '' };
+    return {
+        title: lines[first].replace(/^\s*(?:#{1,6}|>|[-*+]|\d+\.)?\s*(?:\[[ xX]\]\s*)?/, '').trim(),
+        body: lines.slice(first + 1).join('\n'),
+    };
+};
+
+// ============================================
+// ENTRIES
+// ============================================
+
+/**
+ * getEntries - Everything searchable in one workspace
+ *
+ * @returns {Array} [{ type, id, title, body }]
+ */
+const getEntries = (workspace, todos, draft) => [
+    ...(workspace.notes || []).map(note => {
+        const { title, body } = splitNote(note.content || '');
+        return { type: 'note', id: note.id, title: title || 'Untitled note', body };
+    }),
+    ...todos.map(todo => ({
+        type: 'todo',
+        id: todo.id,
+        title: todo.text,
+        body: [
+            todo.notes,
+            ...(todo.subtasks || []).map(subtask => subtask.text),
+            ...(todo.tags || []).map(tag => `#${tag}`),
+        ].filter(Boolean).join('\n'),
+    })),
+    ...(workspace.logs || []).map(log => ({
+        type: 'log',
+        id: log.id,
+        title: log.content,
+        body: (log.tags || []).map(tag => `#${tag}`).join(' '),
+        timestamp: log.timestamp,
+    })),
+    ...(draft.trim() ? [{ type: 'slack', id: 'draft', ...splitNote(draft) }] : []),
+];
+
+/**
+ * scoreEntry - How well an entry matches (0 = it doesn't)
+ * Every term must appear; matches in the title count more.
+ */
+const scoreEntry = (entry, terms) => {
+    const title = entry.title.toLowerCase();
+    const body = entry.body.toLowerCase();
+    let score = 0;
+    for (const term of terms) {
+        const inTitle = title.split(term).length - 1;
+        const inBody = body.split(term).length - 1;
+        if (inTitle + inBody === 0) return 0;
+        score += inTitle * 3 + inBody;
+    }
+    return score;
+};
+
+/**
+ * getSnippet - The part of `text` around the first match, on one line
+ * Returns '' when none of the terms are in the text.
+ */
+export const getSnippet = (text, terms, radius = SNIPPET_RADIUS) => {
+    const flat = text.replace(/\s+/g, ' ').trim();
+    const lower = flat.toLowerCase();
+    const positions = terms.map(term => lower.indexOf(term)).filter(index => index >= 0);
+    if (positions.length === 0) return '';
+
+    const first = Math.min(...positions);
+    let start = Math.max(0, first - radius);
+    let end = Math.min(flat.length, first + radius * 2);
+    // Don't cut words in half
+    if (start > 0) start = flat.indexOf(' ', start) + 1 || start;
+    if (end < flat.length) end = flat.lastIndexOf(' ', end) > first ? flat.lastIndexOf(' ', end) : end;
+
+    return `${start > 0 ? '…' : ''}${flat.slice(start, end)}${end < flat.length ? '…' : ''}`;
+};
+
+/**
+ * highlightTerms - Splits text into [{ text, match }] parts for <mark>ing the terms
+ */
+export const highlightTerms = (text, terms) => {
+    if (terms.length === 0) return [{ text, match: false }];
+    const pattern = new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'gi');
+    return text
+        .split(pattern)
+        .filter(Boolean)
+        .map(part => ({ text: part, match: terms.includes(part.toLowerCase()) }));
+};
+
+// ============================================
+// SEARCH
+// ============================================
+
+/**
+ * searchWorkspaces - Searches every workspace
+ *
+ * @param {string} query
+ * @param {object} sources - { workspaces, todosByWorkspace, currentId, getDraft(workspaceId) }
+ * @returns {Array} [{ workspace, total, groups: [{ type, results }] }] - The current
+ *   workspace first, then by best match. A result is
+ *   { key, type, id, workspaceId, title, snippet, timestamp, score }.
+ */
+export const searchWorkspaces = (query, { workspaces, todosByWorkspace, currentId, getDraft = getSlackDraft }) => {
+    const terms = getSearchTerms(query);
+    if (query.trim().length < MIN_QUERY_LENGTH || terms.length === 0) return [];
+
+    return workspaces
+        .map(workspace => {
+            const results = getEntries(workspace, todosByWorkspace[workspace.id] || [], getDraft(workspace.id))
+                .map(entry => ({ ...entry, score: scoreEntry(entry, terms) }))
+                .filter(entry => entry.score > 0)
+                .map(({ body, ...entry }) => ({
+                    ...entry,
+                    key: `${workspace.id}-${entry.type}-${entry.id}`,
+                    workspaceId: workspace.id,
+                    snippet: getSnippet(body, terms),
+                }));
+
+            const groups = RESULT_TYPES
+                .map(type => ({
+                    type,
+                    results: results.filter(r => r.type === type.id).sort((a, b) => b.score - a.score),
+                }))
+                .filter(group => group.results.length > 0);
+
+            return {
+                workspace,
+                total: results.length,
+                best: Math.max(0, ...results.map(r => r.score)),
+                groups,
+            };
+        })
+        .filter(group => group.total > 0)
+        .sort((a, b) =>
+            (b.workspace.id === currentId) - (a.workspace.id === currentId) || b.best - a.best
+        );
+};
+
+/**
+ * openSearchResult - Switches workspace, goes to the result's section and highlights it
+ *
+ * @param {object} result - From searchWorkspaces()
+ * @param {object} context - { dispatch, navigate(sectionId), query }
+ */
+export const openSearchResult = (result, { dispatch, navigate, query = '' }) => {
+    const { section } = RESULT_TYPES.find(type => type.id === result.type);
+    dispatch(switchWorkspace(result.workspaceId));
+    navigate(section);
+    sendIntent(`${section}/highlight`, { id: result.id, query });
+};
@@ -5,11 +5,14 @@
  * 
  * Sections:
  * 1. Appearance - Theme switching (light/dark mode)
- * 2. Data Management - Export, import, and clear data
- * 3. About - App version and credits
+ * 2. Zen Timer - Pomodoro cycle, auto-start and daily goal (per workspace)
+ * 3. Timer Alerts - Desktop notifications, chime, volume, tab title countdown
+ * 4. GitHub - Username, access token and API URL (used by the todo issue sync)
+ * 5. Data Management - Export, import, and clear data
+ * 6. About - App version and credits
  * 
  * Key features:
- * - Export all data as JSON backup file
+ * - Export all data as JSON backup file (without the GitHub token)
  * - Import previously exported backup to restore data
  * - Clear all data with confirmation
  */
@@ -17,11 +20,39 @@
 import { useState, useRef } from 'react';
 import { useSelector, useDispatch } from 'react-redux';
 import { toggleTheme } from '../../redux/slices/themeSlice';
+import { selectCurrentWorkspace } from '../../redux/slices/workspaceSlice';
+import {
+    TIMER_PRESETS,
+    selectTimerSettings,
+    updateTimerSettings,
+    updateAlertSettings,
+} from '../../redux/slices/timerSlice';
+import {
+    CHIMES,
+    playChime,
+    getNotificationPermission,
+    requestNotificationPermission,
+} from '../ZenTimer/timerAlerts';
+import {
+    DEFAULT_API_URL,
+    BACKUP_EXCLUDED_KEYS,
+    loadGitHubConfig,
+    saveGitHubConfig,
+    getGitHubToken,
+    setGitHubToken,
+    createGitHubClient,
+} from '../GitHub/githubApi';
 import './Settings.css';
 
 export default function Settings() {
     const dispatch = useDispatch();
     const { mode } = useSelector((state) => state.theme);
+    const currentWorkspace = useSelector(selectCurrentWorkspace);
+    const timerSettings = useSelector(selectTimerSettings);
+    const alerts = useSelector((state) => state.timer.alerts);
+
+    // Browser notification permission ('default' until the user is asked)
+    const [notificationPermission, setNotificationPermission] = useState(getNotificationPermission);
 
     // Ref to hidden file input for import functionality
     const fileInputRef = useRef(null);
@@ -29,6 +60,77 @@ export default function Settings() {
     // Track import status (success/error message)
     const [importStatus, setImportStatus] = useState(null);
 
+    // GitHub connection (kept in localStorage by githubApi.js, not Redux)
+    const [github, setGithub] = useState(() => ({ ...loadGitHubConfig(), token: getGitHubToken() }));
+    const [githubStatus, setGithubStatus] = useState(null);
+
+    /**
+     * changeTimerSettings - Saves timer settings for the current workspace
+     */
+    const changeTimerSettings = (changes) => {
+        dispatch(updateTimerSettings({ workspaceId: currentWorkspace.id, changes }));
+    };
+
+    // Number inputs: the raw text while typing (so a field can be cleared to
+    // type a new number); valid numbers save right away, others on blur
+    const [timerDrafts, setTimerDrafts] = useState({});
+
+    const changeTimerNumber = (key, value, min, max) => {
+        setTimerDrafts({ ...timerDrafts, [key]: value });
+        const number = Number(value);
+        if (value !== '' && Number.isInteger(number) && number >= min && number <= max) {
+            changeTimerSettings({ [key]: number });
+        }
+    };
+
+    // Leaving the field: whole number within the range (empty → unchanged)
+    const saveTimerNumber = (key, min, max) => {
+        if (!(key in timerDrafts)) return;
+        const number = parseInt(timerDrafts[key], 10);
+        if (!Number.isNaN(number)) changeTimerSettings({ [key]: Math.min(max, Math.max(min, number)) });
+        const { [key]: _, ...drafts } = timerDrafts;
+        setTimerDrafts(drafts);
+    };
+
+    // The named preset matching the current cycle, if any
+    const activePreset = TIMER_PRESETS.find(preset =>
+        Object.entries(preset.values).every(([key, value]) => timerSettings[key] === value)
+    );
+
+    /**
+     * enableNotifications - Asks for permission (if needed) and turns notifications on
+     */
+    const enableNotifications = async () => {
+        const permission = await requestNotificationPermission();
+        setNotificationPermission(permission);
+        if (permission === 'granted') {
+            dispatch(updateAlertSettings({ notifications: true }));
+        }
+    };
+
+    /**
+     * changeGitHub - Saves a GitHub setting (the token goes to its own key)
+     */
+    const changeGitHub = (key, value) => {
+        setGithub(prev => ({ ...prev, [key]: value }));
+        setGithubStatus(null);
+        if (key === 'token') setGitHubToken(value.trim());
+        else saveGitHubConfig({ [key]: value.trim() });
+    };
+
+    /**
+     * testGitHub - Checks the token/API URL by asking who we are
+     */
+    const testGitHub = async () => {
+        setGithubStatus({ type: 'info', message: 'Connecting…' });
+        try {
+            const { data } = await createGitHubClient().request('/user');
+            setGithubStatus({ type: 'success', message: `Connected as @${data.login}` });
+        } catch (err) {
+            setGithubStatus({ type: 'error', message: err.message });
+        }
+    };
+
     /**
      * clearAllData - Wipes all localStorage data
      * Shows confirmation dialog before proceeding
@@ -54,8 +156,8 @@ export default function Settings() {
         // Iterate through all localStorage items
         for (let i = 0; i < localStorage.length; i++) {
             const key = localStorage.key(i);
-            // Only include StackPad data (not other sites' data)
-            if (key.startsWith('stackpad')) {
+            // Only include StackPad data (not other sites' data), without the GitHub token/cache
+            if (key.startsWith('stackpad') && !BACKUP_EXCLUDED_KEYS.includes(key)) {
                 try {
                     data[key] = JSON.parse(localStorage.getItem(key));
                 } catch {
@@ -174,6 +276,279 @@ export default function Settings() {
                 </div>
             </div>
 
+            {/* ====== ZEN TIMER SECTION ====== */}
+            <div className="settings-section glass-card">
+                <h3 className="section-title">🧘 Zen Timer · {currentWorkspace?.name}</h3>
+
+                {/* Named presets */}
+                <div className="setting-row">
+                    <div className="setting-info">
+                        <span className="setting-label">Preset</span>
+                        <span className="setting-desc">
+                            {activePreset ? activePreset.name : 'Custom cycle'} - applies to this workspace only
+                        </span>
+                    </div>
+                    <div className="theme-options timer-presets">
+                        {TIMER_PRESETS.map(preset => (
+                            <button
+                                key={preset.id}
+                                className={`theme-option ${activePreset?.id === preset.id ? 'active' : ''}`}
+                                onClick={() => changeTimerSettings(preset.values)}
+                            >
+                                {preset.name}
+                            </button>
+                        ))}
+                    </div>
+                </div>
+
+                {/* Cycle lengths */}
+                <div className="setting-row">
+                    <div className="setting-info">
+                        <span className="setting-label">Cycle</span>
+                        <span className="setting-desc">Focus and break lengths in minutes</span>
+                    </div>
+                    <div className="timer-lengths">
+                        {[
+                            { key: 'work', label: 'Focus' },
+                            { key: 'shortBreak', label: 'Short' },
+                            { key: 'longBreak', label: 'Long' },
+                        ].map(({ key, label }) => (
+                            <label key={key} className="timer-length">
+                                <span>{label}</span>
+                                <input
+                                    type="number"
+                                    min="1"
+                                    max="480"
+                                    className="glass-input"
+                                    value={timerDrafts[key] ?? timerSettings[key]}
+                                    onChange={(e) => changeTimerNumber(key, e.target.value, 1, 480)}
+                                    onBlur={() => saveTimerNumber(key, 1, 480)}
+                                />
+                            </label>
+                        ))}
+                    </div>
+                </div>
+
+                {/* Long break interval */}
+                <div className="setting-row">
+                    <div className="setting-info">
+                        <span className="setting-label">Long break every</span>
+                        <span className="setting-desc">Focus sessions before a long break</span>
+                    </div>
+                    <input
+                        type="number"
+                        min="1"
+                        max="12"
+                        className="glass-input timer-number"
+                        value={timerDrafts.sessionsBeforeLongBreak ?? timerSettings.sessionsBeforeLongBreak}
+                        onChange={(e) => changeTimerNumber('sessionsBeforeLongBreak', e.target.value, 1, 12)}
+                        onBlur={() => saveTimerNumber('sessionsBeforeLongBreak', 1, 12)}
+                    />
+                </div>
+
+                {/* Auto-start */}
+                <div className="setting-row">
+                    <div className="setting-info">
+                        <span className="setting-label">Auto-start</span>
+                        <span className="setting-desc">Start the next timer as soon as one ends</span>
+                    </div>
+                    <div className="timer-toggles">
+                        <label className="timer-toggle">
+                            <input
+                                type="checkbox"
+                                checked={timerSettings.autoStartBreaks}
+                                onChange={(e) => changeTimerSettings({ autoStartBreaks: e.target.checked })}
+                            />
+                            Breaks
+                        </label>
+                        <label className="timer-toggle">
+                            <input
+                                type="checkbox"
+                                checked={timerSettings.autoStartFocus}
+                                onChange={(e) => changeTimerSettings({ autoStartFocus: e.target.checked })}
+                            />
+                            Next focus
+                        </label>
+                    </div>
+                </div>
+
+                {/* Daily goal */}
+                <div className="setting-row">
+                    <div className="setting-info">
+                        <span className="setting-label">Daily goal</span>
+                        <span className="setting-desc">Focus sessions per day (0 = no goal)</span>
+                    </div>
+                    <input
+                        type="number"
+                        min="0"
+                        max="50"
+                        className="glass-input timer-number"
+                        value={timerDrafts.dailyGoal ?? timerSettings.dailyGoal}
+                        onChange={(e) => changeTimerNumber('dailyGoal', e.target.value, 0, 50)}
+                        onBlur={() => saveTimerNumber('dailyGoal', 0, 50)}
+                    />
+                </div>
+            </div>
+
+            {/* ====== TIMER ALERTS SECTION ====== */}
+            <div className="settings-section glass-card">
+                <h3 className="section-title">🔔 Timer Alerts</h3>
+
+                {/* Desktop notifications - needs browser permission first */}
+                <div className="setting-row">
+                    <div className="setting-info">
+                        <span className="setting-label">Desktop notifications</span>
+                        <span className="setting-desc">
+                            {notificationPermission === 'unsupported' && 'Not supported in this browser'}
+                            {notificationPermission === 'denied' && 'Blocked - allow notifications for this site in your browser settings'}
+                            {notificationPermission === 'default' && 'Get notified when a session ends, even in a background tab'}
+                            {notificationPermission === 'granted' && 'Shown when a session ends, even in a background tab'}
+                        </span>
+                    </div>
+                    {notificationPermission === 'granted' ? (
+                        <label className="timer-toggle">
+                            <input
+                                type="checkbox"
+                                checked={alerts.notifications}
+                                onChange={(e) => dispatch(updateAlertSettings({ notifications: e.target.checked }))}
+                            />
+                            Enabled
+                        </label>
+                    ) : (
+                        <button
+                            className="glass-button"
+                            onClick={enableNotifications}
+                            disabled={notificationPermission !== 'default'}
+                        >
+                            🔔 Enable
+                        </button>
+                    )}
+                </div>
+
+                {/* Chime */}
+                <div className="setting-row">
+                    <div className="setting-info">
+                        <span className="setting-label">Sound</span>
+                        <span className="setting-desc">Played when a session ends (works offline)</span>
+                    </div>
+                    <div className="chime-controls">
+                        <select
+                            className="glass-input chime-select"
+                            value={alerts.chime}
+                            onChange={(e) => {
+                                dispatch(updateAlertSettings({ chime: e.target.value }));
+                                playChime(e.target.value, alerts.volume);
+                            }}
+                        >
+                            {Object.entries(CHIMES).map(([id, chime]) => (
+                                <option key={id} value={id}>{chime.label}</option>
+                            ))}
+                        </select>
+                        <button
+                            className="glass-button"
+                            onClick={() => playChime(alerts.chime, alerts.volume)}
+                            disabled={alerts.chime === 'none'}
+                            title="Preview"
+                        >
+                            ▶
+                        </button>
+                    </div>
+                </div>
+
+                {/* Volume */}
+                <div className="setting-row">
+                    <div className="setting-info">
+                        <span className="setting-label">Volume</span>
+                        <span className="setting-desc">{Math.round(alerts.volume * 100)}%</span>
+                    </div>
+                    <input
+                        type="range"
+                        min="0"
+                        max="100"
+                        className="volume-slider"
+                        value={Math.round(alerts.volume * 100)}
+                        onChange={(e) => dispatch(updateAlertSettings({ volume: Number(e.target.value) / 100 }))}
+                        onPointerUp={() => playChime(alerts.chime, alerts.volume)}
+                    />
+                </div>
+
+                {/* Tab title countdown */}
+                <div className="setting-row">
+                    <div className="setting-info">
+                        <span className="setting-label">Countdown in tab title</span>
+                        <span className="setting-desc">Show the time left in the browser tab while a session runs</span>
+                    </div>
+                    <label className="timer-toggle">
+                        <input
+                            type="checkbox"
+                            checked={alerts.titleCountdown}
+                            onChange={(e) => dispatch(updateAlertSettings({ titleCountdown: e.target.checked }))}
+                        />
+                        Enabled
+                    </label>
+                </div>
+            </div>
+
+            {/* ====== GITHUB SECTION ====== */}
+            <div className="settings-section glass-card">
+                <h3 className="section-title">🐙 GitHub</h3>
+
+                <div className="setting-row">
+                    <div className="setting-info">
+                        <span className="setting-label">Username</span>
+                        <span className="setting-desc">Issues assigned to this user are imported into each workspace's todos</span>
+                    </div>
+                    <input
+                        type="text"
+                        className="glass-input github-input"
+                        placeholder="octocat"
+                        value={github.username}
+                        onChange={(e) => changeGitHub('username', e.target.value)}
+                    />
+                </div>
+
+                <div className="setting-row">
+                    <div className="setting-info">
+                        <span className="setting-label">Access token</span>
+                        <span className="setting-desc">Needed for private repos. Stored only in this browser and left out of backups</span>
+                    </div>
+                    <input
+                        type="password"
+                        className="glass-input github-input"
+                        placeholder="ghp_…"
+                        autoComplete="off"
+                        value={github.token}
+                        onChange={(e) => changeGitHub('token', e.target.value)}
+                    />
+                </div>
+
+                <div className="setting-row">
+                    <div className="setting-info">
+                        <span className="setting-label">API URL</span>
+                        <span className="setting-desc">Change for GitHub Enterprise or a local mock server</span>
+                    </div>
+                    <input
+                        type="url"
+                        className="glass-input github-input"
+                        placeholder={DEFAULT_API_URL}
+                        value={github.apiUrl}
+                        onChange={(e) => changeGitHub('apiUrl', e.target.value || DEFAULT_API_URL)}
+                    />
+                </div>
+
+                <div className="setting-row">
+                    <div className="setting-info">
+                        <span className="setting-label">Connection</span>
+                        {githubStatus && (
+                            <span className={`setting-desc github-status ${githubStatus.type}`}>{githubStatus.message}</span>
+                        )}
+                    </div>
+                    <button className="glass-button" onClick={testGitHub} disabled={!github.token}>
+                        🔌 Test
+                    </button>
+                </div>
+            </div>
+
             {/* ====== DATA MANAGEMENT SECTION ====== */}
             <div className="settings-section glass-card">
                 <h3 className="section-title">💾 Data Management</h3>
@@ -1,63 +1,84 @@
-import { useState, useEffect, useRef } from 'react';
+import { useState, useRef } from 'react';
 import './DraggableSatellite.css';
 
+// Arrow key nudge steps (px)
+const NUDGE_STEP = 10;
+const NUDGE_STEP_LARGE = 50;
+
+const ARROW_KEYS = {
+    ArrowLeft: { x: -1, y: 0 },
+    ArrowRight: { x: 1, y: 0 },
+    ArrowUp: { x: 0, y: -1 },
+    ArrowDown: { x: 0, y: 1 },
+};
+
+// Simple boundary constraints
+const clampPosition = (x, y) => ({
+    x: Math.max(0, Math.min(x, window.innerWidth - 300)),
+    y: Math.max(0, Math.min(y, window.innerHeight - 50)),
+});
+
 export default function DraggableSatellite({ onClose, initialContent }) {
     const [position, setPosition] = useState({ x: window.innerWidth - 320, y: 100 });
     const [isDragging, setIsDragging] = useState(false);
-    const [dragOffset, setDragOffset] = useState({ x: 0, y: 0 });
     const [draft, setDraft] = useState(initialContent || '');
     const [isMinimized, setIsMinimized] = useState(false);
 
     const satelliteRef = useRef(null);
+    const dragOffset = useRef({ x: 0, y: 0 });
+    const dragPointerId = useRef(null);
 
-    const handleMouseDown = (e) => {
-        if (e.target.closest('.satellite-controls') || e.target.closest('textarea')) return;
+    // Pointer Events cover mouse, touch and pen; capturing the pointer keeps
+    // the moves coming even when it slips off the panel
+    const handlePointerDown = (e) => {
+        if (!e.isPrimary || e.button !== 0) return;
+        if (e.target.closest('.satellite-controls') || e.target.closest('textarea, button')) return;
 
+        e.currentTarget.setPointerCapture(e.pointerId);
+        dragPointerId.current = e.pointerId;
         setIsDragging(true);
+
         const rect = satelliteRef.current.getBoundingClientRect();
-        setDragOffset({
+        dragOffset.current = {
             x: e.clientX - rect.left,
             y: e.clientY - rect.top
-        });
+        };
     };
 
-    const handleMouseMove = (e) => {
-        if (!isDragging) return;
-
-        const newX = e.clientX - dragOffset.x;
-        const newY = e.clientY - dragOffset.y;
-
-        // Simple boundary constraints
-        const constrainedX = Math.max(0, Math.min(newX, window.innerWidth - 300));
-        const constrainedY = Math.max(0, Math.min(newY, window.innerHeight - 50));
-
-        setPosition({ x: constrainedX, y: constrainedY });
+    const handlePointerMove = (e) => {
+        if (!isDragging || e.pointerId !== dragPointerId.current) return;
+        setPosition(clampPosition(e.clientX - dragOffset.current.x, e.clientY - dragOffset.current.y));
     };
 
-    const handleMouseUp = () => {
+    const handlePointerUp = (e) => {
+        if (e.pointerId !== dragPointerId.current) return;
+        dragPointerId.current = null;
         setIsDragging(false);
     };
 
-    useEffect(() => {
-        if (isDragging) {
-            window.addEventListener('mousemove', handleMouseMove);
-            window.addEventListener('mouseup', handleMouseUp);
-        } else {
-            window.removeEventListener('mousemove', handleMouseMove);
-            window.removeEventListener('mouseup', handleMouseUp);
-        }
-        return () => {
-            window.removeEventListener('mousemove', handleMouseMove);
-            window.removeEventListener('mouseup', handleMouseUp);
-        };
-    }, [isDragging]);
+    // Arrow keys move the focused panel (Shift for bigger steps)
+    const handleKeyDown = (e) => {
+        const direction = ARROW_KEYS[e.key];
+        if (!direction || e.target !== e.currentTarget) return;
+
+        e.preventDefault();
+        const step = e.shiftKey ? NUDGE_STEP_LARGE : NUDGE_STEP;
+        setPosition(prev => clampPosition(prev.x + direction.x * step, prev.y + direction.y * step));
+    };
 
     return (
         <div
-            className={`draggable-satellite glass-panel ${isMinimized ? 'minimized' : ''}`}
+            className={`draggable-satellite glass-panel ${isMinimized ? 'minimized' : ''} ${isDragging ? 'dragging' : ''}`}
             ref={satelliteRef}
             style={{ left: position.x, top: position.y }}
-            onMouseDown={handleMouseDown}
+            tabIndex={0}
+            role="dialog"
+            aria-label="Satellite draft (arrow keys to move)"
+            onPointerDown={handlePointerDown}
+            onPointerMove={handlePointerMove}
+            onPointerUp={handlePointerUp}
+            onPointerCancel={handlePointerUp}
+            onKeyDown={handleKeyDown}
         >
             <div className="satellite-header">
                 <div className="satellite-title">
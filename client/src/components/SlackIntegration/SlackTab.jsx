@@ -10,11 +10,17 @@
  * - Satellite Mode: Opens a sidebar drawer for multitasking within the app
  * - Message Drafting: Persistent scratchpad for composing messages
  * - Webhook Integration: Send messages directly to a channel
+ * - Opened from Search: the draft is focused with the first match selected
+ * - Standup generator (🧍): Yesterday / Today / Blockers from check-ins and
+ *   todos, added to the draft
  */
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { useSelector } from 'react-redux';
 import { selectCurrentWorkspace } from '../../redux/slices/workspaceSlice';
+import { useIntent } from '../CommandPalette/paletteRegistry';
+import { HIGHLIGHT_DURATION, getSearchTerms } from '../Search/searchIndex';
+import StandupGenerator from '../Standup/StandupGenerator';
 import './SlackTab.css';
 
 export default function SlackTab() {
@@ -30,6 +36,7 @@ export default function SlackTab() {
     const [webhookUrl, setWebhookUrl] = useState(() => localStorage.getItem(webhookKey) || '');
     const [sendStatus, setSendStatus] = useState(null);
     const [showSettings, setShowSettings] = useState(false);
+    const [showStandup, setShowStandup] = useState(false);
 
     // Save draft automatically
     useEffect(() => {
@@ -67,6 +74,35 @@ export default function SlackTab() {
         navigator.clipboard.writeText(draft);
     };
 
+    // Palette's "Generate standup"
+    useIntent('slack/standup', () => setShowStandup(true));
+
+    // Standup text goes below whatever is already in the draft
+    const addStandupToDraft = (text) => {
+        setDraft(draft.trim() ? `${draft.trimEnd()}\n\n${text}` : text);
+        setShowStandup(false);
+    };
+
+    // Search opened the draft: focus it, select the first match and flash it
+    const textareaRef = useRef(null);
+    const [isHighlighted, setIsHighlighted] = useState(false);
+
+    useIntent('slack/highlight', ({ query }) => {
+        const textarea = textareaRef.current;
+        if (!textarea) return;
+
+        const lower = draft.toLowerCase();
+        const match = getSearchTerms(query)
+            .map(term => ({ start: lower.indexOf(term), length: term.length }))
+            .filter(m => m.start >= 0)
+            .sort((a, b) => a.start - b.start)[0];
+
+        textarea.focus();
+        if (match) textarea.setSelectionRange(match.start, match.start + match.length);
+        setIsHighlighted(true);
+        setTimeout(() => setIsHighlighted(false), HIGHLIGHT_DURATION);
+    });
+
     // State for tone transformation
     const [isTransforming, setIsTransforming] = useState(false);
 
@@ -122,6 +158,13 @@ export default function SlackTab() {
                     <button className="glass-button primary" onClick={handleLaunchSlack}>
                         🚀 App
                     </button>
+                    <button
+                        className={`glass-button ${showStandup ? 'active' : ''}`}
+                        onClick={() => setShowStandup(!showStandup)}
+                        title="Generate a standup from your check-ins and todos"
+                    >
+                        🧍 Standup
+                    </button>
                     <button
                         className={`glass-button icon-only ${showSettings ? 'active' : ''}`}
                         onClick={() => setShowSettings(!showSettings)}
@@ -149,6 +192,13 @@ export default function SlackTab() {
                 </div>
             )}
 
+            {/* Standup Generator Panel */}
+            {showStandup && (
+                <div className="slack-standup-panel">
+                    <StandupGenerator onSend={addStandupToDraft} />
+                </div>
+            )}
+
             <div className="slack-content">
                 {/* Message Drafter (Main View) */}
                 <div className="message-drafter">
@@ -195,10 +245,11 @@ export default function SlackTab() {
 
                     <div className="textarea-wrapper">
                         <textarea
+                            ref={textareaRef}
                             value={draft}
                             onChange={(e) => setDraft(e.target.value)}
                             placeholder="Type your message here..."
-                            className="draft-textarea glass-input"
+                            className={`draft-textarea glass-input ${isHighlighted ? 'search-hit' : ''}`}
                         />
                         <div className="draft-footer-actions">
                             <button className="copy-draft-btn" onClick={copyDraft} title="Copy to Clipboard">
@@ -0,0 +1,171 @@
+/**
+ * StandupGenerator.jsx - "Yesterday / Today / Blockers" from your data
+ *
+ * Collects the current workspace's check-ins and todos (see standup.js),
+ * lets you untick lines you don't want to mention, fills the editable
+ * template and adds the result to the Slack draft.
+ *
+ * Shown as a panel in the Slack tab (🧍 Standup); the command palette's
+ * "Generate standup" opens it there.
+ */
+
+import { useState, useMemo } from 'react';
+import { useSelector } from 'react-redux';
+import { selectCurrentWorkspace } from '../../redux/slices/workspaceSlice';
+import { selectWorkspaceTodos } from '../../redux/slices/todosSlice';
+import { registerPaletteProvider, sendIntent } from '../CommandPalette/paletteRegistry';
+import { getLogTypes } from '../SystemLogs/logUtils';
+import {
+    SECTIONS,
+    PLACEHOLDERS,
+    DEFAULT_TEMPLATE,
+    loadTemplate,
+    saveTemplate,
+    getPreviousWorkday,
+    collectStandupItems,
+    renderStandup,
+} from './standup';
+import './StandupGenerator.css';
+
+// Command palette: open the generator in the Slack tab
+registerPaletteProvider('standup', ({ navigate }) => [{
+    id: 'standup-generate',
+    group: 'Action',
+    icon: '🧍',
+    label: 'Generate standup',
+    keywords: 'daily report yesterday today blockers slack',
+    run: () => {
+        navigate('slack');
+        sendIntent('slack/standup');
+    },
+}]);
+
+/**
+ * @param {function} onSend - Called with the finished standup text
+ */
+export default function StandupGenerator({ onSend }) {
+    const workspace = useSelector(selectCurrentWorkspace);
+    const workspaceId = workspace?.id;
+    const todos = useSelector((state) => selectWorkspaceTodos(state, workspaceId));
+    const logs = workspace?.logs;
+    const logTypes = getLogTypes(workspace);
+
+    const [template, setTemplate] = useState(loadTemplate);
+    const [isEditingTemplate, setIsEditingTemplate] = useState(false);
+    const [excluded, setExcluded] = useState([]); // Keys of unticked lines
+    const [copied, setCopied] = useState(false);
+
+    // Candidate lines and the dates they're for
+    const { items, date, since } = useMemo(() => {
+        const now = new Date();
+        return {
+            items: collectStandupItems({ logs: logs || [], todos, logTypes, now }),
+            date: now.toLocaleDateString(undefined, { weekday: 'long', month: 'short', day: 'numeric' }),
+            since: getPreviousWorkday(now).toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' }),
+        };
+    }, [logs, todos, logTypes]);
+
+    const includedItems = items.filter(item => !excluded.includes(item.key));
+    const text = renderStandup(template, includedItems, { date, workspace: workspace?.name || 'StackPad' });
+
+    const toggleItem = (key) => {
+        setExcluded(excluded.includes(key) ? excluded.filter(k => k !== key) : [...excluded, key]);
+    };
+
+    const changeTemplate = (value) => {
+        setTemplate(value);
+        saveTemplate(value);
+    };
+
+    const copyText = async () => {
+        try {
+            await navigator.clipboard.writeText(text);
+            setCopied(true);
+            setTimeout(() => setCopied(false), 2000);
+        } catch (err) {
+            console.error('Failed to copy:', err);
+        }
+    };
+
+    return (
+        <div className="standup-generator">
+            {/* ====== CANDIDATE LINES ====== */}
+            <div className="standup-sections">
+                {SECTIONS.map(section => {
+                    const sectionItems = items.filter(item => item.section === section.id);
+                    return (
+                        <div key={section.id} className="standup-section">
+                            <h4>
+                                {section.icon} {section.label}
+                                {section.id !== 'today' && <span className="standup-since">since {since}</span>}
+                            </h4>
+                            {sectionItems.length === 0 ? (
+                                <p className="standup-empty">Nothing found</p>
+                            ) : (
+                                <ul>
+                                    {sectionItems.map(item => (
+                                        <li key={item.key}>
+                                            <label className="standup-item">
+                                                <input
+                                                    type="checkbox"
+                                                    checked={!excluded.includes(item.key)}
+                                                    onChange={() => toggleItem(item.key)}
+                                                />
+                                                <span className="standup-source">{item.source}</span>
+                                                <span>{item.text}</span>
+                                            </label>
+                                        </li>
+                                    ))}
+                                </ul>
+                            )}
+                        </div>
+                    );
+                })}
+            </div>
+
+            {/* ====== TEMPLATE & PREVIEW ====== */}
+            <div className="standup-output">
+                <div className="standup-output-header">
+                    <h4>{isEditingTemplate ? 'Template' : 'Preview'}</h4>
+                    <button
+                        type="button"
+                        className="standup-link-btn"
+                        onClick={() => setIsEditingTemplate(!isEditingTemplate)}
+                    >
+                        {isEditingTemplate ? '👁 Preview' : '✎ Edit template'}
+                    </button>
+                </div>
+
+                {isEditingTemplate ? (
+                    <>
+                        <textarea
+                            className="glass-input standup-template"
+                            value={template}
+                            onChange={(e) => changeTemplate(e.target.value)}
+                            rows={10}
+                        />
+                        <p className="standup-hint">
+                            Placeholders: {PLACEHOLDERS.join(' ')}
+                            {template !== DEFAULT_TEMPLATE && (
+                                <button type="button" className="standup-link-btn" onClick={() => changeTemplate(DEFAULT_TEMPLATE)}>
+                                    Reset to default
+                                </button>
+                            )}
+                        </p>
+                    </>
+                ) : (
+                    <pre className="standup-preview">{text}</pre>
+                )}
+
+                <div className="standup-actions">
+                    <button type="button" className="glass-button" onClick={copyText}>
+                        {copied ? '✓ Copied!' : '📋 Copy'}
+                    </button>
+                    <button type="button" className="glass-button primary" onClick={() => onSend(text)}>
+                        💬 Add to Slack draft
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
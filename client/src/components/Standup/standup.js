@@ -0,0 +1,131 @@
+/**
+ * standup.js - Builds a daily standup from check-ins and todos
+ *
+ * Sections:
+ * - Yesterday: check-ins and completed todos since the start of the
+ *   previous workday (on Monday that's Friday, so the weekend is included)
+ * - Today: open high-priority todos, and open todos due today or overdue
+ * - Blockers: the same period's check-ins of a blocker type (flagged per type
+ *   in the workspace's log types; Error by default)
+ *
+ * The text comes from an editable template with {{placeholders}}, saved in
+ * localStorage under 'stackpad_standup_template'.
+ */
+
+import { toDateKey } from '../TodoList/todoUtils';
+import { getLogType, isBlockerType } from '../SystemLogs/logUtils';
+
+export const SECTIONS = [
+    { id: 'yesterday', label: 'Yesterday', icon: '⏮️' },
+    { id: 'today', label: 'Today', icon: '🎯' },
+    { id: 'blockers', label: 'Blockers', icon: '🚧' },
+];
+
+// Placeholders the template can use
+export const PLACEHOLDERS = ['{{date}}', '{{workspace}}', ...SECTIONS.map(s => `{{${s.id}}}`)];
+
+export const DEFAULT_TEMPLATE = `*Standup – {{date}}* ({{workspace}})
+
+*Yesterday*
+{{yesterday}}
+
+*Today*
+{{today}}
+
+*Blockers*
+{{blockers}}`;
+
+const TEMPLATE_KEY = 'stackpad_standup_template';
+
+export const loadTemplate = () => localStorage.getItem(TEMPLATE_KEY) || DEFAULT_TEMPLATE;
+
+export const saveTemplate = (template) => {
+    if (template === DEFAULT_TEMPLATE) {
+        localStorage.removeItem(TEMPLATE_KEY);
+    } else {
+        localStorage.setItem(TEMPLATE_KEY, template);
+    }
+};
+
+/**
+ * getPreviousWorkday - Start (local midnight) of the workday before `now`
+ * Monday → Friday, Sunday → Friday, Saturday → Friday
+ */
+export const getPreviousWorkday = (now = new Date()) => {
+    const date = new Date(now.getFullYear(), now.getMonth(), now.getDate() - 1);
+    while (date.getDay() === 0 || date.getDay() === 6) {
+        date.setDate(date.getDate() - 1);
+    }
+    return date;
+};
+
+/**
+ * collectStandupItems - Candidate lines for each section
+ *
+ * @param {object} sources - { logs, todos, logTypes, now }
+ * @returns {Array} [{ key, section, text, source }] - `source` is an icon
+ *   showing where the line came from (the log type or ✅ for todos)
+ */
+export const collectStandupItems = ({ logs, todos, logTypes, now = new Date() }) => {
+    const since = getPreviousWorkday(now);
+    const todayStart = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const todayKey = toDateKey(now);
+    const inPeriod = (isoString) => {
+        const date = new Date(isoString);
+        return date >= since && date < todayStart;
+    };
+
+    const periodLogs = logs
+        .filter(log => inPeriod(log.timestamp))
+        .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+    const logItem = (section) => (log) => ({
+        key: `log-${log.id}`,
+        section,
+        text: log.hours > 0 ? `${log.content} (${log.hours}h)` : log.content,
+        source: getLogType(logTypes, log.type).icon,
+    });
+
+    const isBlocker = (log) => isBlockerType(getLogType(logTypes, log.type));
+
+    const completed = todos
+        .filter(todo => todo.completed && todo.completedAt && inPeriod(todo.completedAt))
+        .map(todo => ({ key: `done-${todo.id}`, section: 'yesterday', text: todo.text, source: '✅' }));
+
+    const planned = todos
+        .filter(todo => !todo.completed && (
+            todo.priority === 'high' || (todo.dueDate && todo.dueDate <= todayKey)
+        ))
+        .map(todo => ({
+            key: `todo-${todo.id}`,
+            section: 'today',
+            text: todo.dueDate && todo.dueDate < todayKey ? `${todo.text} (overdue)` : todo.text,
+            source: todo.priority === 'high' ? '🔴' : '📅',
+        }));
+
+    return [
+        ...periodLogs.filter(log => !isBlocker(log)).map(logItem('yesterday')),
+        ...completed,
+        ...planned,
+        ...periodLogs.filter(isBlocker).map(logItem('blockers')),
+    ];
+};
+
+/**
+ * renderStandup - Fills the template
+ * Each section becomes a bullet list ("• None" when empty).
+ *
+ * @param {object} values - { date, workspace }
+ */
+export const renderStandup = (template, items, { date, workspace }) => {
+    const lists = Object.fromEntries(SECTIONS.map(section => {
+        const lines = items.filter(item => item.section === section.id).map(item => `• ${item.text}`);
+        return [section.id, lines.length > 0 ? lines.join('\n') : '• None'];
+    }));
+
+    return template.replace(/\{\{(\w+)\}\}/g, (placeholder, name) => {
+        if (name === 'date') return date;
+        if (name === 'workspace') return workspace;
+        return lists[name] ?? placeholder;
+    });
+};
@@ -0,0 +1,108 @@
+/**
+ * Connectors.jsx - Labelled arrows between sticky notes
+ *
+ * Arrows are drawn from edge to edge of the two notes, so they follow the
+ * notes around when they're dragged or resized. Each arrow has a label at
+ * its middle: double-click it to edit, ✕ (on hover) removes the arrow.
+ * While a new arrow is being drawn, `draft` is its loose end.
+ */
+
+import { getNoteRect, getConnectorPoints, getEdgePoint } from './canvasUtils';
+
+/**
+ * @param {Array} connectors - [{ id, from, to, label }] (note IDs)
+ * @param {Array} notes - Notes on the canvas
+ * @param {object|null} draft - { from, point } while drawing a new arrow
+ * @param {*} editingId - Connector whose label is being edited
+ */
+export default function Connectors({ connectors, notes, draft, editingId, onEdit, onRename, onDelete }) {
+    const rects = Object.fromEntries(notes.map(note => [note.id, getNoteRect(note)]));
+
+    // Arrows whose notes both still exist
+    const lines = connectors
+        .filter(connector => rects[connector.from] && rects[connector.to])
+        .map(connector => ({ connector, ...getConnectorPoints(rects[connector.from], rects[connector.to]) }));
+
+    const draftStart = draft && rects[draft.from] ? getEdgePoint(rects[draft.from], draft.point) : null;
+
+    const finishEdit = (id, label) => {
+        onRename(id, label.trim());
+        onEdit(null);
+    };
+
+    return (
+        <div className="sticky-connectors">
+            <svg className="sticky-connectors-svg" width="1" height="1">
+                <defs>
+                    <marker
+                        id="sticky-arrowhead"
+                        viewBox="0 0 10 10"
+                        refX="9"
+                        refY="5"
+                        markerWidth="8"
+                        markerHeight="8"
+                        orient="auto-start-reverse"
+                    >
+                        <path className="sticky-connector-arrow" d="M 0 0 L 10 5 L 0 10 z" />
+                    </marker>
+                </defs>
+                {lines.map(({ connector, start, end }) => (
+                    <line
+                        key={connector.id}
+                        className="sticky-connector-line"
+                        x1={start.x}
+                        y1={start.y}
+                        x2={end.x}
+                        y2={end.y}
+                        markerEnd="url(#sticky-arrowhead)"
+                    />
+                ))}
+                {draftStart && (
+                    <line
+                        className="sticky-connector-line draft"
+                        x1={draftStart.x}
+                        y1={draftStart.y}
+                        x2={draft.point.x}
+                        y2={draft.point.y}
+                        markerEnd="url(#sticky-arrowhead)"
+                    />
+                )}
+            </svg>
+
+            {/* Labels at the middle of each arrow */}
+            {lines.map(({ connector, mid }) => (
+                <div
+                    key={connector.id}
+                    className={`sticky-connector-label ${connector.label ? '' : 'empty'}`}
+                    style={{ left: `${mid.x}px`, top: `${mid.y}px` }}
+                    onDoubleClick={() => onEdit(connector.id)}
+                    title="Double-click to edit the label"
+                >
+                    {editingId === connector.id ? (
+                        <input
+                            type="text"
+                            className="sticky-connector-input"
+                            defaultValue={connector.label}
+                            placeholder="Label"
+                            autoFocus
+                            onBlur={(e) => finishEdit(connector.id, e.target.value)}
+                            onKeyDown={(e) => {
+                                if (e.key === 'Enter') finishEdit(connector.id, e.target.value);
+                                if (e.key === 'Escape') onEdit(null);
+                            }}
+                        />
+                    ) : (
+                        <span>{connector.label}</span>
+                    )}
+                    <button
+                        className="sticky-connector-delete"
+                        onClick={() => onDelete(connector.id)}
+                        title="Remove arrow"
+                    >
+                        ✕
+                    </button>
+                </div>
+            ))}
+        </div>
+    );
+}
@@ -0,0 +1,92 @@
+/**
+ * MarkdownView.jsx - Rendered (view mode) content of a sticky note
+ *
+ * Turns the blocks from markdown.js into React elements.
+ * Checklist boxes are clickable: onToggleLine(line) gets the content line
+ * to flip, and the note writes the change back to its Markdown.
+ */
+
+import { parseMarkdown, parseInline, highlightCode } from './markdown';
+
+/**
+ * Inline - Renders parsed inline pieces (bold, italic, code, links)
+ */
+function Inline({ text }) {
+    const renderTokens = (tokens) => tokens.map((token, index) => {
+        switch (token.type) {
+            case 'code':
+                return <code key={index}>{token.text}</code>;
+            case 'bold':
+                return <strong key={index}>{renderTokens(token.children)}</strong>;
+            case 'italic':
+                return <em key={index}>{renderTokens(token.children)}</em>;
+            case 'link':
+                return (
+                    <a key={index} href={token.href} target="_blank" rel="noopener noreferrer">
+                        {renderTokens(token.children)}
+                    </a>
+                );
+            default:
+                return token.text;
+        }
+    });
+
+    return renderTokens(parseInline(text));
+}
+
+export default function MarkdownView({ content, onToggleLine }) {
+    const blocks = parseMarkdown(content);
+
+    if (blocks.length === 0) {
+        return <div className="sticky-markdown empty">Double-click to write something...</div>;
+    }
+
+    return (
+        <div className="sticky-markdown">
+            {blocks.map((block, index) => {
+                switch (block.type) {
+                    case 'heading': {
+                        const Heading = `h${block.level + 2}`; // h3-h5, notes are small
+                        return <Heading key={index}><Inline text={block.text} /></Heading>;
+                    }
+
+                    case 'code':
+                        return (
+                            <pre key={index} className={`sticky-code lang-${block.lang || 'text'}`}>
+                                <code>
+                                    {highlightCode(block.code, block.lang).map((token, i) => (
+                                        token.type === 'plain'
+                                            ? token.text
+                                            : <span key={i} className={`tok-${token.type}`}>{token.text}</span>
+                                    ))}
+                                </code>
+                            </pre>
+                        );
+
+                    case 'list': {
+                        const List = block.ordered ? 'ol' : 'ul';
+                        return (
+                            <List key={index} className={block.items.some(item => item.checked !== null) ? 'checklist' : ''}>
+                                {block.items.map(item => (
+                                    <li key={item.line} className={item.checked ? 'checked' : ''}>
+                                        {item.checked !== null && (
+                                            <input
+                                                type="checkbox"
+                                                checked={item.checked}
+                                                onChange={() => onToggleLine(item.line)}
+                                            />
+                                        )}
+                                        <span><Inline text={item.text} /></span>
+                                    </li>
+                                ))}
+                            </List>
+                        );
+                    }
+
+                    default:
+                        return <p key={index}><Inline text={block.text} /></p>;
+                }
+            })}
+        </div>
+    );
+}
@@ -0,0 +1,115 @@
+/**
+ * Minimap.jsx - Overview of the whole notes canvas
+ *
+ * Draws every frame and note scaled down, plus the part of the canvas
+ * currently on screen. Click or drag on it to move the view there.
+ */
+
+import { useRef } from 'react';
+import { getBounds, screenToWorld } from './canvasUtils';
+
+const MAP_WIDTH = 180;
+const MAP_HEIGHT = 120;
+
+/**
+ * @param {Array} notes - [{ id, x, y, width, height, fill }] in world pixels
+ * @param {Array} frames - Note frames
+ * @param {object} view - { x, y, zoom }
+ * @param {object} boardSize - { width, height } of the board on screen
+ * @param {function} onCenter - Called with the world point to center on
+ */
+export default function Minimap({ notes, frames, view, boardSize, onCenter }) {
+    const svgRef = useRef(null);
+    const isDragging = useRef(false);
+
+    // What's on screen, in world coordinates
+    const topLeft = screenToWorld(view, { x: 0, y: 0 });
+    const visible = {
+        x: topLeft.x,
+        y: topLeft.y,
+        width: boardSize.width / view.zoom,
+        height: boardSize.height / view.zoom,
+    };
+
+    // Map everything (and the visible area) with some margin
+    const bounds = getBounds([...notes, ...frames, visible]);
+    const margin = Math.max(bounds.width, bounds.height) * 0.05;
+    const viewBox = {
+        x: bounds.x - margin,
+        y: bounds.y - margin,
+        width: bounds.width + margin * 2,
+        height: bounds.height + margin * 2,
+    };
+
+    const centerAt = (e) => {
+        const rect = svgRef.current.getBoundingClientRect();
+        // preserveAspectRatio="xMidYMid meet": work out the drawn scale and offset
+        const scale = Math.min(rect.width / viewBox.width, rect.height / viewBox.height);
+        const offsetX = (rect.width - viewBox.width * scale) / 2;
+        const offsetY = (rect.height - viewBox.height * scale) / 2;
+        onCenter({
+            x: viewBox.x + (e.clientX - rect.left - offsetX) / scale,
+            y: viewBox.y + (e.clientY - rect.top - offsetY) / scale,
+        });
+    };
+
+    const handlePointerDown = (e) => {
+        e.stopPropagation();
+        e.currentTarget.setPointerCapture(e.pointerId);
+        isDragging.current = true;
+        centerAt(e);
+    };
+
+    const handlePointerMove = (e) => {
+        if (isDragging.current) centerAt(e);
+    };
+
+    const handlePointerUp = () => {
+        isDragging.current = false;
+    };
+
+    return (
+        <svg
+            ref={svgRef}
+            className="sticky-minimap"
+            width={MAP_WIDTH}
+            height={MAP_HEIGHT}
+            viewBox={`${viewBox.x} ${viewBox.y} ${viewBox.width} ${viewBox.height}`}
+            onPointerDown={handlePointerDown}
+            onPointerMove={handlePointerMove}
+            onPointerUp={handlePointerUp}
+            onPointerCancel={handlePointerUp}
+            aria-label="Canvas minimap"
+        >
+            {frames.map(frame => (
+                <rect
+                    key={frame.id}
+                    className="minimap-frame"
+                    x={frame.x}
+                    y={frame.y}
+                    width={frame.width}
+                    height={frame.height}
+                    vectorEffect="non-scaling-stroke"
+                />
+            ))}
+            {notes.map(note => (
+                <rect
+                    key={note.id}
+                    x={note.x}
+                    y={note.y}
+                    width={note.width}
+                    height={note.height}
+                    fill={note.fill}
+                />
+            ))}
+            <rect
+                className="minimap-viewport"
+                x={visible.x}
+                y={visible.y}
+                width={visible.width}
+                height={visible.height}
+                vectorEffect="non-scaling-stroke"
+            />
+        </svg>
+    );
+}
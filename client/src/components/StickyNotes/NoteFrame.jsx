@@ -0,0 +1,69 @@
+/**
+ * NoteFrame.jsx - A named frame (group) on the notes canvas
+ *
+ * Frames sit behind the notes. Dragging the title bar moves the frame
+ * together with the notes inside it; the corner handle resizes it.
+ * Double-click the name to rename.
+ */
+
+import { useState } from 'react';
+
+export default function NoteFrame({ frame, onDragStart, onRename, onDelete }) {
+    const [isRenaming, setIsRenaming] = useState(false);
+
+    const finishRename = (name) => {
+        setIsRenaming(false);
+        if (name.trim()) onRename(name.trim());
+    };
+
+    return (
+        <div
+            className="sticky-frame"
+            style={{
+                left: `${frame.x}px`,
+                top: `${frame.y}px`,
+                width: `${frame.width}px`,
+                height: `${frame.height}px`,
+            }}
+        >
+            {/* Title bar - drag handle */}
+            <div className="sticky-frame-header" onPointerDown={(e) => onDragStart(e, 'move')}>
+                {isRenaming ? (
+                    <input
+                        type="text"
+                        className="sticky-frame-input"
+                        defaultValue={frame.name}
+                        autoFocus
+                        onBlur={(e) => finishRename(e.target.value)}
+                        onKeyDown={(e) => {
+                            if (e.key === 'Enter') finishRename(e.target.value);
+                            if (e.key === 'Escape') setIsRenaming(false);
+                        }}
+                    />
+                ) : (
+                    <span
+                        className="sticky-frame-name"
+                        onDoubleClick={() => setIsRenaming(true)}
+                        title="Double-click to rename"
+                    >
+                        {frame.name}
+                    </span>
+                )}
+                <button
+                    className="sticky-frame-delete"
+                    onClick={onDelete}
+                    title="Remove frame (keeps its notes)"
+                >
+                    ✕
+                </button>
+            </div>
+
+            {/* Resize handle */}
+            <div
+                className="sticky-frame-resize"
+                onPointerDown={(e) => onDragStart(e, 'resize')}
+                title="Resize frame"
+            />
+        </div>
+    );
+}
@@ -0,0 +1,126 @@
+/**
+ * StickyNote.jsx - One note on the sticky notes canvas
+ *
+ * Renders the note (color, size, view/edit toggle, delete) at its world
+ * position. Dragging, resizing (corner handle), drawing arrows (edge handle),
+ * selection and keyboard nudging are handled by the board (StickyNotes.jsx),
+ * which passes the handlers in.
+ */
+
+import MarkdownView from './MarkdownView';
+import { toggleChecklistItem } from './markdown';
+import { COLORS, SIZES, getNoteRect } from './canvasUtils';
+
+// View/edit mode of a note
+const getNoteMode = (note) => note.mode || (note.content ? 'view' : 'edit');
+
+export default function StickyNote({
+    note,
+    zIndex,
+    isSelected,
+    isHighlighted,
+    isDragging,
+    onPointerDown,
+    onResizeStart,
+    onConnectStart,
+    onKeyDown,
+    onChange,
+    onDelete,
+}) {
+    const colorData = COLORS.find(c => c.id === note.color) || COLORS[0];
+    const { width, height } = getNoteRect(note);
+    const mode = getNoteMode(note);
+
+    return (
+        <div
+            className={`sticky-note ${isSelected ? 'active' : ''} ${isDragging ? 'dragging' : ''} ${isHighlighted ? 'search-hit' : ''}`}
+            style={{
+                left: `${note.x}px`,
+                top: `${note.y}px`,
+                backgroundColor: colorData.bg,
+                color: colorData.text,
+                width: `${width}px`,
+                height: `${height}px`,
+                zIndex, // Render order determines layer stack
+            }}
+            tabIndex={0}
+            role="group"
+            aria-label={`Sticky note: ${note.content.split('\n')[0] || 'empty'} (arrow keys to move)`}
+            onPointerDown={onPointerDown}
+            onKeyDown={onKeyDown}
+            // Double-click a rendered note to edit it
+            onDoubleClick={(e) => {
+                if (mode === 'view' && !e.target.closest('.sticky-actions, a, input')) onChange({ mode: 'edit' });
+            }}
+        >
+            {/* Note Controls (Color, Size, Delete) */}
+            <div className="sticky-actions">
+                <div className="color-dots">
+                    {COLORS.map(c => (
+                        <button
+                            key={c.id}
+                            className={`color-dot ${note.color === c.id ? 'active' : ''}`}
+                            style={{ background: c.bg }}
+                            onClick={() => onChange({ color: c.id })}
+                        />
+                    ))}
+                </div>
+                <div className="size-btns">
+                    {SIZES.map(s => (
+                        <button
+                            key={s.id}
+                            className={`size-btn ${width === s.width && height === s.height ? 'active' : ''}`}
+                            onClick={() => onChange({ size: s.id, width: s.width, height: s.height })}
+                        >
+                            {s.label}
+                        </button>
+                    ))}
+                </div>
+                <button
+                    className={`mode-sticky ${mode === 'edit' ? 'active' : ''}`}
+                    onClick={() => onChange({ mode: mode === 'edit' ? 'view' : 'edit' })}
+                    title={mode === 'edit' ? 'Show formatted' : 'Edit Markdown'}
+                >
+                    {mode === 'edit' ? '👁' : '✎'}
+                </button>
+                <button
+                    className="delete-sticky"
+                    onClick={onDelete}
+                >
+                    ✕
+                </button>
+            </div>
+
+            {/* Markdown Input Area (edit) or rendered note (view) */}
+            {mode === 'edit' ? (
+                <textarea
+                    className="sticky-content"
+                    value={note.content}
+                    onChange={(e) => onChange({ content: e.target.value })}
+                    placeholder="Write something... (Markdown, - [ ] for checklists)"
+                />
+            ) : (
+                <div className="sticky-content">
+                    <MarkdownView
+                        content={note.content}
+                        onToggleLine={(line) => onChange({ content: toggleChecklistItem(note.content, line) })}
+                    />
+                </div>
+            )}
+
+            {/* Drag to another note to draw an arrow */}
+            <div
+                className="sticky-connect"
+                onPointerDown={onConnectStart}
+                title="Drag to another note to connect them"
+            />
+
+            {/* Resize handle */}
+            <div
+                className="sticky-resize"
+                onPointerDown={onResizeStart}
+                title="Resize note"
+            />
+        </div>
+    );
+}
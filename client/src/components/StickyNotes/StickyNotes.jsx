@@ -1,165 +1,635 @@
 /**
- * StickyNotes.jsx - Draggable Sticky Notes Component
+ * StickyNotes.jsx - Sticky Notes Canvas
  * 
- * A kanban-like board where users can create, edit, drag, and resize sticky notes.
+ * An infinite, pannable and zoomable canvas where users can create, edit,
+ * drag, group and resize sticky notes.
  * Notes are persistent and isolated per workspace.
  * 
  * Features:
- * - Create new notes
- * - Drag and drop positioning (limited to container bounds)
+ * - Create new notes (in the middle of the current view)
+ * - Pan (drag the background, or scroll) and zoom (Ctrl/⌘ + scroll,
+ *   pinch, or the zoom buttons); a minimap shows the whole canvas
+ * - Named frames that move the notes inside them along with them
+ * - Labelled arrows between notes (drag from a note's right-edge dot to
+ *   another note), which follow the notes when they move
+ * - Snap-to-grid
+ * - Multi-select: Shift+click notes, or drag a marquee (Select tool,
+ *   or Shift+drag the background) and move them together
  * - Color customization (Yellow, Orange, Pink, Blue, Green)
- * - Size customization (Small, Medium, Large)
+ * - Size presets (Small, Medium, Large) or free resizing from the corner
+ * - Markdown: each note has a view/edit toggle (double-click to edit);
+ *   "- [ ]" checklist boxes can be ticked in view mode
  * - Auto-save to Redux/localStorage
  * - Delete notes
  * 
  * Technical Implementation:
- * - Uses absolute positioning with % coordinates for responsiveness
- * - Custom drag-and-drop logic (mouseDown, mouseMove, mouseUp)
+ * - Notes and frames use world pixel coordinates; the view ({ x, y, zoom })
+ *   is a CSS transform on the world layer (see canvasUtils.js)
+ * - Custom drag-and-drop logic on Pointer Events (pointerDown, pointerMove,
+ *   pointerUp) so mouse, touch and pen all work; the board captures the
+ *   pointer once a drag really starts (so clicks and double-clicks still
+ *   reach the note), and `touch-action: none` stops touch drags from scrolling
+ * - Arrow keys nudge the focused note or the selection (Shift for bigger steps)
  * - Prevents dragging when editing text or clicking actions
+ * - Z-order is the order of the notes array: selecting notes moves them
+ *   to the end (on top), and that order is saved
+ * - note.mode is 'view' or 'edit' (older notes without one open in
+ *   view mode when they have content)
  */
 
 import { useState, useRef, useEffect } from 'react';
 import { useSelector, useDispatch } from 'react-redux';
-import { selectCurrentWorkspace, updateNotes } from '../../redux/slices/workspaceSlice';
+import { v4 as uuidv4 } from 'uuid';
+import {
+    selectCurrentWorkspace,
+    updateNotes,
+    updateNoteFrames,
+    updateNoteConnectors,
+} from '../../redux/slices/workspaceSlice';
+import { registerPaletteProvider, sendIntent, useIntent } from '../CommandPalette/paletteRegistry';
+import { HIGHLIGHT_DURATION } from '../Search/searchIndex';
+import StickyNote from './StickyNote';
+import NoteFrame from './NoteFrame';
+import Minimap from './Minimap';
+import Connectors from './Connectors';
+import {
+    COLORS,
+    GRID_SIZE,
+    MIN_NOTE_SIZE,
+    toCanvasNote,
+    getNoteRect,
+    snapToGrid,
+    rectsIntersect,
+    containsPoint,
+    normalizeRect,
+    getBounds,
+    getFrameNoteIds,
+    getRectCenter,
+    screenToWorld,
+    zoomAt,
+    centerOn,
+    fitToBounds,
+    loadCanvasView,
+    saveCanvasView,
+} from './canvasUtils';
 import './StickyNotes.css';
 
-// Predefined colors for the notes
-const COLORS = [
-    { id: 'yellow', bg: '#fef9c3', text: '#1a1a1a' },
-    { id: 'orange', bg: '#fed7aa', text: '#1a1a1a' },
-    { id: 'pink', bg: '#fecdd3', text: '#1a1a1a' },
-    { id: 'blue', bg: '#bfdbfe', text: '#1a1a1a' },
-    { id: 'green', bg: '#bbf7d0', text: '#1a1a1a' },
-];
+// Arrow key nudge steps (world px; a grid cell when snapping)
+const NUDGE_STEP = 10;
+const NUDGE_MULTIPLIER_LARGE = 5;
+
+const ARROW_KEYS = {
+    ArrowLeft: { x: -1, y: 0 },
+    ArrowRight: { x: 1, y: 0 },
+    ArrowUp: { x: 0, y: -1 },
+    ArrowDown: { x: 0, y: 1 },
+};
+
+// Pointer travel (screen px) before a press on a note or frame becomes a drag
+const DRAG_THRESHOLD = 3;
+
+// Zoom buttons step, and how strongly Ctrl/⌘ + wheel zooms
+const ZOOM_STEP = 1.25;
+const WHEEL_ZOOM_SPEED = 0.002;
+
+// Smallest frame (world px)
+const MIN_FRAME_SIZE = { width: 150, height: 100 };
 
-// Available note sizes
-const SIZES = [
-    { id: 'small', width: 150, height: 120, label: 'S' },
-    { id: 'medium', width: 200, height: 180, label: 'M' },
-    { id: 'large', width: 280, height: 240, label: 'L' },
+// Space around the selected notes when framing them
+const FRAME_PADDING = 30;
+
+// Notes for a brand new board
+const INTRO_NOTES = [
+    { id: 1, content: 'Welcome to StackPad! 📚', color: 'yellow', size: 'medium', x: 40, y: 40, coords: 'px' },
+    { id: 2, content: 'Drag me around!', color: 'pink', size: 'medium', x: 280, y: 64, coords: 'px' },
 ];
 
+// Command palette: "new sticky note", or "note <text>" to create it pre-filled
+registerPaletteProvider('sticky-notes', ({ query, navigate }) => {
+    const create = (content) => () => {
+        navigate('notes');
+        sendIntent('notes/new', { content });
+    };
+
+    const items = [{
+        id: 'notes-new',
+        group: 'Action',
+        icon: '📌',
+        label: 'New sticky note',
+        keywords: 'add create note',
+        run: create(''),
+    }];
+
+    const text = query.match(/^note\s+(.+)/i)?.[1];
+    if (text) {
+        items.push({
+            id: 'notes-new-with-text',
+            group: 'Action',
+            icon: '📌',
+            label: `New sticky note: ${text}`,
+            dynamic: true,
+            score: 90,
+            run: create(text),
+        });
+    }
+    return items;
+});
+
 export default function StickyNotes() {
-    const dispatch = useDispatch();
     const workspace = useSelector(selectCurrentWorkspace);
 
-    // Load notes from current workspace data
-    const savedNotes = workspace?.notes || [];
+    // A fresh canvas per workspace: it starts from that workspace's notes, frames and view
+    return <NotesCanvas key={workspace?.id || 'default'} workspace={workspace} />;
+}
 
-    // Initialize state with saved notes or default intro notes
-    const [notes, setNotes] = useState(savedNotes.length > 0 ? savedNotes : [
-        { id: 1, content: 'Welcome to StackPad! 📚', color: 'yellow', size: 'medium', x: 3, y: 5 },
-        { id: 2, content: 'Drag me around!', color: 'pink', size: 'medium', x: 20, y: 8 },
-    ]);
+function NotesCanvas({ workspace }) {
+    const dispatch = useDispatch();
+    const workspaceId = workspace?.id || 'default';
 
-    // Drag data
-    const [activeNote, setActiveNote] = useState(null);  // Currently selected/dragged note ID
-    const [isDragging, setIsDragging] = useState(false);
+    // Initialize state with saved notes (moved onto the canvas) or default intro notes
+    const [notes, setNotes] = useState(() => {
+        const savedNotes = workspace?.notes || [];
+        return savedNotes.length > 0 ? savedNotes.map(toCanvasNote) : INTRO_NOTES;
+    });
+    const [frames, setFrames] = useState(() => workspace?.noteFrames || []);
+    const [connectors, setConnectors] = useState(() => workspace?.noteConnectors || []);
+
+    // View: pan offset, zoom and the snap-to-grid toggle
+    const [view, setView] = useState(() => loadCanvasView(workspaceId));
+    const [boardSize, setBoardSize] = useState({ width: 0, height: 0 });
+
+    // Selection and drag data
+    const [selectedIds, setSelectedIds] = useState([]);
+    const [tool, setTool] = useState('pan');        // What dragging the background does: 'pan' | 'select'
+    const [dragKind, setDragKind] = useState(null); // Drag in progress (for cursors): 'notes' | 'frame' | 'pan' | ...
+    const [marquee, setMarquee] = useState(null);   // Selection rectangle in world px
+    const [connectDraft, setConnectDraft] = useState(null);           // Arrow being drawn: { from, point }
+    const [editingConnectorId, setEditingConnectorId] = useState(null); // Arrow whose label is being edited
+    const [highlightedId, setHighlightedId] = useState(null);         // Note opened from Search, flashed briefly
 
     // Refs for DOM manipulation
-    const containerRef = useRef(null);        // The board container
-    const dragOffset = useRef({ x: 0, y: 0 }); // Mouse offset relative to note top-left corner
+    const boardRef = useRef(null);          // The board (viewport) element
+    const dragRef = useRef(null);           // Current drag: what is moving and where it started
+    const touchPointers = useRef(new Map()); // Background touches, for pinch zoom
+    const pendingSave = useRef({});          // Changes not saved yet: { notes, frames, connectors }
 
-    // Sync state when workspace ID changes (loading different workspace's notes)
+    // Save to Redux whenever notes / frames / connectors change (debounced by 500ms)
+    // This prevents excessive writes during dragging/typing
     useEffect(() => {
-        if (savedNotes.length > 0) {
-            setNotes(savedNotes);
-        }
-    }, [workspace?.id]);
+        pendingSave.current.notes = notes;
+        const timeout = setTimeout(() => {
+            dispatch(updateNotes({ workspaceId, notes }));
+            delete pendingSave.current.notes;
+        }, 500);
+        return () => clearTimeout(timeout);
+    }, [notes, workspaceId, dispatch]);
+
+    useEffect(() => {
+        pendingSave.current.frames = frames;
+        const timeout = setTimeout(() => {
+            dispatch(updateNoteFrames({ workspaceId, frames }));
+            delete pendingSave.current.frames;
+        }, 500);
+        return () => clearTimeout(timeout);
+    }, [frames, workspaceId, dispatch]);
 
-    // Save to Redux whenever notes state changes (debounced by 500ms)
-    // This prevents excessive writes during dragging/typing
     useEffect(() => {
+        pendingSave.current.connectors = connectors;
         const timeout = setTimeout(() => {
-            dispatch(updateNotes(notes));
+            dispatch(updateNoteConnectors({ workspaceId, connectors }));
+            delete pendingSave.current.connectors;
         }, 500);
         return () => clearTimeout(timeout);
-    }, [notes, dispatch]);
+    }, [connectors, workspaceId, dispatch]);
+
+    // Leaving the canvas (switching workspace or section): save what's still pending
+    useEffect(() => {
+        const pending = pendingSave.current;
+        return () => {
+            if (pending.notes) dispatch(updateNotes({ workspaceId, notes: pending.notes }));
+            if (pending.frames) dispatch(updateNoteFrames({ workspaceId, frames: pending.frames }));
+            if (pending.connectors) dispatch(updateNoteConnectors({ workspaceId, connectors: pending.connectors }));
+        };
+    }, [workspaceId, dispatch]);
+
+    // Remember where the user was looking
+    useEffect(() => {
+        const timeout = setTimeout(() => saveCanvasView(workspaceId, view), 300);
+        return () => clearTimeout(timeout);
+    }, [view, workspaceId]);
+
+    // Track the board size (minimap viewport, fit to content)
+    useEffect(() => {
+        const observer = new ResizeObserver(([entry]) => {
+            setBoardSize({ width: entry.contentRect.width, height: entry.contentRect.height });
+        });
+        observer.observe(boardRef.current);
+        return () => observer.disconnect();
+    }, []);
+
+    // Wheel: scroll pans, Ctrl/⌘ + scroll (and trackpad pinch) zooms around the cursor
+    // Added by hand because React's wheel listener is passive (can't preventDefault)
+    useEffect(() => {
+        const board = boardRef.current;
+        const handleWheel = (e) => {
+            e.preventDefault();
+            const rect = board.getBoundingClientRect();
+            if (e.ctrlKey || e.metaKey) {
+                const point = { x: e.clientX - rect.left, y: e.clientY - rect.top };
+                setView(prev => zoomAt(prev, prev.zoom * Math.exp(-e.deltaY * WHEEL_ZOOM_SPEED), point));
+            } else {
+                setView(prev => ({ ...prev, x: prev.x - e.deltaX, y: prev.y - e.deltaY }));
+            }
+        };
+        board.addEventListener('wheel', handleWheel, { passive: false });
+        return () => board.removeEventListener('wheel', handleWheel);
+    }, []);
+
+    // ============================================
+    // HELPERS
+    // ============================================
+
+    // Pointer position relative to the board
+    const toBoardPoint = (e) => {
+        const rect = boardRef.current.getBoundingClientRect();
+        return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    };
 
-    // Add a new note at a random position near top-left
-    const addNote = () => {
+    const toWorldPoint = (e) => screenToWorld(view, toBoardPoint(e));
+
+    // Middle of what's on screen, in world px
+    const getViewCenter = () => {
+        const rect = boardRef.current.getBoundingClientRect();
+        return screenToWorld(view, { x: rect.width / 2, y: rect.height / 2 });
+    };
+
+    // Move notes to the end of the array so they render on top (z-index)
+    const bringToFront = (ids) => {
+        setNotes(prev => {
+            const front = prev.filter(n => ids.includes(n.id));
+            const alreadyOnTop = prev.slice(prev.length - front.length).every(n => ids.includes(n.id));
+            return alreadyOnTop ? prev : [...prev.filter(n => !ids.includes(n.id)), ...front];
+        });
+    };
+
+    // ============================================
+    // NOTES & FRAMES
+    // ============================================
+
+    // Add a new note near the middle of the view
+    const addNote = (content = '') => {
+        const center = getViewCenter();
         const newNote = {
             id: Date.now(),
-            content: '',
+            content,
             color: COLORS[Math.floor(Math.random() * COLORS.length)].id, // Random color
             size: 'medium',
-            x: 5 + Math.random() * 20, // Randomish start position
-            y: 5 + Math.random() * 15,
+            mode: 'edit',
+            x: snapToGrid(center.x - 100 + Math.random() * 40, view.snap), // Randomish start position
+            y: snapToGrid(center.y - 90 + Math.random() * 40, view.snap),
+            coords: 'px',
         };
-        setNotes([...notes, newNote]);
-        setActiveNote(newNote.id); // Select new note
+        setNotes(prev => [...prev, newNote]);
+        setSelectedIds([newNote.id]); // Select new note
     };
 
-    const updateNote = (id, content) => {
+    // Palette asked for a new note
+    useIntent('notes/new', ({ content }) => addNote(content));
+
+    // Search opened a note: select it, center the view on it and flash it
+    useIntent('notes/highlight', ({ id }) => {
+        const note = notes.find(n => n.id === id);
+        if (!note) return;
+        const rect = boardRef.current.getBoundingClientRect();
+        setView(prev => centerOn(prev, getRectCenter(getNoteRect(note)), rect));
+        setSelectedIds([id]);
+        bringToFront([id]);
+        setHighlightedId(id);
+        setTimeout(() => setHighlightedId(null), HIGHLIGHT_DURATION);
+    });
+
+    const updateNote = (id, changes) => {
         setNotes(notes.map(note =>
-            note.id === id ? { ...note, content } : note
+            note.id === id ? { ...note, ...changes } : note
         ));
     };
 
+    // Deleting a note also removes its arrows
     const deleteNote = (id) => {
         setNotes(notes.filter(note => note.id !== id));
-        if (activeNote === id) setActiveNote(null);
+        setConnectors(connectors.filter(c => c.from !== id && c.to !== id));
+        setSelectedIds(selectedIds.filter(selectedId => selectedId !== id));
     };
 
-    const changeColor = (id, color) => {
-        setNotes(notes.map(note =>
-            note.id === id ? { ...note, color } : note
-        ));
+    // Topmost note under a world point
+    const findNoteAt = (point) => [...notes].reverse().find(note => containsPoint(getNoteRect(note), point));
+
+    const renameConnector = (id, label) => {
+        setConnectors(connectors.map(c => c.id === id ? { ...c, label } : c));
     };
 
-    const changeSize = (id, size) => {
-        setNotes(notes.map(note =>
-            note.id === id ? { ...note, size } : note
+    const deleteConnector = (id) => {
+        setConnectors(connectors.filter(c => c.id !== id));
+    };
+
+    // New frame around the selected notes, or in the middle of the view
+    const addFrame = () => {
+        const selectedRects = notes.filter(n => selectedIds.includes(n.id)).map(getNoteRect);
+        const bounds = getBounds(selectedRects);
+        const center = getViewCenter();
+        const rect = bounds
+            ? {
+                x: bounds.x - FRAME_PADDING,
+                y: bounds.y - FRAME_PADDING - GRID_SIZE, // Room for the title bar
+                width: bounds.width + FRAME_PADDING * 2,
+                height: bounds.height + FRAME_PADDING * 2 + GRID_SIZE,
+            }
+            : { x: center.x - 200, y: center.y - 150, width: 400, height: 300 };
+
+        setFrames([...frames, {
+            id: Date.now(),
+            name: `Frame ${frames.length + 1}`,
+            x: snapToGrid(rect.x, view.snap),
+            y: snapToGrid(rect.y, view.snap),
+            width: snapToGrid(rect.width, view.snap),
+            height: snapToGrid(rect.height, view.snap),
+        }]);
+    };
+
+    const updateFrame = (id, changes) => {
+        setFrames(frames.map(frame =>
+            frame.id === id ? { ...frame, ...changes } : frame
         ));
     };
 
+    const deleteFrame = (id) => {
+        setFrames(frames.filter(frame => frame.id !== id));
+    };
+
+    // ============================================
+    // VIEW
+    // ============================================
+
+    const zoomBy = (factor) => {
+        setView(prev => zoomAt(prev, prev.zoom * factor, { x: boardSize.width / 2, y: boardSize.height / 2 }));
+    };
+
+    const fitToContent = () => {
+        const bounds = getBounds([...notes.map(getNoteRect), ...frames]);
+        setView(prev => fitToBounds(prev, bounds, boardSize));
+    };
+
     // ============================================
     // DRAG AND DROP LOGIC
     // ============================================
 
-    const handleMouseDown = (e, id) => {
-        // Prevent dragging if clicking input area or buttons
-        if (e.target.tagName === 'TEXTAREA' || e.target.closest('.sticky-actions')) return;
+    const handleNotePointerDown = (e, id) => {
+        // Only the primary button / first finger drags
+        if (!e.isPrimary || e.button !== 0) return;
 
-        setActiveNote(id);
-        setIsDragging(true);
+        // Prevent dragging if clicking input area, buttons, links, checkboxes, code or handles
+        if (e.target.tagName === 'TEXTAREA' || e.target.closest('.sticky-actions, a, input, pre, .sticky-resize, .sticky-connect')) return;
 
-        // Calculate offset (where mouse grasped the note)
-        // Stored as percentage of container dimensions
-        const note = notes.find(n => n.id === id);
-        const rect = containerRef.current.getBoundingClientRect();
-        dragOffset.current = {
-            x: e.clientX - (note.x / 100 * rect.width),
-            y: e.clientY - (note.y / 100 * rect.height),
+        // Shift+click adds/removes the note from the selection
+        let ids = selectedIds.includes(id) ? selectedIds : [id];
+        if (e.shiftKey) {
+            ids = selectedIds.includes(id) ? selectedIds.filter(i => i !== id) : [...selectedIds, id];
+        }
+        setSelectedIds(ids);
+        if (!ids.includes(id)) return;
+        bringToFront(ids);
+
+        // Remember where every selected note started; they all move by the same amount
+        dragRef.current = {
+            kind: 'notes',
+            pointerId: e.pointerId,
+            startScreen: toBoardPoint(e),
+            startWorld: toWorldPoint(e),
+            origins: notes.filter(n => ids.includes(n.id)).map(n => ({ id: n.id, x: n.x, y: n.y })),
+            started: false,
         };
+    };
 
-        // Move active note to end of array so it renders on top (z-index)
-        setNotes(prev => {
-            const filtered = prev.filter(n => n.id !== id);
-            return [...filtered, prev.find(n => n.id === id)];
-        });
+    // Corner handle of a note: resize it (in world px, snapped when snapping is on)
+    const handleNoteResizeStart = (e, note) => {
+        if (!e.isPrimary || e.button !== 0) return;
+        setSelectedIds([note.id]);
+        bringToFront([note.id]);
+        dragRef.current = {
+            kind: 'note-resize',
+            pointerId: e.pointerId,
+            startScreen: toBoardPoint(e),
+            startWorld: toWorldPoint(e),
+            note: getNoteRect(note),
+            noteId: note.id,
+            started: false,
+        };
+    };
+
+    // Edge dot of a note: draw an arrow from it to wherever the pointer is released
+    const handleConnectStart = (e, note) => {
+        if (!e.isPrimary || e.button !== 0) return;
+        dragRef.current = {
+            kind: 'connect',
+            pointerId: e.pointerId,
+            startScreen: toBoardPoint(e),
+            startWorld: toWorldPoint(e),
+            noteId: note.id,
+            started: false,
+        };
+    };
+
+    // Title bar ('move') or corner handle ('resize') of a frame pressed
+    const handleFramePointerDown = (e, frame, mode) => {
+        if (!e.isPrimary || e.button !== 0 || e.target.closest('input, button')) return;
+
+        // The frame carries the notes that are inside it when the drag starts
+        const noteIds = mode === 'move' ? getFrameNoteIds(frame, notes) : [];
+        dragRef.current = {
+            kind: mode === 'move' ? 'frame' : 'frame-resize',
+            pointerId: e.pointerId,
+            startScreen: toBoardPoint(e),
+            startWorld: toWorldPoint(e),
+            frame,
+            origins: notes.filter(n => noteIds.includes(n.id)).map(n => ({ id: n.id, x: n.x, y: n.y })),
+            started: false,
+        };
+    };
+
+    // Background pressed: pan, marquee select, or (second finger) pinch zoom
+    const handleBoardPointerDown = (e) => {
+        if (e.target !== boardRef.current) return;
+        if (e.pointerType === 'mouse' && e.button !== 0) return;
+
+        const point = toBoardPoint(e);
+        if (e.pointerType === 'touch') touchPointers.current.set(e.pointerId, point);
+        boardRef.current.setPointerCapture(e.pointerId);
+
+        if (touchPointers.current.size === 2) {
+            const [a, b] = [...touchPointers.current.values()];
+            dragRef.current = {
+                kind: 'pinch',
+                startDistance: Math.hypot(a.x - b.x, a.y - b.y),
+                startMid: { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 },
+                startView: view,
+            };
+            setMarquee(null);
+            setDragKind('pinch');
+            return;
+        }
+
+        // Shift flips the tool: Shift+drag selects while panning, and vice versa
+        const selecting = (tool === 'select') !== e.shiftKey;
+        dragRef.current = {
+            kind: selecting ? 'marquee' : 'pan',
+            pointerId: e.pointerId,
+            startScreen: point,
+            startWorld: screenToWorld(view, point),
+            startView: view,
+            baseSelection: e.shiftKey ? selectedIds : [],
+            started: false,
+        };
+        setDragKind(selecting ? 'marquee' : 'pan');
+    };
+
+    const handlePointerMove = (e) => {
+        if (touchPointers.current.has(e.pointerId)) touchPointers.current.set(e.pointerId, toBoardPoint(e));
+
+        const drag = dragRef.current;
+        if (!drag) return;
+
+        if (drag.kind === 'pinch') {
+            if (touchPointers.current.size < 2) return;
+            const [a, b] = [...touchPointers.current.values()];
+            const mid = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+            const panned = {
+                ...drag.startView,
+                x: drag.startView.x + mid.x - drag.startMid.x,
+                y: drag.startView.y + mid.y - drag.startMid.y,
+            };
+            const distance = Math.hypot(a.x - b.x, a.y - b.y);
+            setView(zoomAt(panned, drag.startView.zoom * distance / drag.startDistance, mid));
+            return;
+        }
+
+        if (e.pointerId !== drag.pointerId) return;
+        const point = toBoardPoint(e);
+
+        // A press only becomes a drag after a few pixels (clicks stay clicks)
+        if (!drag.started) {
+            if (Math.hypot(point.x - drag.startScreen.x, point.y - drag.startScreen.y) < DRAG_THRESHOLD) return;
+            drag.started = true;
+            boardRef.current.setPointerCapture(e.pointerId);
+            setDragKind(drag.kind);
+        }
+
+        if (drag.kind === 'pan') {
+            setView({
+                ...view,
+                x: drag.startView.x + point.x - drag.startScreen.x,
+                y: drag.startView.y + point.y - drag.startScreen.y,
+            });
+            return;
+        }
+
+        const world = screenToWorld(view, point);
+        const dx = world.x - drag.startWorld.x;
+        const dy = world.y - drag.startWorld.y;
+
+        if (drag.kind === 'marquee') {
+            const rect = normalizeRect(drag.startWorld, world);
+            const inside = notes.filter(n => rectsIntersect(rect, getNoteRect(n))).map(n => n.id);
+            setMarquee(rect);
+            setSelectedIds([...new Set([...drag.baseSelection, ...inside])]);
+            return;
+        }
+
+        if (drag.kind === 'connect') {
+            setConnectDraft({ from: drag.noteId, point: world });
+            return;
+        }
+
+        if (drag.kind === 'note-resize') {
+            updateNote(drag.noteId, {
+                width: Math.max(MIN_NOTE_SIZE.width, snapToGrid(drag.note.width + dx, view.snap)),
+                height: Math.max(MIN_NOTE_SIZE.height, snapToGrid(drag.note.height + dy, view.snap)),
+            });
+            return;
+        }
+
+        if (drag.kind === 'frame-resize') {
+            updateFrame(drag.frame.id, {
+                width: Math.max(MIN_FRAME_SIZE.width, snapToGrid(drag.frame.width + dx, view.snap)),
+                height: Math.max(MIN_FRAME_SIZE.height, snapToGrid(drag.frame.height + dy, view.snap)),
+            });
+            return;
+        }
+
+        // Moving notes (or a frame and its notes): with snapping on, the lead item
+        // lands on the grid and everything else keeps its distance to it
+        const lead = drag.kind === 'frame' ? drag.frame : drag.origins[0];
+        const moveX = snapToGrid(lead.x + dx, view.snap) - lead.x;
+        const moveY = snapToGrid(lead.y + dy, view.snap) - lead.y;
+
+        if (drag.kind === 'frame') {
+            updateFrame(drag.frame.id, { x: drag.frame.x + moveX, y: drag.frame.y + moveY });
+        }
+        setNotes(notes.map(note => {
+            const origin = drag.origins.find(o => o.id === note.id);
+            return origin ? { ...note, x: origin.x + moveX, y: origin.y + moveY } : note;
+        }));
     };
 
-    const handleMouseMove = (e) => {
-        if (!isDragging || !activeNote) return;
+    // Pointer released, or the browser took it over (pointercancel)
+    const handlePointerUp = (e) => {
+        touchPointers.current.delete(e.pointerId);
+        const drag = dragRef.current;
+        if (!drag || (drag.kind !== 'pinch' && e.pointerId !== drag.pointerId)) return;
 
-        const rect = containerRef.current.getBoundingClientRect();
+        // A plain click on the background clears the selection
+        if ((drag.kind === 'pan' || drag.kind === 'marquee') && !drag.started && !e.shiftKey) {
+            setSelectedIds([]);
+        }
+
+        // Arrow released over another note (one arrow per direction)
+        if (drag.kind === 'connect' && drag.started) {
+            const target = findNoteAt(toWorldPoint(e));
+            const exists = connectors.some(c => c.from === drag.noteId && c.to === target?.id);
+            if (target && target.id !== drag.noteId && !exists) {
+                const connector = { id: uuidv4(), from: drag.noteId, to: target.id, label: '' };
+                setConnectors([...connectors, connector]);
+                setEditingConnectorId(connector.id); // Ask for a label right away
+            }
+        }
 
-        // Calculate new X/Y based on mouse diff
-        const x = ((e.clientX - dragOffset.current.x) / rect.width) * 100;
-        const y = ((e.clientY - dragOffset.current.y) / rect.height) * 100;
+        dragRef.current = null;
+        setDragKind(null);
+        setMarquee(null);
+        setConnectDraft(null);
+    };
 
-        // Apply new position with boundary constraints (0-80% width, 0-75% height)
+    // Arrow keys move the focused note (or the selection it belongs to), not while typing in it
+    const handleKeyDown = (e, id) => {
+        const direction = ARROW_KEYS[e.key];
+        if (!direction || e.target !== e.currentTarget) return;
+
+        e.preventDefault();
+        const step = (view.snap ? GRID_SIZE : NUDGE_STEP) * (e.shiftKey ? NUDGE_MULTIPLIER_LARGE : 1);
+        const ids = selectedIds.includes(id) ? selectedIds : [id];
+        setSelectedIds(ids);
         setNotes(notes.map(note =>
-            note.id === activeNote
-                ? { ...note, x: Math.max(0, Math.min(80, x)), y: Math.max(0, Math.min(75, y)) }
+            ids.includes(note.id)
+                ? { ...note, x: note.x + direction.x * step, y: note.y + direction.y * step }
                 : note
         ));
     };
 
-    const handleMouseUp = () => {
-        setIsDragging(false);
-    };
+    const minimapNotes = notes.map(note => ({
+        ...getNoteRect(note),
+        id: note.id,
+        fill: (COLORS.find(c => c.id === note.color) || COLORS[0]).bg,
+    }));
+    const gridSize = GRID_SIZE * view.zoom;
 
     return (
         <div className="sticky-notes full-height">
@@ -170,81 +640,124 @@ export default function StickyNotes() {
                     Sticky Notes
                     <span className="saved-indicator">✓ Auto-saved</span>
                 </h2>
-                <button className="glass-button primary add-note-btn" onClick={addNote}>
-                    + New Note
-                </button>
+                <div className="sticky-toolbar">
+                    <div className="sticky-tool-group">
+                        <button
+                            className={`sticky-tool ${tool === 'pan' ? 'active' : ''}`}
+                            onClick={() => setTool('pan')}
+                            title="Drag the background to pan (Shift+drag to select)"
+                        >
+                            ✋
+                        </button>
+                        <button
+                            className={`sticky-tool ${tool === 'select' ? 'active' : ''}`}
+                            onClick={() => setTool('select')}
+                            title="Drag the background to select notes (Shift+drag to pan)"
+                        >
+                            ⬚
+                        </button>
+                    </div>
+                    <button
+                        className={`sticky-tool ${view.snap ? 'active' : ''}`}
+                        onClick={() => setView({ ...view, snap: !view.snap })}
+                        title="Snap to grid"
+                    >
+                        # Snap
+                    </button>
+                    <button
+                        className="sticky-tool"
+                        onClick={addFrame}
+                        title={selectedIds.length > 0 ? 'Frame the selected notes' : 'Add a frame'}
+                    >
+                        ▭ Frame
+                    </button>
+                    <div className="sticky-tool-group">
+                        <button className="sticky-tool" onClick={() => zoomBy(1 / ZOOM_STEP)} title="Zoom out">−</button>
+                        <button
+                            className="sticky-tool sticky-zoom"
+                            onClick={() => setView(prev => zoomAt(prev, 1, { x: boardSize.width / 2, y: boardSize.height / 2 }))}
+                            title="Reset zoom"
+                        >
+                            {Math.round(view.zoom * 100)}%
+                        </button>
+                        <button className="sticky-tool" onClick={() => zoomBy(ZOOM_STEP)} title="Zoom in">+</button>
+                        <button className="sticky-tool" onClick={fitToContent} title="Fit all notes">⤢</button>
+                    </div>
+                    <button className="glass-button primary add-note-btn" onClick={() => addNote()}>
+                        + New Note
+                    </button>
+                </div>
             </div>
 
-            {/* Board Container - Drop Area */}
+            {/* Board - the visible part of the canvas */}
             <div
-                ref={containerRef}
-                className="sticky-board"
-                onMouseMove={handleMouseMove}
-                onMouseUp={handleMouseUp}
-                onMouseLeave={handleMouseUp}
+                ref={boardRef}
+                className={`sticky-board ${dragKind ? `dragging-${dragKind}` : ''} tool-${tool}`}
+                style={{
+                    backgroundSize: `${gridSize}px ${gridSize}px`,
+                    backgroundPosition: `${view.x}px ${view.y}px`,
+                }}
+                onPointerDown={handleBoardPointerDown}
+                onPointerMove={handlePointerMove}
+                onPointerUp={handlePointerUp}
+                onPointerCancel={handlePointerUp}
             >
-                {notes.map((note, index) => {
-                    const colorData = COLORS.find(c => c.id === note.color) || COLORS[0];
-                    const sizeData = SIZES.find(s => s.id === note.size) || SIZES[1];
+                {/* World layer - panned and zoomed */}
+                <div
+                    className="sticky-world"
+                    style={{ transform: `translate(${view.x}px, ${view.y}px) scale(${view.zoom})` }}
+                >
+                    <div className="sticky-frames">
+                        {frames.map(frame => (
+                            <NoteFrame
+                                key={frame.id}
+                                frame={frame}
+                                onDragStart={(e, mode) => handleFramePointerDown(e, frame, mode)}
+                                onRename={(name) => updateFrame(frame.id, { name })}
+                                onDelete={() => deleteFrame(frame.id)}
+                            />
+                        ))}
+                    </div>
 
-                    return (
-                        <div
+                    <Connectors
+                        connectors={connectors}
+                        notes={notes}
+                        draft={connectDraft}
+                        editingId={editingConnectorId}
+                        onEdit={setEditingConnectorId}
+                        onRename={renameConnector}
+                        onDelete={deleteConnector}
+                    />
+
+                    {notes.map((note, index) => (
+                        <StickyNote
                             key={note.id}
-                            className={`sticky-note ${activeNote === note.id ? 'active' : ''}`}
+                            note={note}
+                            zIndex={index + 1}
+                            isSelected={selectedIds.includes(note.id)}
+                            isHighlighted={highlightedId === note.id}
+                            isDragging={dragKind === 'notes' && selectedIds.includes(note.id)}
+                            onPointerDown={(e) => handleNotePointerDown(e, note.id)}
+                            onResizeStart={(e) => handleNoteResizeStart(e, note)}
+                            onConnectStart={(e) => handleConnectStart(e, note)}
+                            onKeyDown={(e) => handleKeyDown(e, note.id)}
+                            onChange={(changes) => updateNote(note.id, changes)}
+                            onDelete={() => deleteNote(note.id)}
+                        />
+                    ))}
+
+                    {marquee && (
+                        <div
+                            className="sticky-marquee"
                             style={{
-                                left: `${note.x}%`,
-                                top: `${note.y}%`,
-                                backgroundColor: colorData.bg,
-                                color: colorData.text,
-                                width: `${sizeData.width}px`,
-                                minHeight: `${sizeData.height}px`,
-                                zIndex: index + 1, // Render order determines layer stack
+                                left: `${marquee.x}px`,
+                                top: `${marquee.y}px`,
+                                width: `${marquee.width}px`,
+                                height: `${marquee.height}px`,
                             }}
-                            onMouseDown={(e) => handleMouseDown(e, note.id)}
-                        >
-                            {/* Note Controls (Color, Size, Delete) */}
-                            <div className="sticky-actions">
-                                <div className="color-dots">
-                                    {COLORS.map(c => (
-                                        <button
-                                            key={c.id}
-                                            className={`color-dot ${note.color === c.id ? 'active' : ''}`}
-                                            style={{ background: c.bg }}
-                                            onClick={() => changeColor(note.id, c.id)}
-                                        />
-                                    ))}
-                                </div>
-                                <div className="size-btns">
-                                    {SIZES.map(s => (
-                                        <button
-                                            key={s.id}
-                                            className={`size-btn ${note.size === s.id ? 'active' : ''}`}
-                                            onClick={() => changeSize(note.id, s.id)}
-                                        >
-                                            {s.label}
-                                        </button>
-                                    ))}
-                                </div>
-                                <button
-                                    className="delete-sticky"
-                                    onClick={() => deleteNote(note.id)}
-                                >
-                                    ✕
-                                </button>
-                            </div>
-
-                            {/* Text Input Area */}
-                            <textarea
-                                className="sticky-content"
-                                value={note.content}
-                                onChange={(e) => updateNote(note.id, e.target.value)}
-                                placeholder="Write something..."
-                                onClick={() => setActiveNote(note.id)}
-                                style={{ minHeight: `${sizeData.height - 50}px` }}
-                            />
-                        </div>
-                    );
-                })}
+                        />
+                    )}
+                </div>
 
                 {/* Empty State */}
                 {notes.length === 0 && (
@@ -253,6 +766,17 @@ export default function StickyNotes() {
                         <p>Click "New Note" to create your first sticky!</p>
                     </div>
                 )}
+
+                {/* Minimap */}
+                {(notes.length > 0 || frames.length > 0) && boardSize.width > 0 && (
+                    <Minimap
+                        notes={minimapNotes}
+                        frames={frames}
+                        view={view}
+                        boardSize={boardSize}
+                        onCenter={(point) => setView(centerOn(view, point, boardSize))}
+                    />
+                )}
             </div>
         </div>
     );
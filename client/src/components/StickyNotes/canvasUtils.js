@@ -0,0 +1,208 @@
+/**
+ * canvasUtils.js - Note styles and geometry helpers for the sticky notes canvas
+ *
+ * The board is an infinite canvas: notes and frames have "world" pixel
+ * coordinates, and the view ({ x, y, zoom }) says where the world is drawn:
+ *
+ *   screen = world * zoom + view.{x,y}
+ *
+ * The view (and the snap-to-grid toggle) is remembered per workspace in
+ * localStorage under 'stackpad_notes_view_<workspaceId>'.
+ */
+
+// Grid spacing in world pixels (matches the board background)
+export const GRID_SIZE = 25;
+
+export const MIN_ZOOM = 0.25;
+export const MAX_ZOOM = 2;
+
+// Predefined colors for the notes
+export const COLORS = [
+    { id: 'yellow', bg: '#fef9c3', text: '#1a1a1a' },
+    { id: 'orange', bg: '#fed7aa', text: '#1a1a1a' },
+    { id: 'pink', bg: '#fecdd3', text: '#1a1a1a' },
+    { id: 'blue', bg: '#bfdbfe', text: '#1a1a1a' },
+    { id: 'green', bg: '#bbf7d0', text: '#1a1a1a' },
+];
+
+// Size presets (notes can also be resized freely; see getNoteRect)
+export const SIZES = [
+    { id: 'small', width: 150, height: 120, label: 'S' },
+    { id: 'medium', width: 200, height: 180, label: 'M' },
+    { id: 'large', width: 280, height: 240, label: 'L' },
+];
+
+// Smallest a note can be resized to
+export const MIN_NOTE_SIZE = { width: 120, height: 90 };
+
+// Notes used to be placed in % of the board; old boards are mapped onto this area
+const LEGACY_BOARD = { width: 1200, height: 800 };
+
+const DEFAULT_VIEW = { x: 40, y: 40, zoom: 1, snap: false };
+
+// ============================================
+// NOTES & RECTANGLES
+// ============================================
+
+/**
+ * toCanvasNote - Converts a note saved with % coordinates to world pixels
+ * Notes already on the canvas (coords: 'px') are returned as they are.
+ */
+export const toCanvasNote = (note) => note.coords === 'px' ? note : {
+    ...note,
+    x: Math.round(note.x / 100 * LEGACY_BOARD.width),
+    y: Math.round(note.y / 100 * LEGACY_BOARD.height),
+    coords: 'px',
+};
+
+/**
+ * getNoteRect - A note's rectangle in world pixels
+ * Resized notes store width/height; others take them from their size preset.
+ */
+export const getNoteRect = (note) => {
+    const size = SIZES.find(s => s.id === note.size) || SIZES[1];
+    return {
+        x: note.x,
+        y: note.y,
+        width: note.width ?? size.width,
+        height: note.height ?? size.height,
+    };
+};
+
+export const snapToGrid = (value, enabled) =>
+    enabled ? Math.round(value / GRID_SIZE) * GRID_SIZE : Math.round(value);
+
+export const rectsIntersect = (a, b) =>
+    a.x < b.x + b.width && b.x < a.x + a.width &&
+    a.y < b.y + b.height && b.y < a.y + a.height;
+
+export const containsPoint = (rect, point) =>
+    point.x >= rect.x && point.x <= rect.x + rect.width &&
+    point.y >= rect.y && point.y <= rect.y + rect.height;
+
+/**
+ * normalizeRect - Rectangle between two corners, whichever way it was dragged
+ */
+export const normalizeRect = (a, b) => ({
+    x: Math.min(a.x, b.x),
+    y: Math.min(a.y, b.y),
+    width: Math.abs(a.x - b.x),
+    height: Math.abs(a.y - b.y),
+});
+
+/**
+ * getBounds - Smallest rectangle around all the given rectangles (null for none)
+ */
+export const getBounds = (rects) => {
+    if (rects.length === 0) return null;
+    const left = Math.min(...rects.map(r => r.x));
+    const top = Math.min(...rects.map(r => r.y));
+    const right = Math.max(...rects.map(r => r.x + r.width));
+    const bottom = Math.max(...rects.map(r => r.y + r.height));
+    return { x: left, y: top, width: right - left, height: bottom - top };
+};
+
+/**
+ * getRectCenter - Middle point of a rectangle
+ */
+export const getRectCenter = (rect) => ({ x: rect.x + rect.width / 2, y: rect.y + rect.height / 2 });
+
+/**
+ * getFrameNoteIds - Notes that belong to a frame (their center is inside it)
+ */
+export const getFrameNoteIds = (frame, notes) => notes
+    .filter(note => containsPoint(frame, getRectCenter(getNoteRect(note))))
+    .map(note => note.id);
+
+/**
+ * getEdgePoint - Where the line from the rectangle's center towards `target` leaves it
+ */
+export const getEdgePoint = (rect, target) => {
+    const center = getRectCenter(rect);
+    const dx = target.x - center.x;
+    const dy = target.y - center.y;
+    if (dx === 0 && dy === 0) return center;
+    const t = Math.min(
+        dx ? (rect.width / 2) / Math.abs(dx) : Infinity,
+        dy ? (rect.height / 2) / Math.abs(dy) : Infinity,
+    );
+    return { x: center.x + dx * t, y: center.y + dy * t };
+};
+
+/**
+ * getConnectorPoints - Arrow between two notes, from edge to edge
+ *
+ * @returns {object} { start, end, mid } world points
+ */
+export const getConnectorPoints = (fromRect, toRect) => {
+    const start = getEdgePoint(fromRect, getRectCenter(toRect));
+    const end = getEdgePoint(toRect, getRectCenter(fromRect));
+    return { start, end, mid: { x: (start.x + end.x) / 2, y: (start.y + end.y) / 2 } };
+};
+
+// ============================================
+// VIEW (PAN & ZOOM)
+// ============================================
+
+export const clampZoom = (zoom) => Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, zoom));
+
+/**
+ * screenToWorld - Board-relative screen point → world point
+ */
+export const screenToWorld = (view, point) => ({
+    x: (point.x - view.x) / view.zoom,
+    y: (point.y - view.y) / view.zoom,
+});
+
+/**
+ * zoomAt - Changes the zoom while keeping the world point under `point` in place
+ */
+export const zoomAt = (view, zoom, point) => {
+    const newZoom = clampZoom(zoom);
+    const world = screenToWorld(view, point);
+    return {
+        ...view,
+        zoom: newZoom,
+        x: point.x - world.x * newZoom,
+        y: point.y - world.y * newZoom,
+    };
+};
+
+/**
+ * centerOn - Pans so a world point is in the middle of the board
+ */
+export const centerOn = (view, point, boardSize) => ({
+    ...view,
+    x: boardSize.width / 2 - point.x * view.zoom,
+    y: boardSize.height / 2 - point.y * view.zoom,
+});
+
+/**
+ * fitToBounds - Zoom and pan so a world rectangle fills the board (never zooms past 100%)
+ */
+export const fitToBounds = (view, bounds, boardSize, padding = 40) => {
+    if (!bounds) return { ...view, x: DEFAULT_VIEW.x, y: DEFAULT_VIEW.y, zoom: 1 };
+    const zoom = clampZoom(Math.min(
+        1,
+        (boardSize.width - padding * 2) / Math.max(bounds.width, 1),
+        (boardSize.height - padding * 2) / Math.max(bounds.height, 1),
+    ));
+    return centerOn({ ...view, zoom }, {
+        x: bounds.x + bounds.width / 2,
+        y: bounds.y + bounds.height / 2,
+    }, boardSize);
+};
+
+const viewKey = (workspaceId) => `stackpad_notes_view_${workspaceId}`;
+
+export const loadCanvasView = (workspaceId) => {
+    try {
+        return { ...DEFAULT_VIEW, ...JSON.parse(localStorage.getItem(viewKey(workspaceId))) };
+    } catch {
+        return { ...DEFAULT_VIEW };
+    }
+};
+
+export const saveCanvasView = (workspaceId, view) => {
+    localStorage.setItem(viewKey(workspaceId), JSON.stringify(view));
+};
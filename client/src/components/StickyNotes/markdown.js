@@ -0,0 +1,239 @@
+/**
+ * markdown.js - A small Markdown parser for sticky notes
+ *
+ * Notes are short, so this covers what they need rather than all of CommonMark:
+ * - # Headings (levels 1-3)
+ * - **bold**, *italic*, `inline code`, [links](https://...)
+ * - Fenced code blocks (```js) with basic syntax highlighting
+ * - "- " / "* " / "1. " lists and "- [ ]" / "- [x]" checklists
+ *
+ * Parsing produces plain objects; MarkdownView.jsx turns them into React
+ * elements (no HTML strings, so note content can't inject markup).
+ * Checklist items remember their line number so a click can write back.
+ */
+
+// ============================================
+// BLOCKS
+// ============================================
+
+const FENCE = /^\s*```\s*([\w+#-]*)\s*$/;
+const HEADING = /^(#{1,3})\s+(.*)$/;
+const LIST_ITEM = /^\s*(?:([-*+])|(\d+)[.)])\s+(?:\[( |x|X)\]\s+)?(.*)$/;
+
+/**
+ * parseMarkdown - Splits note content into blocks
+ *
+ * @param {string} content - Note text
+ * @returns {Array} [{ type: 'heading', level, text }
+ *                   | { type: 'paragraph', text }
+ *                   | { type: 'code', lang, code }
+ *                   | { type: 'list', ordered, items: [{ text, checked: null | boolean, line }] }]
+ */
+export const parseMarkdown = (content = '') => {
+    const lines = content.split('\n');
+    const blocks = [];
+    let paragraph = null;
+    let list = null;
+
+    const closeOpenBlocks = () => {
+        paragraph = null;
+        list = null;
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+
+        // Fenced code: everything up to the closing fence (or the end) is code
+        const fence = line.match(FENCE);
+        if (fence) {
+            closeOpenBlocks();
+            const codeLines = [];
+            i++;
+            while (i < lines.length && !FENCE.test(lines[i])) {
+                codeLines.push(lines[i]);
+                i++;
+            }
+            blocks.push({ type: 'code', lang: fence[1].toLowerCase(), code: codeLines.join('\n') });
+            continue;
+        }
+
+        if (!line.trim()) {
+            closeOpenBlocks();
+            continue;
+        }
+
+        const heading = line.match(HEADING);
+        if (heading) {
+            closeOpenBlocks();
+            blocks.push({ type: 'heading', level: heading[1].length, text: heading[2] });
+            continue;
+        }
+
+        const item = line.match(LIST_ITEM);
+        if (item) {
+            const ordered = Boolean(item[2]);
+            if (!list || list.ordered !== ordered) {
+                paragraph = null;
+                list = { type: 'list', ordered, items: [] };
+                blocks.push(list);
+            }
+            list.items.push({
+                text: item[4],
+                checked: item[3] == null ? null : item[3] !== ' ',
+                line: i,
+            });
+            continue;
+        }
+
+        // Plain text joins the paragraph above it (line breaks are kept)
+        list = null;
+        if (paragraph) {
+            paragraph.text += `\n${line}`;
+        } else {
+            paragraph = { type: 'paragraph', text: line };
+            blocks.push(paragraph);
+        }
+    }
+
+    return blocks;
+};
+
+/**
+ * toggleChecklistItem - Flips the "[ ]" / "[x]" on one line of the content
+ * Returns the content unchanged if that line isn't a checklist item.
+ */
+export const toggleChecklistItem = (content, lineIndex) => {
+    const lines = content.split('\n');
+    const line = lines[lineIndex];
+    if (line == null) return content;
+
+    lines[lineIndex] = line.replace(
+        /^(\s*(?:[-*+]|\d+[.)])\s+\[)( |x|X)(\])/,
+        (match, before, mark, after) => `${before}${mark === ' ' ? 'x' : ' '}${after}`
+    );
+    return lines.join('\n');
+};
+
+// ============================================
+// INLINE
+// ============================================
+
+// Order matters: code spans win over everything inside them
+// (underscores only count at word edges, so snake_case_names stay as they are)
+const INLINE = /(`[^`]+`)|(\*\*[^*]+\*\*|(?<!\w)__[^_]+__(?!\w))|(\*[^*\s][^*]*\*|(?<!\w)_[^_\s][^_]*_(?!\w))|(\[[^\]]+\]\([^)\s]+\))|(https?:\/\/[^\s<)]+)/;
+
+// Only these link targets are rendered as links
+const SAFE_URL = /^(https?:|mailto:)/i;
+
+/**
+ * parseInline - Splits a line of text into styled pieces
+ *
+ * @returns {Array} [{ type: 'text' | 'code', text }
+ *                   | { type: 'bold' | 'italic', children }
+ *                   | { type: 'link', href, children }]
+ */
+export const parseInline = (text) => {
+    const tokens = [];
+    let rest = text;
+
+    while (rest) {
+        const match = rest.match(INLINE);
+        if (!match) {
+            tokens.push({ type: 'text', text: rest });
+            break;
+        }
+        if (match.index > 0) tokens.push({ type: 'text', text: rest.slice(0, match.index) });
+
+        const [whole, code, bold, italic, link, url] = match;
+        if (code) {
+            tokens.push({ type: 'code', text: code.slice(1, -1) });
+        } else if (bold) {
+            tokens.push({ type: 'bold', children: parseInline(bold.slice(2, -2)) });
+        } else if (italic) {
+            tokens.push({ type: 'italic', children: parseInline(italic.slice(1, -1)) });
+        } else if (link) {
+            const [, label, href] = link.match(/^\[([^\]]+)\]\(([^)\s]+)\)$/);
+            tokens.push(SAFE_URL.test(href)
+                ? { type: 'link', href, children: parseInline(label) }
+                : { type: 'text', text: label });
+        } else if (url) {
+            tokens.push({ type: 'link', href: url, children: [{ type: 'text', text: url }] });
+        }
+
+        rest = rest.slice(match.index + whole.length);
+    }
+
+    return tokens;
+};
+
+// ============================================
+// SYNTAX HIGHLIGHTING
+// ============================================
+
+const JS_KEYWORDS = 'const let var function return if else for while do switch case break continue new class extends import export from default async await try catch finally throw typeof instanceof of in this null undefined true false';
+
+// Per language: comment syntax and keywords (aliases share a definition)
+const LANGUAGES = {
+    js: { comments: ['//', '/*'], keywords: JS_KEYWORDS },
+    ts: { comments: ['//', '/*'], keywords: `${JS_KEYWORDS} interface type enum implements public private readonly` },
+    python: { comments: ['#'], keywords: 'def return if elif else for while in not and or import from as class try except finally raise with lambda yield pass break continue None True False self async await' },
+    bash: { comments: ['#'], keywords: 'if then else elif fi for while do done case esac function return in export local echo cd sudo' },
+    sql: { comments: ['--'], keywords: 'select from where and or not insert into values update set delete create table drop alter join left right inner outer on group by order having limit as null is in distinct' },
+    css: { comments: ['/*'], keywords: '' },
+    json: { comments: [], keywords: 'true false null' },
+    go: { comments: ['//', '/*'], keywords: 'func return if else for range switch case break continue package import type struct interface map chan go defer var const nil true false' },
+};
+const ALIASES = {
+    javascript: 'js', jsx: 'js', mjs: 'js', typescript: 'ts', tsx: 'ts',
+    py: 'python', sh: 'bash', shell: 'bash', zsh: 'bash', golang: 'go',
+};
+
+const COMMENT_PATTERNS = {
+    '//': '\\/\\/.*',
+    '/*': '\\/\\*[\\s\\S]*?(?:\\*\\/|$)',
+    '#': '#.*',
+    '--': '--.*',
+};
+
+// Tokenizer regexes are built once per language
+const tokenizers = {};
+
+const getTokenizer = (lang) => {
+    if (!tokenizers[lang]) {
+        const { comments, keywords } = LANGUAGES[lang];
+        // Groups: 1 comment, 2 string, 3 number, 4 keyword ("([^\\s\\S])" never matches)
+        const parts = [
+            comments.length ? `(${comments.map(c => COMMENT_PATTERNS[c]).join('|')})` : '([^\\s\\S])',
+            '("(?:\\\\.|[^"\\\\])*"|\'(?:\\\\.|[^\'\\\\])*\'|`(?:\\\\.|[^`\\\\])*`)',
+            '(\\b\\d+(?:\\.\\d+)?\\b)',
+            keywords ? `(\\b(?:${keywords.split(' ').join('|')})\\b)` : '([^\\s\\S])',
+        ];
+        tokenizers[lang] = new RegExp(parts.join('|'), lang === 'sql' ? 'gi' : 'g');
+    }
+    return tokenizers[lang];
+};
+
+/**
+ * highlightCode - Splits code into typed pieces for coloring
+ * Unknown languages come back as a single plain piece.
+ *
+ * @returns {Array} [{ type: 'plain' | 'comment' | 'string' | 'number' | 'keyword', text }]
+ */
+export const highlightCode = (code, lang) => {
+    const language = ALIASES[lang] || lang;
+    if (!LANGUAGES[language]) return [{ type: 'plain', text: code }];
+
+    const tokenizer = getTokenizer(language);
+    const tokens = [];
+    let lastIndex = 0;
+
+    for (const match of code.matchAll(tokenizer)) {
+        if (match.index > lastIndex) tokens.push({ type: 'plain', text: code.slice(lastIndex, match.index) });
+        const type = match[1] ? 'comment' : match[2] ? 'string' : match[3] ? 'number' : 'keyword';
+        tokens.push({ type, text: match[0] });
+        lastIndex = match.index + match[0].length;
+    }
+    if (lastIndex < code.length) tokens.push({ type: 'plain', text: code.slice(lastIndex) });
+
+    return tokens;
+};
@@ -0,0 +1,44 @@
+/**
+ * LogEditor.jsx - Inline editor for a check-in entry
+ *
+ * Replaces the entry in the list while editing. Ctrl/Cmd+Enter saves,
+ * Escape cancels. The timestamp can be changed to backfill earlier work.
+ */
+
+import { useState } from 'react';
+import LogFields from './LogFields';
+import { getLogType, toLogForm, fromLogForm } from './logUtils';
+
+export default function LogEditor({ log, types, onSave, onCancel }) {
+    const [form, setForm] = useState(() => toLogForm(log));
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (!form.content.trim()) return;
+        onSave(fromLogForm(form));
+    };
+
+    const handleKeyDown = (e) => {
+        if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) handleSubmit(e);
+        if (e.key === 'Escape') onCancel();
+    };
+
+    return (
+        <form
+            className="log-entry log-editor"
+            style={{ '--log-color': getLogType(types, form.type).color }}
+            onSubmit={handleSubmit}
+        >
+            <LogFields form={form} types={types} onChange={setForm} onKeyDown={handleKeyDown} />
+
+            <div className="log-editor-actions">
+                <button type="button" className="glass-button" onClick={onCancel}>
+                    Cancel
+                </button>
+                <button type="submit" className="glass-button primary">
+                    Save
+                </button>
+            </div>
+        </form>
+    );
+}
@@ -0,0 +1,59 @@
+/**
+ * LogEntry.jsx - One check-in in the list or the timeline
+ *
+ * Shows the type, text, time, hours and tags; ✎ edits it inline, ✕ deletes.
+ * Clicking a tag filters the list by it.
+ */
+
+import { getLogType } from './logUtils';
+
+/**
+ * @param {string} time - Already formatted ("2h ago" in the list, "14:05" in the timeline)
+ */
+export default function LogEntry({ log, types, time, isHighlighted, onEdit, onDelete, onTagClick }) {
+    const logType = getLogType(types, log.type);
+
+    return (
+        <div
+            data-log-id={log.id}
+            className={`log-entry ${isHighlighted ? 'search-hit' : ''}`}
+            style={{ '--log-color': logType.color }}
+        >
+            <div className="log-icon" title={logType.label}>{logType.icon}</div>
+            <div className="log-content">
+                <p className="log-text">{log.content}</p>
+                <div className="log-meta">
+                    <span className="log-time">{time}</span>
+                    {log.hours > 0 && <span className="log-hours">{log.hours}h</span>}
+                    {(log.tags || []).map(tag => (
+                        <button
+                            key={tag}
+                            type="button"
+                            className="log-tag"
+                            onClick={() => onTagClick(tag)}
+                            title={`Show only #${tag}`}
+                        >
+                            #{tag}
+                        </button>
+                    ))}
+                </div>
+            </div>
+            <div className="log-actions">
+                <button
+                    className="log-edit"
+                    onClick={onEdit}
+                    title="Edit"
+                >
+                    ✎
+                </button>
+                <button
+                    className="log-delete"
+                    onClick={onDelete}
+                    title="Delete"
+                >
+                    ✕
+                </button>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,88 @@
+/**
+ * LogFields.jsx - The fields of a check-in (type, text, hours, when, tags)
+ *
+ * Shared by the "New Check-In" modal and the inline editor (LogEditor.jsx).
+ * Works on string form values, see toLogForm()/fromLogForm() in logUtils.js.
+ */
+
+/**
+ * @param {object} form - { type, content, hours, when, tags }
+ * @param {Array} types - The workspace's log types
+ * @param {function} onChange - Called with the updated form
+ * @param {function} onKeyDown - Optional, for the text area (e.g. Ctrl+Enter to save)
+ */
+export default function LogFields({ form, types, onChange, onKeyDown }) {
+    const set = (field) => (e) => onChange({ ...form, [field]: e.target.value });
+
+    return (
+        <>
+            <div className="form-group">
+                <label>Type</label>
+                {/* Type selector buttons */}
+                <div className="log-type-selector">
+                    {types.map((type) => (
+                        <button
+                            key={type.id}
+                            type="button"
+                            className={`type-btn ${form.type === type.id ? 'active' : ''}`}
+                            onClick={() => onChange({ ...form, type: type.id })}
+                            style={{ '--type-color': type.color }}
+                        >
+                            <span>{type.icon}</span>
+                            <span className="type-label">{type.label}</span>
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            <div className="form-group">
+                <label>What did you work on?</label>
+                <textarea
+                    className="glass-input log-textarea"
+                    placeholder="Describe your progress, learnings, or discoveries..."
+                    value={form.content}
+                    onChange={set('content')}
+                    onKeyDown={onKeyDown}
+                    rows={4}
+                    autoFocus
+                />
+            </div>
+
+            <div className="log-form-row">
+                <div className="form-group">
+                    <label>Hours spent (optional)</label>
+                    <input
+                        type="number"
+                        step="0.5"
+                        min="0"
+                        className="glass-input hours-input"
+                        placeholder="e.g. 2.5"
+                        value={form.hours}
+                        onChange={set('hours')}
+                    />
+                </div>
+
+                <div className="form-group">
+                    <label>When {!form.when && '(now)'}</label>
+                    <input
+                        type="datetime-local"
+                        className="glass-input when-input"
+                        value={form.when}
+                        onChange={set('when')}
+                    />
+                </div>
+            </div>
+
+            <div className="form-group">
+                <label>Tags (optional)</label>
+                <input
+                    type="text"
+                    className="glass-input tags-input"
+                    placeholder="#api #frontend"
+                    value={form.tags}
+                    onChange={set('tags')}
+                />
+            </div>
+        </>
+    );
+}
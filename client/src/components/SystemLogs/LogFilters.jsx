@@ -0,0 +1,92 @@
+/**
+ * LogFilters.jsx - Filter bar for the check-in list
+ *
+ * Type chips, tag, date range (inclusive) and free text. The values live
+ * in the URL (see SystemLogs.jsx), so a filtered view can be bookmarked.
+ */
+
+import { hasActiveFilters } from './logUtils';
+
+/**
+ * @param {object} filters - { type, tag, from, to, text }
+ * @param {Array} types - The workspace's log types
+ * @param {string[]} tags - Every tag in use
+ * @param {function} onChange - onChange(key, value)
+ * @param {function} onClear - Resets all filters
+ */
+export default function LogFilters({ filters, types, tags, onChange, onClear }) {
+    return (
+        <div className="log-filters">
+            <div className="log-filter-types">
+                <button
+                    type="button"
+                    className={`log-filter-chip ${filters.type === 'all' ? 'active' : ''}`}
+                    onClick={() => onChange('type', 'all')}
+                >
+                    All
+                </button>
+                {types.map(type => (
+                    <button
+                        key={type.id}
+                        type="button"
+                        className={`log-filter-chip ${filters.type === type.id ? 'active' : ''}`}
+                        style={{ '--type-color': type.color }}
+                        onClick={() => onChange('type', filters.type === type.id ? 'all' : type.id)}
+                    >
+                        {type.icon} {type.label}
+                    </button>
+                ))}
+            </div>
+
+            <div className="log-filter-fields">
+                <input
+                    type="search"
+                    className="glass-input log-filter-text"
+                    placeholder="Filter text..."
+                    value={filters.text}
+                    onChange={(e) => onChange('text', e.target.value)}
+                />
+
+                {tags.length > 0 && (
+                    <select
+                        className="glass-input log-filter-tag"
+                        value={filters.tag}
+                        onChange={(e) => onChange('tag', e.target.value)}
+                    >
+                        <option value="">All tags</option>
+                        {tags.map(tag => (
+                            <option key={tag} value={tag}>#{tag}</option>
+                        ))}
+                    </select>
+                )}
+
+                <label className="log-filter-date">
+                    From
+                    <input
+                        type="date"
+                        className="glass-input"
+                        value={filters.from}
+                        max={filters.to || undefined}
+                        onChange={(e) => onChange('from', e.target.value)}
+                    />
+                </label>
+                <label className="log-filter-date">
+                    To
+                    <input
+                        type="date"
+                        className="glass-input"
+                        value={filters.to}
+                        min={filters.from || undefined}
+                        onChange={(e) => onChange('to', e.target.value)}
+                    />
+                </label>
+
+                {hasActiveFilters(filters) && (
+                    <button type="button" className="log-filter-clear" onClick={onClear}>
+                        ✕ Clear
+                    </button>
+                )}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,177 @@
+/**
+ * LogTypesEditor.jsx - Edit a workspace's check-in types
+ *
+ * Each type has a name, an icon (emoji), a color and a blocker flag (its
+ * check-ins go under Blockers in the standup); the order here is the
+ * order everywhere else (type buttons, filters, stats). Renaming keeps the
+ * type's ID, so existing logs follow. Removing a type that logs still use
+ * asks first - those logs keep their type ID and show with a neutral style.
+ *
+ * Changes are kept locally until Save.
+ */
+
+import { useState } from 'react';
+import { DEFAULT_LOG_TYPES, SUGGESTED_LOG_TYPES, createLogTypeId, isBlockerType } from './logUtils';
+
+const NEW_TYPE = { label: '', icon: '🏷️', color: '#94a3b8', blocker: false };
+
+/**
+ * toHexColor - <input type="color"> only takes '#rrggbb'
+ * The default types use theme variables; read their current value.
+ */
+const toHexColor = (color) => {
+    const variable = color.match(/^var\((--[\w-]+)\)$/)?.[1];
+    const value = variable
+        ? getComputedStyle(document.documentElement).getPropertyValue(variable).trim()
+        : color;
+    return /^#[0-9a-f]{6}$/i.test(value) ? value : '#94a3b8';
+};
+
+/**
+ * @param {Array} types - The workspace's current types
+ * @param {Array} logs - The workspace's logs (to show how often each type is used)
+ * @param {function} onSave - Called with the new list of types
+ * @param {function} onClose
+ */
+export default function LogTypesEditor({ types, logs, onSave, onClose }) {
+    // Rows being edited; new ones get their ID from the name on save
+    const [rows, setRows] = useState(types);
+
+    const usage = (id) => logs.filter(log => log.type === id).length;
+    const suggestions = SUGGESTED_LOG_TYPES.filter(s => !rows.some(row => row.id === s.id));
+    const isValid = rows.length > 0 && rows.every(row => row.label.trim());
+
+    const updateRow = (index, changes) => {
+        setRows(rows.map((row, i) => i === index ? { ...row, ...changes } : row));
+    };
+
+    const moveRow = (index, offset) => {
+        const next = [...rows];
+        const [row] = next.splice(index, 1);
+        next.splice(index + offset, 0, row);
+        setRows(next);
+    };
+
+    const removeRow = (index) => {
+        const count = rows[index].id ? usage(rows[index].id) : 0;
+        if (count > 0 && !confirm(`${count} check-in(s) use "${rows[index].label}". Remove the type anyway?`)) return;
+        setRows(rows.filter((_, i) => i !== index));
+    };
+
+    const handleSave = (e) => {
+        e.preventDefault();
+        if (!isValid) return;
+
+        const takenIds = rows.filter(row => row.id).map(row => row.id);
+        onSave(rows.map((row) => {
+            const { id, label, icon, color } = row;
+            const typeId = id || createLogTypeId(label, takenIds);
+            if (!id) takenIds.push(typeId);
+            return { id: typeId, label: label.trim(), icon: icon.trim() || NEW_TYPE.icon, color, blocker: isBlockerType(row) };
+        }));
+    };
+
+    return (
+        <form onSubmit={handleSave}>
+            <div className="modal-body">
+                <div className="log-types-list">
+                    {rows.map((row, index) => (
+                        <div key={row.id || `new-${index}`} className="log-type-row" style={{ '--type-color': row.color }}>
+                            <input
+                                type="text"
+                                className="glass-input log-type-icon"
+                                value={row.icon}
+                                onChange={(e) => updateRow(index, { icon: e.target.value })}
+                                aria-label="Icon"
+                            />
+                            <input
+                                type="text"
+                                className="glass-input log-type-name"
+                                value={row.label}
+                                placeholder="Name"
+                                onChange={(e) => updateRow(index, { label: e.target.value })}
+                                aria-label="Name"
+                                autoFocus={!row.id && index === rows.length - 1}
+                            />
+                            <input
+                                type="color"
+                                className="log-type-color"
+                                value={toHexColor(row.color)}
+                                onChange={(e) => updateRow(index, { color: e.target.value })}
+                                aria-label="Color"
+                            />
+                            <button
+                                type="button"
+                                className={`log-type-btn log-type-blocker ${isBlockerType(row) ? 'active' : ''}`}
+                                onClick={() => updateRow(index, { blocker: !isBlockerType(row) })}
+                                aria-pressed={isBlockerType(row)}
+                                title="Blocker: list these check-ins under Blockers in the standup"
+                            >
+                                🚧
+                            </button>
+                            <span className="log-type-usage" title="Check-ins of this type">
+                                {row.id ? usage(row.id) : 'new'}
+                            </span>
+                            <button
+                                type="button"
+                                className="log-type-btn"
+                                onClick={() => moveRow(index, -1)}
+                                disabled={index === 0}
+                                title="Move up"
+                            >
+                                ↑
+                            </button>
+                            <button
+                                type="button"
+                                className="log-type-btn"
+                                onClick={() => moveRow(index, 1)}
+                                disabled={index === rows.length - 1}
+                                title="Move down"
+                            >
+                                ↓
+                            </button>
+                            <button
+                                type="button"
+                                className="log-type-btn remove"
+                                onClick={() => removeRow(index)}
+                                disabled={rows.length === 1}
+                                title="Remove type"
+                            >
+                                ✕
+                            </button>
+                        </div>
+                    ))}
+                </div>
+
+                <div className="log-types-add">
+                    <button type="button" className="glass-button" onClick={() => setRows([...rows, NEW_TYPE])}>
+                        + Add type
+                    </button>
+                    {suggestions.map(suggestion => (
+                        <button
+                            key={suggestion.id}
+                            type="button"
+                            className="log-filter-chip"
+                            style={{ '--type-color': suggestion.color }}
+                            onClick={() => setRows([...rows, suggestion])}
+                        >
+                            + {suggestion.icon} {suggestion.label}
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            <div className="modal-footer">
+                <button type="button" className="glass-button log-types-reset" onClick={() => setRows(DEFAULT_LOG_TYPES)}>
+                    Reset to defaults
+                </button>
+                <button type="button" className="glass-button" onClick={onClose}>
+                    Cancel
+                </button>
+                <button type="submit" className="glass-button primary" disabled={!isValid}>
+                    Save Types
+                </button>
+            </div>
+        </form>
+    );
+}
@@ -5,70 +5,120 @@
  * Acts as a developer journal to track work history.
  * 
  * Features:
- * - Create new logs with type (Progress, Gotcha, Error, Tip)
+ * - Create new logs with a type, tags and an optional time (for
+ *   backfilling yesterday's work)
+ * - Log types are configurable per workspace (⚙️ Types: name, icon, color);
+ *   the defaults are Progress, Gotcha, Error and Tip
  * - Track hours spent per task (optional)
- * - View history of logs
+ * - Edit any entry inline (✎): text, type, hours, time and tags
+ * - Filter by type, tag, date range and text (kept in the URL)
+ * - View history as a flat list or a timeline grouped by day (?view=timeline)
  * - Daily stats header showing hours logged today vs total
  * - Logs are persisted per workspace
+ * - Entries opened from Search are scrolled to and flashed
  */
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef, useMemo } from 'react';
 import { useSelector, useDispatch } from 'react-redux';
-import { selectCurrentWorkspace, updateLogs } from '../../redux/slices/workspaceSlice';
+import { selectCurrentWorkspace, addLog, updateLog, deleteLog, updateLogTypes } from '../../redux/slices/workspaceSlice';
+import { useIntent } from '../CommandPalette/paletteRegistry';
+import { HIGHLIGHT_DURATION } from '../Search/searchIndex';
+import { useSearchParamState, useClearSearchParams } from '../../routing';
+import {
+    EMPTY_FILTERS,
+    getLogTypes,
+    toLogForm,
+    fromLogForm,
+    getAllTags,
+    sortLogs,
+    filterLogs,
+    hasActiveFilters,
+    groupLogsByDay,
+    formatDayLabel,
+    formatTime,
+} from './logUtils';
+import LogFields from './LogFields';
+import LogEditor from './LogEditor';
+import LogEntry from './LogEntry';
+import LogFilters from './LogFilters';
+import LogTypesEditor from './LogTypesEditor';
 import './SystemLogs.css';
 
-// Log category definitions
-const LOG_TYPES = [
-    { id: 'progress', label: 'Progress', icon: '🚀', color: 'var(--accent-green)' },
-    { id: 'gotcha', label: 'Gotcha', icon: '💡', color: 'var(--accent-orange)' },
-    { id: 'error', label: 'Error', icon: '🐛', color: '#ef4444' },
-    { id: 'tip', label: 'Tip', icon: '✨', color: 'var(--accent-cyan)' },
-];
+// URL query parameter of each filter
+const FILTER_PARAMS = { type: 'type', tag: 'tag', from: 'from', to: 'to', text: 'q' };
+const FILTER_PARAM_KEYS = Object.values(FILTER_PARAMS);
 
 export default function SystemLogs() {
     const dispatch = useDispatch();
     const workspace = useSelector(selectCurrentWorkspace);
-    const savedLogs = workspace?.logs || [];
+    const logs = useMemo(() => workspace?.logs || [], [workspace?.logs]);
+    const logTypes = getLogTypes(workspace);
 
-    // Local state for logs and UI
-    const [logs, setLogs] = useState(savedLogs);
+    // UI state (logs themselves live in Redux, so check-ins added
+    // elsewhere, e.g. from the focus session prompt, show up right away)
     const [showModal, setShowModal] = useState(false);
+    const [showTypesEditor, setShowTypesEditor] = useState(false);
 
     // Form state for new log entry
-    const [newLog, setNewLog] = useState({ type: 'progress', content: '', hours: '' });
+    const [newLog, setNewLog] = useState(() => toLogForm({ type: logTypes[0].id }));
 
-    // Sync from Redux when workspace changes
-    useEffect(() => {
-        setLogs(savedLogs);
-    }, [workspace?.id]);
+    // Entry being edited inline (null = none)
+    const [editingId, setEditingId] = useState(null);
+
+    // Filters and view, kept in the URL (?type=&tag=&from=&to=&q=&view=)
+    const [typeFilter, setTypeFilter] = useSearchParamState(FILTER_PARAMS.type, EMPTY_FILTERS.type);
+    const [tagFilter, setTagFilter] = useSearchParamState(FILTER_PARAMS.tag, EMPTY_FILTERS.tag);
+    const [fromFilter, setFromFilter] = useSearchParamState(FILTER_PARAMS.from, EMPTY_FILTERS.from);
+    const [toFilter, setToFilter] = useSearchParamState(FILTER_PARAMS.to, EMPTY_FILTERS.to);
+    const [textFilter, setTextFilter] = useSearchParamState(FILTER_PARAMS.text, EMPTY_FILTERS.text);
+    const clearFilters = useClearSearchParams(FILTER_PARAM_KEYS);
+    const [view, setView] = useSearchParamState('view', 'list'); // 'list' | 'timeline'
+
+    const filters = { type: typeFilter, tag: tagFilter, from: fromFilter, to: toFilter, text: textFilter };
+    const filterSetters = { type: setTypeFilter, tag: setTagFilter, from: setFromFilter, to: setToFilter, text: setTextFilter };
+
+    // Entry opened from Search (flashed briefly)
+    const [highlightedId, setHighlightedId] = useState(null);
+    const listRef = useRef(null);
+
+    useIntent('logs/highlight', ({ id }) => {
+        setHighlightedId(id);
+        setTimeout(() => setHighlightedId(null), HIGHLIGHT_DURATION);
+    });
 
-    // Save to Redux when logs change (debounced)
+    // Scroll the opened entry into view
     useEffect(() => {
-        const timeout = setTimeout(() => {
-            dispatch(updateLogs(logs));
-        }, 500);
-        return () => clearTimeout(timeout);
-    }, [logs, dispatch]);
+        if (highlightedId === null) return;
+        listRef.current
+            ?.querySelector(`[data-log-id="${highlightedId}"]`)
+            ?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }, [highlightedId]);
 
     const handleSubmit = (e) => {
         e.preventDefault();
         if (!newLog.content.trim()) return;
 
-        const log = {
-            id: Date.now(),
-            type: newLog.type,
-            content: newLog.content.trim(),
-            hours: parseFloat(newLog.hours) || 0,
-            timestamp: new Date().toISOString(),
-        };
+        const log = { id: Date.now(), ...fromLogForm(newLog) };
 
-        setLogs([log, ...logs]); // Add new log to top
-        setNewLog({ type: 'progress', content: '', hours: '' }); // Reset form
+        dispatch(addLog({ workspaceId: workspace.id, log })); // Added to the top
+        setNewLog(toLogForm({ type: logTypes[0].id })); // Reset form
         setShowModal(false);
     };
 
-    const deleteLog = (id) => {
-        setLogs(logs.filter(log => log.id !== id));
+    // Open the new check-in form (its type may be gone after switching workspace or editing types)
+    const openNewLog = () => {
+        if (!logTypes.some(t => t.id === newLog.type)) setNewLog({ ...newLog, type: logTypes[0].id });
+        setShowModal(true);
+    };
+
+    const saveLogTypes = (types) => {
+        dispatch(updateLogTypes(types));
+        setShowTypesEditor(false);
+    };
+
+    const saveLog = (id, changes) => {
+        dispatch(updateLog({ workspaceId: workspace.id, id, changes }));
+        setEditingId(null);
     };
 
     // Helper to format "time ago" string
@@ -100,6 +150,35 @@ export default function SystemLogs() {
     // Total hours logged today
     const todayHours = todayLogs.reduce((sum, log) => sum + (log.hours || 0), 0);
 
+    // ============================================
+    // FILTERED VIEW
+    // ============================================
+
+    const allTags = useMemo(() => getAllTags(logs), [logs]);
+    const visibleLogs = filterLogs(sortLogs(logs), filters);
+    const isFiltered = hasActiveFilters(filters);
+
+    const renderEntry = (log, time) => editingId === log.id ? (
+        <LogEditor
+            key={log.id}
+            log={log}
+            types={logTypes}
+            onSave={(changes) => saveLog(log.id, changes)}
+            onCancel={() => setEditingId(null)}
+        />
+    ) : (
+        <LogEntry
+            key={log.id}
+            log={log}
+            types={logTypes}
+            time={time}
+            isHighlighted={highlightedId === log.id}
+            onEdit={() => setEditingId(log.id)}
+            onDelete={() => dispatch(deleteLog({ workspaceId: workspace.id, id: log.id }))}
+            onTagClick={setTagFilter}
+        />
+    );
+
     return (
         <div className="system-logs">
             {/* Header */}
@@ -111,9 +190,14 @@ export default function SystemLogs() {
                     </h2>
                     <p className="logs-subtitle">Log your daily progress and learnings</p>
                 </div>
-                <button className="glass-button primary add-checkin-btn" onClick={() => setShowModal(true)}>
-                    + Check In
-                </button>
+                <div className="logs-header-actions">
+                    <button className="glass-button" onClick={() => setShowTypesEditor(true)} title="Edit check-in types">
+                        ⚙️ Types
+                    </button>
+                    <button className="glass-button primary add-checkin-btn" onClick={openNewLog}>
+                        + Check In
+                    </button>
+                </div>
             </div>
 
             {/* ====== STATS OVERVIEW ====== */}
@@ -148,34 +232,68 @@ export default function SystemLogs() {
                 </div>
             </div>
 
+            {/* ====== FILTERS & VIEW ====== */}
+            {logs.length > 0 && (
+                <div className="logs-toolbar">
+                    <LogFilters
+                        filters={filters}
+                        types={logTypes}
+                        tags={allTags}
+                        onChange={(key, value) => filterSetters[key](value)}
+                        onClear={clearFilters}
+                    />
+                    <div className="logs-view-toggle">
+                        <button
+                            className={`logs-view-btn ${view === 'list' ? 'active' : ''}`}
+                            onClick={() => setView('list')}
+                        >
+                            ☰ List
+                        </button>
+                        <button
+                            className={`logs-view-btn ${view === 'timeline' ? 'active' : ''}`}
+                            onClick={() => setView('timeline')}
+                        >
+                            🗓 Timeline
+                        </button>
+                    </div>
+                </div>
+            )}
+
             {/* ====== LOGS LIST ====== */}
-            <div className="logs-list">
-                {logs.length > 0 ? (
-                    logs.map((log) => {
-                        const logType = LOG_TYPES.find(t => t.id === log.type) || LOG_TYPES[0];
-                        return (
-                            <div
-                                key={log.id}
-                                className="log-entry"
-                                style={{ '--log-color': logType.color }}
-                            >
-                                <div className="log-icon">{logType.icon}</div>
-                                <div className="log-content">
-                                    <p className="log-text">{log.content}</p>
-                                    <div className="log-meta">
-                                        <span className="log-time">{formatDate(log.timestamp)}</span>
-                                        {log.hours > 0 && <span className="log-hours">{log.hours}h</span>}
-                                    </div>
+            <div className={`logs-list ${view === 'timeline' ? 'timeline' : ''}`} ref={listRef}>
+                {isFiltered && logs.length > 0 && (
+                    <p className="logs-filter-count">
+                        Showing {visibleLogs.length} of {logs.length} check-ins
+                    </p>
+                )}
+
+                {visibleLogs.length > 0 ? (
+                    view === 'timeline' ? (
+                        // One section per day, newest first
+                        groupLogsByDay(visibleLogs).map(day => (
+                            <section key={day.dateKey} className="log-day">
+                                <h3 className="log-day-header">
+                                    <span>{formatDayLabel(day.dateKey)}</span>
+                                    <span className="log-day-summary">
+                                        {day.logs.length} {day.logs.length === 1 ? 'check-in' : 'check-ins'}
+                                        {day.hours > 0 && ` · ${day.hours.toFixed(1)}h`}
+                                    </span>
+                                </h3>
+                                <div className="log-day-entries">
+                                    {day.logs.map(log => renderEntry(log, formatTime(log.timestamp)))}
                                 </div>
-                                <button
-                                    className="log-delete"
-                                    onClick={() => deleteLog(log.id)}
-                                >
-                                    ✕
-                                </button>
-                            </div>
-                        );
-                    })
+                            </section>
+                        ))
+                    ) : (
+                        visibleLogs.map(log => renderEntry(log, formatDate(log.timestamp)))
+                    )
+                ) : logs.length > 0 ? (
+                    // Everything filtered out
+                    <div className="no-logs">
+                        <span className="no-logs-icon">🔍</span>
+                        <h3>No matching check-ins</h3>
+                        <button className="glass-button" onClick={clearFilters}>Clear filters</button>
+                    </div>
                 ) : (
                     // Empty state
                     <div className="no-logs">
@@ -197,48 +315,7 @@ export default function SystemLogs() {
 
                         <form onSubmit={handleSubmit}>
                             <div className="modal-body">
-                                <div className="form-group">
-                                    <label>Type</label>
-                                    {/* Type selector buttons */}
-                                    <div className="log-type-selector">
-                                        {LOG_TYPES.map((type) => (
-                                            <button
-                                                key={type.id}
-                                                type="button"
-                                                className={`type-btn ${newLog.type === type.id ? 'active' : ''}`}
-                                                onClick={() => setNewLog({ ...newLog, type: type.id })}
-                                                style={{ '--type-color': type.color }}
-                                            >
-                                                <span>{type.icon}</span>
-                                                <span className="type-label">{type.label}</span>
-                                            </button>
-                                        ))}
-                                    </div>
-                                </div>
-
-                                <div className="form-group">
-                                    <label>What did you work on?</label>
-                                    <textarea
-                                        className="glass-input log-textarea"
-                                        placeholder="Describe your progress, learnings, or discoveries..."
-                                        value={newLog.content}
-                                        onChange={(e) => setNewLog({ ...newLog, content: e.target.value })}
-                                        rows={4}
-                                    />
-                                </div>
-
-                                <div className="form-group">
-                                    <label>Hours spent (optional)</label>
-                                    <input
-                                        type="number"
-                                        step="0.5"
-                                        min="0"
-                                        className="glass-input hours-input"
-                                        placeholder="e.g. 2.5"
-                                        value={newLog.hours}
-                                        onChange={(e) => setNewLog({ ...newLog, hours: e.target.value })}
-                                    />
-                                </div>
+                                <LogFields form={newLog} types={logTypes} onChange={setNewLog} />
                             </div>
 
                             <div className="modal-footer">
@@ -253,6 +330,24 @@ export default function SystemLogs() {
                     </div>
                 </div>
             )}
+
+            {/* ====== LOG TYPES MODAL ====== */}
+            {showTypesEditor && (
+                <div className="modal-overlay" onClick={() => setShowTypesEditor(false)}>
+                    <div className="modal glass-card log-types-modal" onClick={(e) => e.stopPropagation()}>
+                        <div className="modal-header">
+                            <h3>Check-In Types</h3>
+                            <button className="modal-close" onClick={() => setShowTypesEditor(false)}>✕</button>
+                        </div>
+                        <LogTypesEditor
+                            types={logTypes}
+                            logs={logs}
+                            onSave={saveLogTypes}
+                            onClose={() => setShowTypesEditor(false)}
+                        />
+                    </div>
+                </div>
+            )}
         </div>
     );
 }
@@ -0,0 +1,212 @@
+/**
+ * logUtils.js - Check-in log types, tags, filtering and day grouping
+ *
+ * A log entry:
+ *   { id, type, content, hours, timestamp (ISO), tags: string[] }
+ * Older entries have no `tags`. The timestamp can be edited (backfilling),
+ * so lists are sorted by it rather than by insertion order.
+ *
+ * Log types are configured per workspace (workspace.logTypes, edited in
+ * LogTypesEditor.jsx); workspaces that never changed them use the defaults.
+ * `type` on a log is the type's ID, which stays the same when it's renamed.
+ */
+
+import { toDateKey } from '../TodoList/todoUtils';
+
+// Log types of a workspace that hasn't configured its own
+// `blocker`: check-ins of the type are listed under Blockers in the standup
+export const DEFAULT_LOG_TYPES = [
+    { id: 'progress', label: 'Progress', icon: '🚀', color: 'var(--accent-green)', blocker: false },
+    { id: 'gotcha', label: 'Gotcha', icon: '💡', color: 'var(--accent-orange)', blocker: false },
+    { id: 'error', label: 'Error', icon: '🐛', color: '#ef4444', blocker: true },
+    { id: 'tip', label: 'Tip', icon: '✨', color: 'var(--accent-cyan)', blocker: false },
+];
+
+// Offered in the type editor with one click
+export const SUGGESTED_LOG_TYPES = [
+    { id: 'review', label: 'Review', icon: '👀', color: '#a78bfa', blocker: false },
+    { id: 'meeting', label: 'Meeting', icon: '🗓️', color: '#60a5fa', blocker: false },
+    { id: 'deploy', label: 'Deploy', icon: '🚢', color: '#34d399', blocker: false },
+    { id: 'incident', label: 'Incident', icon: '🚨', color: '#f97316', blocker: true },
+];
+
+// ============================================
+// TYPES
+// ============================================
+
+export const getLogTypes = (workspace) =>
+    workspace?.logTypes?.length ? workspace.logTypes : DEFAULT_LOG_TYPES;
+
+/**
+ * getLogType - A type by ID
+ * Logs whose type was removed from the workspace get a neutral stand-in.
+ */
+export const getLogType = (types, id) =>
+    types.find(t => t.id === id) || { id, label: id, icon: '📝', color: 'var(--text-muted)' };
+
+/**
+ * isBlockerType - Whether a type's check-ins are standup blockers
+ * Types saved before the flag existed: only 'error' is.
+ */
+export const isBlockerType = (type) => type.blocker ?? type.id === 'error';
+
+/**
+ * createLogTypeId - ID for a new type from its name ('On-call' → 'on-call')
+ * Suffixed with a number if it's already taken.
+ */
+export const createLogTypeId = (label, takenIds) => {
+    const base = label.toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'type';
+    let id = base;
+    for (let n = 2; takenIds.includes(id); n++) id = `${base}-${n}`;
+    return id;
+};
+
+/**
+ * countLogsByType - [{ type, count }] for every configured type (in order),
+ * followed by removed types that logs still use
+ */
+export const countLogsByType = (logs, types) => {
+    const counts = {};
+    logs.forEach(log => {
+        counts[log.type] = (counts[log.type] || 0) + 1;
+    });
+    const unknownIds = Object.keys(counts).filter(id => !types.some(t => t.id === id));
+    return [...types, ...unknownIds.map(id => getLogType(types, id))]
+        .map(type => ({ type, count: counts[type.id] || 0 }));
+};
+
+// ============================================
+// TAGS
+// ============================================
+
+/**
+ * parseTags - "#api, frontend bug" → ['api', 'frontend', 'bug']
+ * Lowercase, without '#', no duplicates.
+ */
+export const parseTags = (text) => [
+    ...new Set(
+        text
+            .split(/[\s,]+/)
+            .map(tag => tag.replace(/^#+/, '').toLowerCase())
+            .filter(Boolean)
+    ),
+];
+
+export const formatTags = (tags = []) => tags.map(tag => `#${tag}`).join(' ');
+
+// Every tag used by the logs, sorted
+export const getAllTags = (logs) =>
+    [...new Set(logs.flatMap(log => log.tags || []))].sort();
+
+// ============================================
+// FORM VALUES
+// ============================================
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * toDateTimeInput - ISO string → local 'YYYY-MM-DDTHH:MM' for <input type="datetime-local">
+ */
+export const toDateTimeInput = (isoString) => {
+    const date = new Date(isoString);
+    return `${toDateKey(date)}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+/**
+ * toLogForm - A log as form values (all strings)
+ * For a new log, pass { type } with the type to start with; an empty `when` means "now".
+ */
+export const toLogForm = (log) => ({
+    type: log.type,
+    content: log.content || '',
+    hours: log.hours ? String(log.hours) : '',
+    when: log.timestamp ? toDateTimeInput(log.timestamp) : '',
+    tags: formatTags(log.tags),
+});
+
+/**
+ * fromLogForm - Form values → log fields ({ type, content, hours, timestamp, tags })
+ * A datetime-local value without a zone is read as local time.
+ */
+export const fromLogForm = (form) => ({
+    type: form.type,
+    content: form.content.trim(),
+    hours: parseFloat(form.hours) || 0,
+    timestamp: (form.when ? new Date(form.when) : new Date()).toISOString(),
+    tags: parseTags(form.tags),
+});
+
+// ============================================
+// FILTERING & GROUPING
+// ============================================
+
+// Empty filter values (also the URL defaults, see SystemLogs.jsx)
+export const EMPTY_FILTERS = { type: 'all', tag: '', from: '', to: '', text: '' };
+
+// Newest first
+export const sortLogs = (logs) =>
+    [...logs].sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+/**
+ * filterLogs - Logs matching every active filter
+ *
+ * @param {object} filters - { type, tag, from, to, text }; from/to are 'YYYY-MM-DD' (inclusive)
+ */
+export const filterLogs = (logs, { type, tag, from, to, text }) => {
+    const words = text.toLowerCase().split(/\s+/).filter(Boolean);
+    return logs.filter(log => {
+        if (type !== 'all' && log.type !== type) return false;
+        if (tag && !(log.tags || []).includes(tag)) return false;
+
+        const day = toDateKey(new Date(log.timestamp));
+        if (from && day < from) return false;
+        if (to && day > to) return false;
+
+        const haystack = `${log.content} ${formatTags(log.tags)}`.toLowerCase();
+        return words.every(word => haystack.includes(word));
+    });
+};
+
+export const hasActiveFilters = (filters) =>
+    Object.keys(EMPTY_FILTERS).some(key => filters[key] !== EMPTY_FILTERS[key]);
+
+/**
+ * formatDayLabel - 'Today', 'Yesterday' or e.g. 'Monday, Mar 3'
+ */
+export const formatDayLabel = (dateKey, now = new Date()) => {
+    if (dateKey === toDateKey(now)) return 'Today';
+    const yesterday = new Date(now);
+    yesterday.setDate(now.getDate() - 1);
+    if (dateKey === toDateKey(yesterday)) return 'Yesterday';
+
+    const [year, month, day] = dateKey.split('-').map(Number);
+    const date = new Date(year, month - 1, day);
+    return date.toLocaleDateString(undefined, {
+        weekday: 'long',
+        month: 'short',
+        day: 'numeric',
+        ...(year !== now.getFullYear() && { year: 'numeric' }),
+    });
+};
+
+/**
+ * groupLogsByDay - Sorted logs → [{ dateKey, logs, hours }], one per local day
+ */
+export const groupLogsByDay = (logs) => {
+    const days = [];
+    logs.forEach(log => {
+        const dateKey = toDateKey(new Date(log.timestamp));
+        let day = days[days.length - 1];
+        if (!day || day.dateKey !== dateKey) {
+            day = { dateKey, logs: [], hours: 0 };
+            days.push(day);
+        }
+        day.logs.push(log);
+        day.hours += log.hours || 0;
+    });
+    return days;
+};
+
+// Time of day, e.g. "14:05" (for the timeline)
+export const formatTime = (isoString) =>
+    new Date(isoString).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
@@ -0,0 +1,93 @@
+/**
+ * GitHubIssueSync.jsx - "Sync issues" bar of the TodoList
+ *
+ * Shown when the workspace has a GitHub URL. Imports the repo's open issues
+ * assigned to the GitHub username from Settings as todos (linked back to
+ * the issue), and completes todos whose issue was closed.
+ * See components/GitHub/githubIssues.js for the fetching side.
+ */
+
+import { useState } from 'react';
+import { useDispatch } from 'react-redux';
+import { useNavigate } from 'react-router-dom';
+import { syncGitHubIssues } from '../../redux/slices/todosSlice';
+import { parseRepoUrl, loadGitHubConfig } from '../GitHub/githubApi';
+import {
+    fetchAssignedIssues,
+    summarizeIssueSync,
+    getLastIssueSync,
+    setLastIssueSync,
+} from '../GitHub/githubIssues';
+import { sectionPath } from '../../routing';
+
+export default function GitHubIssueSync({ workspace, todos }) {
+    const dispatch = useDispatch();
+    const navigate = useNavigate();
+
+    // { type: 'syncing' | 'success' | 'error', message }
+    const [status, setStatus] = useState(null);
+
+    const repoInfo = parseRepoUrl(workspace?.githubUrl);
+    if (!repoInfo) return null;
+
+    const repoName = `${repoInfo.owner}/${repoInfo.repo}`;
+    const { username } = loadGitHubConfig();
+    const lastSync = username ? getLastIssueSync(workspace.id, repoName, username) : null;
+
+    const sync = async () => {
+        setStatus({ type: 'syncing', message: 'Syncing…' });
+        try {
+            const startedAt = new Date().toISOString();
+            const issues = await fetchAssignedIssues({
+                ...repoInfo,
+                assignee: username,
+                since: lastSync,
+            });
+            const { added, completed } = summarizeIssueSync(todos, repoName, issues);
+
+            dispatch(syncGitHubIssues({ workspaceId: workspace.id, repo: repoName, issues }));
+            setLastIssueSync(workspace.id, repoName, username, startedAt);
+            setStatus({ type: 'success', message: `${added} added, ${completed} completed` });
+        } catch (err) {
+            console.error('GitHub sync error:', err);
+            const message = err.status === 401
+                ? 'GitHub rejected the token - check it in Settings'
+                : err.status === 404
+                    ? `${repoName} not found (private repos need a token)`
+                    : err.message;
+            setStatus({ type: 'error', message });
+        }
+    };
+
+    return (
+        <div className="github-sync">
+            <span className="github-sync-repo">🐙 {repoName}</span>
+
+            {username ? (
+                <>
+                    <span className="github-sync-info">
+                        {status?.message || (lastSync
+                            ? `Issues assigned to @${username} · synced ${new Date(lastSync).toLocaleString()}`
+                            : `Issues assigned to @${username}`)}
+                    </span>
+                    <button
+                        type="button"
+                        className={`filter-btn ${status?.type === 'error' ? 'error' : ''}`}
+                        onClick={sync}
+                        disabled={status?.type === 'syncing'}
+                    >
+                        🔄 Sync issues
+                    </button>
+                </>
+            ) : (
+                <button
+                    type="button"
+                    className="filter-btn"
+                    onClick={() => navigate(sectionPath(workspace.id, 'settings'))}
+                >
+                    Set your GitHub username in Settings to sync issues
+                </button>
+            )}
+        </div>
+    );
+}
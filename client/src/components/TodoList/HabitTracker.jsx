@@ -0,0 +1,126 @@
+/**
+ * HabitTracker.jsx - Daily checklist for recurring todos
+ *
+ * The "Habits" view of the TodoList. Each recurring task (series) gets a row:
+ * - A checkbox for today's occurrence (or the next due date if it isn't today)
+ * - Current and best streak, counted in occurrences (see calculateHabitStreak)
+ * - The last two weeks as dots: done, missed, due today or not scheduled
+ *
+ * Completion goes through the normal toggleTodo action, so checking a habit
+ * here spawns the next instance exactly like checking it in the list.
+ */
+
+import { useSelector, useDispatch } from 'react-redux';
+import { toggleTodo, selectHabitLog } from '../../redux/slices/todosSlice';
+import {
+    toDateKey,
+    addDays,
+    fromDateKey,
+    matchesRecurrence,
+    describeRecurrence,
+    formatDueDate,
+    calculateHabitStreak,
+} from './todoUtils';
+import './HabitTracker.css';
+
+// Number of days shown in each habit's history strip
+const HISTORY_DAYS = 14;
+
+/**
+ * getDayState - How one day looks in a habit's history strip
+ */
+const getDayState = (recurrence, dateKey, { done, today, startKey }) => {
+    if (done.has(dateKey)) return 'done';
+    if (dateKey < startKey || !matchesRecurrence(recurrence, dateKey)) return 'off';
+    return dateKey === today ? 'due' : 'missed';
+};
+
+export default function HabitTracker({ todos, workspaceId }) {
+    const dispatch = useDispatch();
+    const habitLog = useSelector((state) => selectHabitLog(state, workspaceId));
+    const today = toDateKey();
+
+    // One row per series: its open instance (there's always exactly one)
+    const habits = todos
+        .filter(todo => todo.recurrence && !todo.completed)
+        .map(todo => {
+            const completed = habitLog[todo.seriesId] || [];
+            const done = new Set(completed);
+            // Today's instance, if it's been completed (it spawned the open one)
+            const doneToday = todos.find(t => t.completed && t.nextId === todo.id && t.dueDate === today);
+            const dueNow = !doneToday && todo.dueDate <= today;
+            return {
+                todo,
+                done,
+                doneToday,
+                dueNow,
+                streak: calculateHabitStreak(todo.recurrence, completed, today),
+                startKey: toDateKey(new Date(todo.seriesId)),
+            };
+        })
+        // Due (or done) today first
+        .sort((a, b) => Number(b.dueNow || !!b.doneToday) - Number(a.dueNow || !!a.doneToday));
+
+    const dueCount = habits.filter(h => h.dueNow || h.doneToday).length;
+    const doneCount = habits.filter(h => h.doneToday).length;
+
+    // History strip dates, oldest first
+    const historyDays = Array.from({ length: HISTORY_DAYS }, (_, i) => addDays(today, i - HISTORY_DAYS + 1));
+
+    if (habits.length === 0) {
+        return (
+            <div className="no-todos">
+                <span className="no-todos-icon">🔁</span>
+                <p>No recurring tasks yet. Try adding "every weekday standup notes", or set Repeat in a task's details.</p>
+            </div>
+        );
+    }
+
+    return (
+        <div className="habit-tracker">
+            <div className="habit-summary">
+                {dueCount > 0
+                    ? `${doneCount} of ${dueCount} done today`
+                    : 'Nothing due today 🎉'}
+            </div>
+
+            {habits.map(({ todo, done, doneToday, dueNow, streak, startKey }) => (
+                <div key={todo.seriesId} className={`habit-row ${doneToday ? 'completed' : ''}`}>
+                    {/* Today's checkbox (un-checking takes back today's completion) */}
+                    {dueNow || doneToday ? (
+                        <button
+                            type="button"
+                            className="todo-checkbox"
+                            onClick={() => dispatch(toggleTodo({ workspaceId, id: (doneToday || todo).id }))}
+                            title={doneToday ? 'Undo' : 'Mark done'}
+                        >
+                            {doneToday ? '✓' : ''}
+                        </button>
+                    ) : (
+                        <span className="habit-next" title="Next due">{formatDueDate(todo.dueDate)}</span>
+                    )}
+
+                    <div className="habit-info">
+                        <span className="habit-title">{todo.text}</span>
+                        <span className="habit-rule">🔁 {describeRecurrence(todo.recurrence)}</span>
+                    </div>
+
+                    <div className="habit-history">
+                        {historyDays.map(dateKey => (
+                            <span
+                                key={dateKey}
+                                className={`habit-day ${getDayState(todo.recurrence, dateKey, { done, today, startKey })}`}
+                                title={fromDateKey(dateKey).toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' })}
+                            />
+                        ))}
+                    </div>
+
+                    <div className="habit-streak" title={`Best: ${streak.best}`}>
+                        <span className={streak.current > 0 ? 'on-fire' : ''}>🔥 {streak.current}</span>
+                        <span className="habit-best">best {streak.best}</span>
+                    </div>
+                </div>
+            ))}
+        </div>
+    );
+}
@@ -0,0 +1,252 @@
+/**
+ * KanbanBoard.jsx - Board view of the TodoList
+ *
+ * The same todos as the list, laid out in columns (Backlog, In Progress,
+ * Review, Done by default - configurable per workspace).
+ *
+ * - Drag cards between columns (and reorder within one)
+ * - The last column is "Done" (pinned: the editor can't move or remove it):
+ *   dropping a card there completes it, dragging it out reopens it (recurring tasks renew as usual)
+ * - WIP limits: a column at its limit doesn't accept more cards
+ * - Click a card to edit its details
+ */
+
+import { useState } from 'react';
+import { useSelector, useDispatch } from 'react-redux';
+import { DragDropContext, Droppable, Draggable } from '@hello-pangea/dnd';
+import {
+    toggleTodo,
+    moveTodoToColumn,
+    updateBoardColumns,
+    selectBoardColumns,
+} from '../../redux/slices/todosSlice';
+import { getColumnId, getDueStatus, formatDueDate, getSubtaskProgress } from './todoUtils';
+import TodoDetails from './TodoDetails';
+import './KanbanBoard.css';
+
+/**
+ * ColumnEditor - Rename, reorder, limit, add and remove columns
+ */
+function ColumnEditor({ columns, workspaceId }) {
+    const dispatch = useDispatch();
+    const save = (newColumns) => dispatch(updateBoardColumns({ workspaceId, columns: newColumns }));
+
+    const updateColumn = (id, changes) =>
+        save(columns.map(column => column.id === id ? { ...column, ...changes } : column));
+
+    const moveColumn = (index, offset) => {
+        const newColumns = [...columns];
+        const [moved] = newColumns.splice(index, 1);
+        newColumns.splice(index + offset, 0, moved);
+        save(newColumns);
+    };
+
+    // New columns go before Done
+    const addColumn = () => {
+        const newColumns = [...columns];
+        newColumns.splice(columns.length - 1, 0, { id: `col-${Date.now()}`, name: 'New Column', wipLimit: null });
+        save(newColumns);
+    };
+
+    return (
+        <div className="board-column-editor">
+            {columns.map((column, index) => {
+                // Done stays last: it can't be moved, removed or overtaken
+                const isDone = index === columns.length - 1;
+                return (
+                    <div key={column.id} className="board-column-edit">
+                        <input
+                            type="text"
+                            className="glass-input"
+                            value={column.name}
+                            onChange={(e) => updateColumn(column.id, { name: e.target.value })}
+                        />
+                        <input
+                            type="number"
+                            min="1"
+                            className="glass-input board-wip-input"
+                            placeholder="No limit"
+                            title="WIP limit"
+                            value={column.wipLimit ?? ''}
+                            onChange={(e) => updateColumn(column.id, { wipLimit: parseInt(e.target.value, 10) || null })}
+                        />
+                        <button type="button" className="todo-expand" disabled={index === 0 || isDone} onClick={() => moveColumn(index, -1)} title="Move left">
+                            ←
+                        </button>
+                        <button type="button" className="todo-expand" disabled={index >= columns.length - 2} onClick={() => moveColumn(index, 1)} title="Move right">
+                            →
+                        </button>
+                        <button
+                            type="button"
+                            className="todo-delete"
+                            disabled={isDone || columns.length <= 2}
+                            onClick={() => save(columns.filter(c => c.id !== column.id))}
+                            title={isDone ? 'The Done column can\'t be removed' : 'Remove column (its cards move to the first column)'}
+                        >
+                            🗑️
+                        </button>
+                    </div>
+                );
+            })}
+            <div className="board-column-editor-footer">
+                <span>The last column is Done: cards dropped there are completed. It always stays last.</span>
+                <button type="button" className="glass-button" onClick={addColumn}>+ Add Column</button>
+            </div>
+        </div>
+    );
+}
+
+export default function KanbanBoard({ todos, workspaceId }) {
+    const dispatch = useDispatch();
+    const columns = useSelector((state) => selectBoardColumns(state, workspaceId));
+    const doneColumnId = columns[columns.length - 1].id;
+
+    // Card with its details open, column being dragged from, column editor toggle
+    const [expandedId, setExpandedId] = useState(null);
+    const [dragSource, setDragSource] = useState(null);
+    const [isEditing, setIsEditing] = useState(false);
+
+    // Cards per column, in the shared list order
+    const cardsByColumn = Object.fromEntries(columns.map(column => [column.id, []]));
+    todos.forEach(todo => cardsByColumn[getColumnId(todo, columns)].push(todo));
+
+    const now = new Date();
+
+    /**
+     * handleDragEnd - Moves the card into place, then completes/reopens it
+     * if it entered or left the Done column
+     */
+    const handleDragEnd = ({ source, destination, draggableId }) => {
+        setDragSource(null);
+        if (!destination) return;
+        if (source.droppableId === destination.droppableId && source.index === destination.index) return;
+
+        const todo = todos.find(t => String(t.id) === draggableId);
+        const destinationCards = cardsByColumn[destination.droppableId].filter(t => t.id !== todo.id);
+
+        dispatch(moveTodoToColumn({
+            workspaceId,
+            id: todo.id,
+            status: destination.droppableId,
+            beforeId: destinationCards[destination.index]?.id ?? null,
+        }));
+
+        if ((destination.droppableId === doneColumnId) !== todo.completed) {
+            dispatch(toggleTodo({ workspaceId, id: todo.id }));
+        }
+    };
+
+    return (
+        <div className="kanban">
+            <div className="kanban-toolbar">
+                <button
+                    type="button"
+                    className={`filter-btn ${isEditing ? 'active' : ''}`}
+                    onClick={() => setIsEditing(!isEditing)}
+                >
+                    ⚙️ Columns
+                </button>
+            </div>
+
+            {isEditing && <ColumnEditor columns={columns} workspaceId={workspaceId} />}
+
+            <DragDropContext
+                onDragStart={({ source }) => setDragSource(source.droppableId)}
+                onDragEnd={handleDragEnd}
+            >
+                <div className="kanban-columns">
+                    {columns.map(column => {
+                        const cards = cardsByColumn[column.id];
+                        const isFull = column.wipLimit != null && cards.length >= column.wipLimit;
+
+                        return (
+                            <div
+                                key={column.id}
+                                className={`kanban-column ${column.wipLimit != null && cards.length > column.wipLimit ? 'over-limit' : ''}`}
+                            >
+                                <div className="kanban-column-header">
+                                    <span className="kanban-column-name">{column.name}</span>
+                                    <span className="kanban-column-count">
+                                        {cards.length}{column.wipLimit != null && ` / ${column.wipLimit}`}
+                                    </span>
+                                </div>
+
+                                {/* Full columns only accept cards that are already in them */}
+                                <Droppable
+                                    droppableId={column.id}
+                                    isDropDisabled={isFull && dragSource !== column.id}
+                                >
+                                    {(dropProvided, dropSnapshot) => (
+                                        <div
+                                            ref={dropProvided.innerRef}
+                                            {...dropProvided.droppableProps}
+                                            className={`kanban-cards ${dropSnapshot.isDraggingOver ? 'drag-over' : ''} ${isFull && dragSource && dragSource !== column.id ? 'full' : ''}`}
+                                        >
+                                            {cards.map((todo, index) => {
+                                                const dueStatus = getDueStatus(todo, now);
+                                                const progress = getSubtaskProgress(todo);
+
+                                                return (
+                                                    <Draggable key={todo.id} draggableId={String(todo.id)} index={index}>
+                                                        {(provided, snapshot) => (
+                                                            <div
+                                                                ref={provided.innerRef}
+                                                                {...provided.draggableProps}
+                                                                {...provided.dragHandleProps}
+                                                                className={`kanban-card priority-${todo.priority} ${todo.completed ? 'completed' : ''} ${dueStatus === 'overdue' ? 'overdue' : ''} ${snapshot.isDragging ? 'dragging' : ''}`}
+                                                            >
+                                                                <div
+                                                                    className="kanban-card-text"
+                                                                    onClick={() => setExpandedId(expandedId === todo.id ? null : todo.id)}
+                                                                >
+                                                                    {todo.text}
+                                                                </div>
+                                                                <div className="todo-meta">
+                                                                    {todo.github && (
+                                                                        <a
+                                                                            className="todo-issue"
+                                                                            href={todo.github.url}
+                                                                            target="_blank"
+                                                                            rel="noopener noreferrer"
+                                                                        >
+                                                                            🐙 #{todo.github.number}
+                                                                        </a>
+                                                                    )}
+                                                                    {todo.dueDate && (
+                                                                        <span className={`todo-due ${dueStatus || ''}`}>
+                                                                            📅 {formatDueDate(todo.dueDate, todo.dueTime)}
+                                                                        </span>
+                                                                    )}
+                                                                    {todo.recurrence && <span title="Repeats">🔁</span>}
+                                                                    {progress.total > 0 && (
+                                                                        <span className="todo-progress">
+                                                                            <span className="todo-progress-bar">
+                                                                                <span style={{ width: `${progress.percent}%` }} />
+                                                                            </span>
+                                                                            {progress.done}/{progress.total}
+                                                                        </span>
+                                                                    )}
+                                                                    {todo.tags.map(tag => (
+                                                                        <span key={tag} className="todo-tag">#{tag}</span>
+                                                                    ))}
+                                                                </div>
+                                                                {expandedId === todo.id && (
+                                                                    <TodoDetails todo={todo} workspaceId={workspaceId} />
+                                                                )}
+                                                            </div>
+                                                        )}
+                                                    </Draggable>
+                                                );
+                                            })}
+                                            {dropProvided.placeholder}
+                                        </div>
+                                    )}
+                                </Droppable>
+                            </div>
+                        );
+                    })}
+                </div>
+            </DragDropContext>
+        </div>
+    );
+}
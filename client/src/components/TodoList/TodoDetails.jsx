@@ -0,0 +1,213 @@
+/**
+ * TodoDetails.jsx - Expanded editor for one task
+ *
+ * Opened from a task in the list or a card on the board.
+ * Edits title, due date/time, repeat rule, tags, notes and subtasks.
+ */
+
+import { useState, useEffect } from 'react';
+import { useDispatch } from 'react-redux';
+import { updateTodo, addSubtask, toggleSubtask, deleteSubtask } from '../../redux/slices/todosSlice';
+import { WEEKDAYS, toDateKey, fromDateKey, getNextOccurrence, parseTags } from './todoUtils';
+
+/**
+ * TodoDetails - Editor for one task
+ * Title and tags are saved when the field loses focus, notes while typing
+ * (debounced, and on blur), everything else immediately.
+ */
+export default function TodoDetails({ todo, workspaceId }) {
+    const dispatch = useDispatch();
+    const [text, setText] = useState(todo.text);
+    const [tagsText, setTagsText] = useState(todo.tags.join(', '));
+    const [notes, setNotes] = useState(todo.notes);
+    const [newSubtask, setNewSubtask] = useState('');
+
+    const update = (changes) => dispatch(updateTodo({ workspaceId, id: todo.id, changes }));
+
+    const saveText = () => {
+        const trimmed = text.trim();
+        if (trimmed && trimmed !== todo.text) update({ text: trimmed });
+        else setText(todo.text);
+    };
+
+    const saveTags = () => {
+        const tags = parseTags(tagsText);
+        update({ tags });
+        setTagsText(tags.join(', '));
+    };
+
+    // Save notes while typing (debounced)
+    useEffect(() => {
+        if (notes === todo.notes) return;
+        const timeout = setTimeout(() => {
+            dispatch(updateTodo({ workspaceId, id: todo.id, changes: { notes } }));
+        }, 500);
+        return () => clearTimeout(timeout);
+    }, [notes, todo.notes, todo.id, workspaceId, dispatch]);
+
+    const saveNotes = () => {
+        if (notes !== todo.notes) update({ notes });
+    };
+
+    const handleAddSubtask = (e) => {
+        e.preventDefault();
+        const subtaskText = newSubtask.trim();
+        if (!subtaskText) return;
+        dispatch(addSubtask({ workspaceId, todoId: todo.id, text: subtaskText }));
+        setNewSubtask('');
+    };
+
+    // Enter in a single-line field saves it (via blur)
+    const blurOnEnter = (e) => e.key === 'Enter' && e.target.blur();
+
+    /**
+     * setRecurrence - Applies a repeat rule and moves the due date onto its first occurrence
+     * Weekly and monthly rules start on the weekday / day of the current due date (or today).
+     */
+    const setRecurrence = (recurrence) => {
+        if (!recurrence) {
+            update({ recurrence: null });
+            return;
+        }
+        update({ recurrence, dueDate: getNextOccurrence(recurrence, todo.dueDate || toDateKey(), true) });
+    };
+
+    const changeRepeatType = (type) => {
+        const date = fromDateKey(todo.dueDate || toDateKey());
+        if (!type) setRecurrence(null);
+        else if (type === 'weekly') setRecurrence({ type, days: [date.getDay()] });
+        else if (type === 'monthly') setRecurrence({ type, day: date.getDate() });
+        else setRecurrence({ type });
+    };
+
+    // Weekly: toggles one weekday (at least one stays selected)
+    const toggleRepeatDay = (day) => {
+        const days = todo.recurrence.days.includes(day)
+            ? todo.recurrence.days.filter(d => d !== day)
+            : [...todo.recurrence.days, day].sort((a, b) => a - b);
+        if (days.length > 0) setRecurrence({ type: 'weekly', days });
+    };
+
+    return (
+        <div className="todo-details">
+            <input
+                type="text"
+                className="glass-input"
+                value={text}
+                onChange={(e) => setText(e.target.value)}
+                onBlur={saveText}
+                onKeyDown={blurOnEnter}
+            />
+
+            <div className="todo-details-row">
+                <label className="todo-field">
+                    <span>Due</span>
+                    <input
+                        type="date"
+                        className="glass-input"
+                        value={todo.dueDate || ''}
+                        onChange={(e) => update(e.target.value ? { dueDate: e.target.value } : { dueDate: null, dueTime: null })}
+                    />
+                </label>
+                <label className="todo-field">
+                    <span>Repeat</span>
+                    <select
+                        className="glass-input"
+                        value={todo.recurrence?.type || ''}
+                        onChange={(e) => changeRepeatType(e.target.value)}
+                    >
+                        <option value="">Never</option>
+                        <option value="daily">Every day</option>
+                        <option value="weekdays">Weekdays</option>
+                        <option value="weekly">Weekly</option>
+                        <option value="monthly">Monthly</option>
+                    </select>
+                </label>
+                {todo.dueDate && (
+                    <label className="todo-field">
+                        <span>Time</span>
+                        <input
+                            type="time"
+                            className="glass-input"
+                            value={todo.dueTime || ''}
+                            onChange={(e) => update({ dueTime: e.target.value || null })}
+                        />
+                    </label>
+                )}
+                <label className="todo-field grow">
+                    <span>Tags</span>
+                    <input
+                        type="text"
+                        className="glass-input"
+                        placeholder="auth, backend"
+                        value={tagsText}
+                        onChange={(e) => setTagsText(e.target.value)}
+                        onBlur={saveTags}
+                        onKeyDown={blurOnEnter}
+                    />
+                </label>
+            </div>
+
+            {/* Weekly: which days */}
+            {todo.recurrence?.type === 'weekly' && (
+                <div className="repeat-days">
+                    {WEEKDAYS.map((name, day) => (
+                        <button
+                            key={name}
+                            type="button"
+                            className={`repeat-day ${todo.recurrence.days.includes(day) ? 'active' : ''}`}
+                            onClick={() => toggleRepeatDay(day)}
+                            title={name}
+                        >
+                            {name.slice(0, 2)}
+                        </button>
+                    ))}
+                </div>
+            )}
+
+            <label className="todo-field">
+                <span>Notes</span>
+                <textarea
+                    className="glass-input todo-notes"
+                    rows={3}
+                    placeholder="Links, context, acceptance criteria..."
+                    value={notes}
+                    onChange={(e) => setNotes(e.target.value)}
+                    onBlur={saveNotes}
+                />
+            </label>
+
+            {/* ====== SUBTASKS ====== */}
+            <div className="todo-field">
+                <span>Subtasks</span>
+                {todo.subtasks.map(subtask => (
+                    <div key={subtask.id} className={`subtask ${subtask.completed ? 'completed' : ''}`}>
+                        <input
+                            type="checkbox"
+                            checked={subtask.completed}
+                            onChange={() => dispatch(toggleSubtask({ workspaceId, todoId: todo.id, subtaskId: subtask.id }))}
+                        />
+                        <span className="subtask-text">{subtask.text}</span>
+                        <button
+                            type="button"
+                            className="todo-delete"
+                            onClick={() => dispatch(deleteSubtask({ workspaceId, todoId: todo.id, subtaskId: subtask.id }))}
+                        >
+                            ✕
+                        </button>
+                    </div>
+                ))}
+                <form className="subtask-form" onSubmit={handleAddSubtask}>
+                    <input
+                        type="text"
+                        className="glass-input"
+                        placeholder="Add a subtask..."
+                        value={newSubtask}
+                        onChange={(e) => setNewSubtask(e.target.value)}
+                    />
+                    <button type="submit" className="glass-button">+ Add</button>
+                </form>
+            </div>
+        </div>
+    );
+}
@@ -1,122 +1,163 @@
 /**
  * TodoList.jsx - Task Management Component
- * 
+ *
  * A simple but powerful to-do list for managing tasks.
- * Each workspace has its own separate todo list (stored by workspace ID).
- * 
+ * Each workspace has its own separate todo list (todosSlice, keyed by workspace ID).
+ *
  * Features:
- * - Add new tasks
+ * - Add new tasks, with inline quick-add syntax (see quickAdd.js):
+ *   "fix login bug !high #auth tomorrow 3pm", "every monday standup notes", "@workspace-name"
+ *   The parsed fields preview as chips under the input before submitting.
  * - Mark tasks as complete
  * - Set priority levels (Low, Normal, High)
- * - Filter by: All, Active, Completed
+ * - Subtasks, rolled up into a progress bar on the parent task
+ * - Due dates and times (overdue tasks are highlighted), tags and notes
+ * - Recurring tasks (daily, weekdays, weekly on given days, monthly):
+ *   completing one adds the next instance; the Habits view shows streaks
+ * - Manual order: drag tasks by their ⋮⋮ handle
+ * - Filter by: All, Active, Completed, and by tag
+ * - Views: List, Board (Kanban, see KanbanBoard.jsx) or Habits (?view=board / ?view=habits)
  * - Clear all completed tasks with one click
- * - Persist to localStorage per workspace
+ * - Start a Zen Timer focus session on a task (🎯) and see its tracked time
+ * - Import GitHub issues assigned to you from the workspace repo (GitHubIssueSync)
+ * - Tasks opened from Search are expanded, scrolled to and flashed
  */
 
-import { useState, useEffect } from 'react';
-import { useSelector } from 'react-redux';
+import { useState, useMemo, useEffect, useRef } from 'react';
+import { useSelector, useDispatch } from 'react-redux';
+import { DragDropContext, Droppable, Draggable } from '@hello-pangea/dnd';
 import { selectCurrentWorkspace } from '../../redux/slices/workspaceSlice';
+import {
+    addTodo,
+    updateTodo,
+    toggleTodo,
+    deleteTodo,
+    clearCompleted,
+    moveTodo,
+    selectWorkspaceTodos,
+    selectBoardColumns,
+} from '../../redux/slices/todosSlice';
+import { setFocusTodo, setMode, startTimer } from '../../redux/slices/timerSlice';
+import { getTrackedTime, formatDuration } from '../ZenTimer/timerClock';
+import { useSearchParamState } from '../../routing';
+import { registerPaletteProvider, useIntent } from '../CommandPalette/paletteRegistry';
+import { HIGHLIGHT_DURATION } from '../Search/searchIndex';
+import { getColumnId, getDueStatus, formatDueDate, describeRecurrence, getSubtaskProgress } from './todoUtils';
+import { parseQuickAdd, toTodoFields } from './quickAdd';
+import TodoDetails from './TodoDetails';
+import HabitTracker from './HabitTracker';
+import KanbanBoard from './KanbanBoard';
+import GitHubIssueSync from './GitHubIssueSync';
 import './TodoList.css';
 
+// Command palette: "add todo <text>" (or "todo <text>") adds a task, quick-add syntax included
+registerPaletteProvider('todos', ({ query, state, dispatch, navigate }) => {
+    const input = query.match(/^(?:add\s+)?todo\s+(.+)/i)?.[1];
+    const parsed = input && parseQuickAdd(input, { workspaces: state.workspace.workspaces });
+    if (!parsed?.text) {
+        return [{
+            id: 'todos-add',
+            group: 'Action',
+            icon: '✅',
+            label: 'Add todo…',
+            keywords: 'task new',
+            complete: 'add todo ',
+        }];
+    }
+
+    return [{
+        id: 'todos-add-text',
+        group: 'Action',
+        icon: '✅',
+        label: `Add todo: ${parsed.text}`,
+        hint: parsed.workspace?.name,
+        dynamic: true,
+        score: 90,
+        run: () => {
+            dispatch(addTodo({ workspaceId: parsed.workspace?.id || state.workspace.currentId, ...toTodoFields(parsed) }));
+            navigate('todos');
+        },
+    }];
+});
+
 export default function TodoList() {
-    // Get the current workspace to create a unique storage key
+    const dispatch = useDispatch();
+
+    // Todos of the current workspace, in their manual order
     const workspace = useSelector(selectCurrentWorkspace);
-    const storageKey = `stackpad-todos-${workspace?.id || 'default'}`;
-
-    // ============================================
-    // TODOS STATE
-    // Initialize from localStorage on mount
-    // ============================================
-    const [todos, setTodos] = useState(() => {
-        try {
-            const stored = localStorage.getItem(storageKey);
-            return stored ? JSON.parse(stored) : [];
-        } catch {
-            return [];
-        }
-    });
+    const workspaceId = workspace?.id;
+    const todos = useSelector((state) => selectWorkspaceTodos(state, workspaceId));
+    const workspaces = useSelector((state) => state.workspace.workspaces);
+    const columns = useSelector((state) => selectBoardColumns(state, workspaceId));
 
-    // Input value for new todo
+    // Focus target and session history from the Zen Timer
+    const { focusTodo, endsAt, mode, history } = useSelector((state) => state.timer);
+    const trackedTime = useMemo(() => getTrackedTime(history), [history]);
+
+    // Input value for new todo, and what quick-add makes of it
     const [newTodo, setNewTodo] = useState('');
+    const parsed = useMemo(() => parseQuickAdd(newTodo, { workspaces }), [newTodo, workspaces]);
 
-    // Current filter: 'all', 'active', or 'completed'
-    const [filter, setFilter] = useState('all');
+    // Task with its details editor open (null = none)
+    const [expandedId, setExpandedId] = useState(null);
 
-    // Load todos when workspace changes
-    useEffect(() => {
-        try {
-            const stored = localStorage.getItem(storageKey);
-            setTodos(stored ? JSON.parse(stored) : []);
-        } catch {
-            setTodos([]);
-        }
-    }, [storageKey]);
+    // Current filter: 'all', 'active', or 'completed' (kept in the URL as ?filter=)
+    const [filter, setFilter] = useSearchParamState('filter', 'all');
+
+    // Optional tag filter (?tag=)
+    const [tagFilter, setTagFilter] = useSearchParamState('tag', '');
+
+    // 'list', 'board' or 'habits' (?view=)
+    const [view, setView] = useSearchParamState('view', 'list');
 
-    // Save todos to localStorage whenever they change
+    // Task opened from Search (flashed briefly). Opening navigates without
+    // query params, so the filters are reset and the task is in the list.
+    const [highlightedId, setHighlightedId] = useState(null);
+    const listRef = useRef(null);
+
+    useIntent('todos/highlight', ({ id }) => {
+        setExpandedId(id);
+        setHighlightedId(id);
+        setTimeout(() => setHighlightedId(null), HIGHLIGHT_DURATION);
+    });
+
+    // Scroll the opened task into view
     useEffect(() => {
-        localStorage.setItem(storageKey, JSON.stringify(todos));
-    }, [todos, storageKey]);
+        if (highlightedId === null) return;
+        listRef.current
+            ?.querySelector(`[data-todo-id="${highlightedId}"]`)
+            ?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }, [highlightedId]);
 
     /**
-     * addTodo - Adds a new task to the list
-     * Each task has: id, text, completed status, priority, and createdAt timestamp
+     * handleAdd - Handles the add form submit
+     * Adds to the @workspace if one was named, else to the current one
      */
-    const addTodo = (e) => {
+    const handleAdd = (e) => {
         e.preventDefault();
-        const text = newTodo.trim();
-        if (!text) return;  // Don't add empty todos
-
-        const newTask = {
-            id: Date.now(),  // Unique ID using timestamp
-            text: text,
-            completed: false,
-            priority: 'normal',  // Default priority
-            createdAt: new Date().toISOString(),
-        };
-
-        setTodos(prevTodos => [...prevTodos, newTask]);
-        setNewTodo('');  // Clear input
-    };
+        if (!parsed.text) return;  // Don't add empty todos
 
-    /**
-     * toggleTodo - Toggles the completed status of a task
-     */
-    const toggleTodo = (id) => {
-        setTodos(prevTodos =>
-            prevTodos.map(todo =>
-                todo.id === id ? { ...todo, completed: !todo.completed } : todo
-            )
-        );
-    };
-
-    /**
-     * deleteTodo - Removes a task from the list
-     */
-    const deleteTodo = (id) => {
-        setTodos(prevTodos => prevTodos.filter(todo => todo.id !== id));
+        dispatch(addTodo({ workspaceId: parsed.workspace?.id || workspaceId, ...toTodoFields(parsed) }));
+        setNewTodo('');  // Clear input
     };
 
     /**
-     * setPriority - Updates the priority level of a task
-     * Priorities: 'low', 'normal', 'high'
+     * focusOnTodo - Makes a task the Zen Timer focus target
+     * Starts a focus session, unless one is already running (it just switches target)
      */
-    const setPriority = (id, priority) => {
-        setTodos(prevTodos =>
-            prevTodos.map(todo =>
-                todo.id === id ? { ...todo, priority } : todo
-            )
-        );
+    const focusOnTodo = (todo) => {
+        dispatch(setFocusTodo({ id: todo.id, text: todo.text, workspaceId }));
+        if (!endsAt || mode !== 'work') {
+            dispatch(setMode('work', workspaceId));
+            dispatch(startTimer(workspaceId));
+        }
     };
 
-    /**
-     * clearCompleted - Removes all completed tasks
-     */
-    const clearCompleted = () => {
-        setTodos(prevTodos => prevTodos.filter(todo => !todo.completed));
-    };
+    const toggleExpanded = (id) => setExpandedId(expandedId === id ? null : id);
 
-    // Apply filter to todos for display
+    // Apply filters to todos for display
     const filteredTodos = todos.filter(todo => {
+        if (tagFilter && !todo.tags.includes(tagFilter)) return false;
         if (filter === 'active') return !todo.completed;
         if (filter === 'completed') return todo.completed;
         return true;  // 'all' filter
@@ -126,8 +167,31 @@ export default function TodoList() {
     const completedCount = todos.filter(t => t.completed).length;
     const activeCount = todos.filter(t => !t.completed).length;
 
+    // Every tag in use, for the tag filter
+    const allTags = [...new Set(todos.flatMap(todo => todo.tags))].sort();
+
+    const now = new Date();
+
+    /**
+     * handleDragEnd - Drops a task onto another task's position
+     * Indices refer to the filtered list, so they're resolved to IDs first.
+     */
+    const handleDragEnd = ({ source, destination }) => {
+        if (!destination || source.index === destination.index) return;
+        dispatch(moveTodo({
+            workspaceId,
+            sourceId: filteredTodos[source.index].id,
+            targetId: filteredTodos[destination.index].id,
+        }));
+    };
+
+    // Empty state text for the current filters
+    const emptyMessage = filter === 'all' && !tagFilter
+        ? 'No tasks yet. Add one above!'
+        : `No ${filter === 'all' ? '' : `${filter} `}tasks${tagFilter ? ` tagged #${tagFilter}` : ''}`;
+
     return (
-        <div className="todo-list">
+        <div className="todo-list" ref={listRef}>
             {/* Header with title and workspace name */}
             <div className="todo-header">
                 <h2 className="todo-title">
@@ -137,102 +201,270 @@ export default function TodoList() {
                 <span className="todo-workspace">{workspace?.name || 'Default'}</span>
             </div>
 
-            {/* ====== ADD TODO FORM ====== */}
-            <form className="add-todo-form" onSubmit={addTodo}>
-                <input
-                    type="text"
-                    className="glass-input todo-input"
-                    placeholder="What needs to be done?"
-                    value={newTodo}
-                    onChange={(e) => setNewTodo(e.target.value)}
-                />
-                <button type="submit" className="glass-button primary add-btn">
-                    + Add Task
-                </button>
-            </form>
+            {/* GitHub issue import (only with a GitHub URL on the workspace) */}
+            <GitHubIssueSync workspace={workspace} todos={todos} />
 
-            {/* ====== FILTER TABS ====== */}
+            {/* ====== VIEW TABS ====== */}
             <div className="todo-filters">
                 <button
                     type="button"
-                    className={`filter-btn ${filter === 'all' ? 'active' : ''}`}
-                    onClick={() => setFilter('all')}
+                    className={`filter-btn ${view === 'list' ? 'active' : ''}`}
+                    onClick={() => setView('list')}
                 >
-                    All ({todos.length})
+                    📋 List
                 </button>
                 <button
                     type="button"
-                    className={`filter-btn ${filter === 'active' ? 'active' : ''}`}
-                    onClick={() => setFilter('active')}
+                    className={`filter-btn ${view === 'board' ? 'active' : ''}`}
+                    onClick={() => setView('board')}
                 >
-                    Active ({activeCount})
+                    🗂️ Board
                 </button>
                 <button
                     type="button"
-                    className={`filter-btn ${filter === 'completed' ? 'active' : ''}`}
-                    onClick={() => setFilter('completed')}
+                    className={`filter-btn ${view === 'habits' ? 'active' : ''}`}
+                    onClick={() => setView('habits')}
                 >
-                    Done ({completedCount})
+                    🔥 Habits
                 </button>
             </div>
 
-            {/* ====== TODO ITEMS LIST ====== */}
-            <div className="todo-items">
-                {filteredTodos.length > 0 ? (
-                    filteredTodos.map((todo) => (
-                        <div
-                            key={todo.id}
-                            className={`todo-item ${todo.completed ? 'completed' : ''} priority-${todo.priority}`}
-                        >
-                            {/* Checkbox to toggle completion */}
-                            <button
-                                type="button"
-                                className="todo-checkbox"
-                                onClick={() => toggleTodo(todo.id)}
-                            >
-                                {todo.completed ? '✓' : ''}
-                            </button>
+            {/* ====== ADD TODO FORM ====== */}
+            <form className="add-todo-form" onSubmit={handleAdd}>
+                <input
+                    type="text"
+                    className="glass-input todo-input"
+                    placeholder="What needs to be done? Try: fix login bug !high #auth tomorrow 3pm"
+                    value={newTodo}
+                    onChange={(e) => setNewTodo(e.target.value)}
+                />
+                <button type="submit" className="glass-button primary add-btn">
+                    + Add Task
+                </button>
+            </form>
 
-                            {/* Task text */}
-                            <span className="todo-text">{todo.text}</span>
+            {/* Quick-add preview: what the input will set */}
+            {(parsed.priority || parsed.tags.length > 0 || parsed.dueDate || parsed.recurrence || parsed.workspace) && (
+                <div className="quick-add-preview">
+                    {parsed.priority && (
+                        <span className={`quick-add-chip priority priority-${parsed.priority}`}>⚡ {parsed.priority}</span>
+                    )}
+                    {parsed.tags.map(tag => (
+                        <span key={tag} className="quick-add-chip">#{tag}</span>
+                    ))}
+                    {parsed.dueDate && (
+                        <span className="quick-add-chip">📅 {formatDueDate(parsed.dueDate, parsed.dueTime)}</span>
+                    )}
+                    {parsed.recurrence && (
+                        <span className="quick-add-chip">🔁 {describeRecurrence(parsed.recurrence)}</span>
+                    )}
+                    {parsed.workspace && (
+                        <span className="quick-add-chip">📁 {parsed.workspace.name}</span>
+                    )}
+                    {!parsed.text && <span className="quick-add-missing">Add a title</span>}
+                </div>
+            )}
 
-                            {/* Actions: priority dropdown and delete button */}
-                            <div className="todo-actions">
-                                <select
-                                    className="priority-select"
-                                    value={todo.priority}
-                                    onChange={(e) => setPriority(todo.id, e.target.value)}
-                                >
-                                    <option value="low">Low</option>
-                                    <option value="normal">Normal</option>
-                                    <option value="high">High</option>
-                                </select>
+            {view === 'habits' && <HabitTracker todos={todos} workspaceId={workspaceId} />}
+            {view === 'board' && <KanbanBoard todos={todos} workspaceId={workspaceId} />}
+            {view === 'list' && (
+                <>
+                    {/* ====== FILTER TABS ====== */}
+                    <div className="todo-filters">
+                        <button
+                            type="button"
+                            className={`filter-btn ${filter === 'all' ? 'active' : ''}`}
+                            onClick={() => setFilter('all')}
+                        >
+                            All ({todos.length})
+                        </button>
+                        <button
+                            type="button"
+                            className={`filter-btn ${filter === 'active' ? 'active' : ''}`}
+                            onClick={() => setFilter('active')}
+                        >
+                            Active ({activeCount})
+                        </button>
+                        <button
+                            type="button"
+                            className={`filter-btn ${filter === 'completed' ? 'active' : ''}`}
+                            onClick={() => setFilter('completed')}
+                        >
+                            Done ({completedCount})
+                        </button>
+                    </div>
+
+                    {/* ====== TAG FILTER ====== */}
+                    {allTags.length > 0 && (
+                        <div className="todo-tag-filter">
+                            {allTags.map(tag => (
                                 <button
+                                    key={tag}
                                     type="button"
-                                    className="todo-delete"
-                                    onClick={() => deleteTodo(todo.id)}
+                                    className={`todo-tag ${tagFilter === tag ? 'active' : ''}`}
+                                    onClick={() => setTagFilter(tagFilter === tag ? '' : tag)}
                                 >
-                                    🗑️
+                                    #{tag}
                                 </button>
-                            </div>
+                            ))}
                         </div>
-                    ))
-                ) : (
-                    // Empty state message
-                    <div className="no-todos">
-                        <span className="no-todos-icon">📝</span>
-                        <p>{filter === 'all' ? 'No tasks yet. Add one above!' : `No ${filter} tasks`}</p>
-                    </div>
-                )}
-            </div>
+                    )}
 
-            {/* ====== FOOTER: Clear completed button ====== */}
-            {completedCount > 0 && (
-                <div className="todo-footer">
-                    <button type="button" className="clear-btn" onClick={clearCompleted}>
-                        🧹 Clear completed ({completedCount})
-                    </button>
-                </div>
+                    {/* ====== TODO ITEMS LIST ====== */}
+                    <DragDropContext onDragEnd={handleDragEnd}>
+                        <Droppable droppableId="todos">
+                            {(dropProvided) => (
+                                <div className="todo-items" ref={dropProvided.innerRef} {...dropProvided.droppableProps}>
+                                    {filteredTodos.map((todo, index) => {
+                                        const dueStatus = getDueStatus(todo, now);
+                                        const progress = getSubtaskProgress(todo);
+                                        const isExpanded = expandedId === todo.id;
+                                        // Board column, shown while a task is past the first one (and not done)
+                                        const columnId = getColumnId(todo, columns);
+                                        const boardColumn = !todo.completed && columnId !== columns[0].id
+                                            ? columns.find(c => c.id === columnId)
+                                            : null;
+
+                                        return (
+                                            <Draggable key={todo.id} draggableId={String(todo.id)} index={index}>
+                                                {(provided, snapshot) => (
+                                                    <div
+                                                        ref={provided.innerRef}
+                                                        {...provided.draggableProps}
+                                                        data-todo-id={todo.id}
+                                                        className={`todo-item ${todo.completed ? 'completed' : ''} priority-${todo.priority} ${dueStatus === 'overdue' ? 'overdue' : ''} ${snapshot.isDragging ? 'dragging' : ''} ${highlightedId === todo.id ? 'search-hit' : ''}`}
+                                                    >
+                                                        <div className="todo-row">
+                                                            <span className="todo-drag-handle" {...provided.dragHandleProps} title="Drag to reorder">
+                                                                ⋮⋮
+                                                            </span>
+
+                                                            {/* Checkbox to toggle completion */}
+                                                            <button
+                                                                type="button"
+                                                                className="todo-checkbox"
+                                                                onClick={() => dispatch(toggleTodo({ workspaceId, id: todo.id }))}
+                                                            >
+                                                                {todo.completed ? '✓' : ''}
+                                                            </button>
+
+                                                            {/* Task text + due date, subtask progress, notes and tags */}
+                                                            <div className="todo-main" onClick={() => toggleExpanded(todo.id)}>
+                                                                <span className="todo-text">{todo.text}</span>
+                                                                <div className="todo-meta">
+                                                                    {todo.github && (
+                                                                        <a
+                                                                            className="todo-issue"
+                                                                            href={todo.github.url}
+                                                                            target="_blank"
+                                                                            rel="noopener noreferrer"
+                                                                            onClick={(e) => e.stopPropagation()}
+                                                                            title={`Open ${todo.github.repo}#${todo.github.number} on GitHub`}
+                                                                        >
+                                                                            🐙 #{todo.github.number}
+                                                                        </a>
+                                                                    )}
+                                                                    {boardColumn && (
+                                                                        <span className="todo-status">{boardColumn.name}</span>
+                                                                    )}
+                                                                    {todo.dueDate && (
+                                                                        <span className={`todo-due ${dueStatus || ''}`}>
+                                                                            📅 {formatDueDate(todo.dueDate, todo.dueTime)}
+                                                                        </span>
+                                                                    )}
+                                                                    {todo.recurrence && (
+                                                                        <span className="todo-recurrence">🔁 {describeRecurrence(todo.recurrence)}</span>
+                                                                    )}
+                                                                    {progress.total > 0 && (
+                                                                        <span className="todo-progress" title={`${progress.done} of ${progress.total} subtasks done`}>
+                                                                            <span className="todo-progress-bar">
+                                                                                <span style={{ width: `${progress.percent}%` }} />
+                                                                            </span>
+                                                                            {progress.done}/{progress.total}
+                                                                        </span>
+                                                                    )}
+                                                                    {todo.notes && <span title="Has notes">📝</span>}
+                                                                    {todo.tags.map(tag => (
+                                                                        <span key={tag} className="todo-tag">#{tag}</span>
+                                                                    ))}
+                                                                </div>
+                                                            </div>
+
+                                                            {/* Focus time tracked by the Zen Timer */}
+                                                            {trackedTime[todo.id] > 0 && (
+                                                                <span className="todo-tracked" title="Focus time">
+                                                                    ⏱️ {formatDuration(trackedTime[todo.id])}
+                                                                </span>
+                                                            )}
+
+                                                            {/* Actions: focus, priority, details and delete */}
+                                                            <div className="todo-actions">
+                                                                {!todo.completed && (
+                                                                    <button
+                                                                        type="button"
+                                                                        className={`todo-focus ${focusTodo?.id === todo.id ? 'active' : ''}`}
+                                                                        onClick={() => focusOnTodo(todo)}
+                                                                        title="Focus on this task (starts the Zen Timer)"
+                                                                    >
+                                                                        🎯
+                                                                    </button>
+                                                                )}
+                                                                <select
+                                                                    className="priority-select"
+                                                                    value={todo.priority}
+                                                                    onChange={(e) => dispatch(updateTodo({ workspaceId, id: todo.id, changes: { priority: e.target.value } }))}
+                                                                >
+                                                                    <option value="low">Low</option>
+                                                                    <option value="normal">Normal</option>
+                                                                    <option value="high">High</option>
+                                                                </select>
+                                                                <button
+                                                                    type="button"
+                                                                    className={`todo-expand ${isExpanded ? 'open' : ''}`}
+                                                                    onClick={() => toggleExpanded(todo.id)}
+                                                                    title="Details"
+                                                                >
+                                                                    ▾
+                                                                </button>
+                                                                <button
+                                                                    type="button"
+                                                                    className="todo-delete"
+                                                                    onClick={() => dispatch(deleteTodo({ workspaceId, id: todo.id }))}
+                                                                >
+                                                                    🗑️
+                                                                </button>
+                                                            </div>
+                                                        </div>
+
+                                                        {isExpanded && <TodoDetails todo={todo} workspaceId={workspaceId} />}
+                                                    </div>
+                                                )}
+                                            </Draggable>
+                                        );
+                                    })}
+                                    {dropProvided.placeholder}
+
+                                    {/* Empty state message */}
+                                    {filteredTodos.length === 0 && (
+                                        <div className="no-todos">
+                                            <span className="no-todos-icon">📝</span>
+                                            <p>{emptyMessage}</p>
+                                        </div>
+                                    )}
+                                </div>
+                            )}
+                        </Droppable>
+                    </DragDropContext>
+
+                    {/* ====== FOOTER: Clear completed button ====== */}
+                    {completedCount > 0 && (
+                        <div className="todo-footer">
+                            <button type="button" className="clear-btn" onClick={() => dispatch(clearCompleted(workspaceId))}>
+                                🧹 Clear completed ({completedCount})
+                            </button>
+                        </div>
+                    )}
+                </>
             )}
         </div>
     );
@@ -0,0 +1,246 @@
+/**
+ * quickAdd.js - Natural-language parsing for the "add task" input
+ *
+ * Inline syntax is picked out of the text, the rest becomes the task title:
+ *
+ *   fix login bug !high #auth tomorrow 3pm
+ *     → "fix login bug", high priority, tagged auth, due tomorrow at 15:00
+ *   every monday standup notes
+ *     → "standup notes", repeats every Monday, first due on the next Monday
+ *   write release notes @side-project
+ *     → added to the workspace named "Side Project"
+ *
+ * Supported tokens:
+ * - Priority: !high, !normal, !low (or !h, !n, !l)
+ * - Tags: #tag (a number like #123 stays in the text)
+ * - Workspace: @name (workspace name with dashes for spaces; a unique prefix is enough)
+ * - Dates: today, tomorrow, monday…sunday, next monday, in 3 days, in 2 weeks, 2026-05-01
+ *   (optionally after "on", "by" or "due")
+ * - Times: 3pm, 3:30pm, 15:00 (optionally after "at"); a time alone means today
+ * - Recurrence: every day, every weekday, every week, every month,
+ *   every monday, every mon,thu
+ */
+
+import { toDateKey, addDays, fromDateKey, getNextOccurrence, WEEKDAYS } from './todoUtils';
+
+const PRIORITIES = { high: 'high', h: 'high', normal: 'normal', n: 'normal', low: 'low', l: 'low' };
+
+// Words that only introduce a date/time - dropped when one follows
+const DATE_PREFIXES = ['on', 'by', 'due'];
+
+/**
+ * parseWeekday - 'monday' / 'mon' → 1, anything else → -1
+ */
+const parseWeekday = (word) => {
+    if (word.length < 3) return -1;
+    return WEEKDAYS.findIndex(day => day.toLowerCase().startsWith(word));
+};
+
+/**
+ * slugify - "Side Project" → "side-project"
+ */
+const slugify = (text) => text.toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+/**
+ * findWorkspace - The workspace an @token names (exact slug, else a unique prefix)
+ */
+const findWorkspace = (token, workspaces) => {
+    const slug = slugify(token);
+    if (!slug) return null;
+
+    const exact = workspaces.find(w => slugify(w.name) === slug);
+    if (exact) return exact;
+
+    const matches = workspaces.filter(w => slugify(w.name).startsWith(slug));
+    return matches.length === 1 ? matches[0] : null;
+};
+
+/**
+ * parseDate - Date at words[i] → { dateKey, length } (words used), or null
+ * Weekday names always mean the next one (today counts too).
+ */
+const parseDate = (words, i, today) => {
+    const word = words[i];
+    const next = words[i + 1];
+
+    if (word === 'today') return { dateKey: today, length: 1 };
+    if (word === 'tomorrow' || word === 'tmr') return { dateKey: addDays(today, 1), length: 1 };
+
+    if (/^\d{4}-\d{2}-\d{2}$/.test(word) && !Number.isNaN(fromDateKey(word).getTime())) {
+        return { dateKey: word, length: 1 };
+    }
+
+    // Full weekday names only - "mon" on its own is too likely to be part of the title
+    const weekday = WEEKDAYS.findIndex(day => day.toLowerCase() === word);
+    if (weekday !== -1) {
+        return { dateKey: getNextOccurrence({ type: 'weekly', days: [weekday] }, today, true), length: 1 };
+    }
+
+    if (word === 'next' && next) {
+        const nextWeekday = parseWeekday(next);
+        if (nextWeekday !== -1) {
+            return { dateKey: getNextOccurrence({ type: 'weekly', days: [nextWeekday] }, today), length: 2 };
+        }
+        if (next === 'week') return { dateKey: addDays(today, 7), length: 2 };
+    }
+
+    // "in 3 days", "in 2 weeks"
+    const unit = words[i + 2];
+    if (word === 'in' && /^\d+$/.test(next || '') && /^(days?|weeks?)$/.test(unit || '')) {
+        const days = Number(next) * (unit.startsWith('week') ? 7 : 1);
+        return { dateKey: addDays(today, days), length: 3 };
+    }
+
+    return null;
+};
+
+/**
+ * parseTime - '3pm', '3:30pm', '15:00' → 'HH:MM', or null
+ */
+const parseTime = (word) => {
+    const match = word.match(/^(\d{1,2})(?::(\d{2}))?(am|pm)?$/);
+    // A bare number ("3") isn't a time
+    if (!match || (!match[2] && !match[3])) return null;
+
+    let hours = Number(match[1]);
+    const minutes = Number(match[2] || 0);
+    if (match[3]) {
+        if (hours < 1 || hours > 12) return null;
+        hours = (hours % 12) + (match[3] === 'pm' ? 12 : 0);
+    }
+    if (hours > 23 || minutes > 59) return null;
+
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+};
+
+/**
+ * parseRecurrence - The word after "every" → recurrence, or null
+ * Day and month repeats are anchored on today's weekday / day of month.
+ */
+const parseRecurrence = (word, today) => {
+    const date = fromDateKey(today);
+
+    if (word === 'day') return { type: 'daily' };
+    if (word === 'weekday') return { type: 'weekdays' };
+    if (word === 'week') return { type: 'weekly', days: [date.getDay()] };
+    if (word === 'month') return { type: 'monthly', day: date.getDate() };
+
+    // "monday", "mon,thu"
+    const days = word.split(',').filter(Boolean).map(parseWeekday);
+    if (days.length > 0 && days.every(day => day !== -1)) {
+        return { type: 'weekly', days: [...new Set(days)].sort((a, b) => a - b) };
+    }
+    return null;
+};
+
+/**
+ * parseQuickAdd - Splits quick-add input into a title and task fields
+ *
+ * @param {string} input - What was typed
+ * @param {object} options - { workspaces, now } (now is only overridden for testing)
+ * @returns {object} { text, priority, tags, dueDate, dueTime, recurrence, workspace }
+ *                   Fields that weren't given are null (tags: [])
+ */
+export const parseQuickAdd = (input, { workspaces = [], now = new Date() } = {}) => {
+    const today = toDateKey(now);
+    const words = input.trim().split(/\s+/).filter(Boolean);
+    const result = {
+        text: '',
+        priority: null,
+        tags: [],
+        dueDate: null,
+        dueTime: null,
+        recurrence: null,
+        workspace: null,
+    };
+    const titleWords = [];
+    const lowerWords = words.map(word => word.toLowerCase());
+
+    for (let i = 0; i < words.length; i++) {
+        const word = words[i];
+        const lower = lowerWords[i];
+
+        // !high
+        const priority = lower.startsWith('!') && PRIORITIES[lower.slice(1)];
+        if (priority) {
+            result.priority = priority;
+            continue;
+        }
+
+        // #tag (not #123 - that's an issue or PR number, part of the title)
+        if (/^#[\w-]+$/.test(word) && !/^#\d+$/.test(word)) {
+            const tag = lower.slice(1);
+            if (!result.tags.includes(tag)) result.tags.push(tag);
+            continue;
+        }
+
+        // @workspace (unknown names stay in the title)
+        if (word.startsWith('@') && word.length > 1) {
+            const workspace = findWorkspace(word.slice(1), workspaces);
+            if (workspace) {
+                result.workspace = workspace;
+                continue;
+            }
+        }
+
+        // every monday
+        if (lower === 'every' && i + 1 < words.length) {
+            const recurrence = parseRecurrence(lowerWords[i + 1], today);
+            if (recurrence) {
+                result.recurrence = recurrence;
+                i += 1;
+                continue;
+            }
+        }
+
+        // on friday / at 3pm - skip the little word if a date/time follows
+        const hasPrefix = DATE_PREFIXES.includes(lower) || lower === 'at';
+        const start = hasPrefix ? i + 1 : i;
+
+        if (lower !== 'at') {
+            const date = parseDate(lowerWords, start, today);
+            if (date) {
+                result.dueDate = date.dateKey;
+                i = start + date.length - 1;
+                continue;
+            }
+        }
+
+        if (lower !== 'on') {
+            const time = start < words.length ? parseTime(lowerWords[start]) : null;
+            if (time) {
+                result.dueTime = time;
+                i = start;
+                continue;
+            }
+        }
+
+        titleWords.push(word);
+    }
+
+    result.text = titleWords.join(' ');
+
+    // A repeating task is first due on its next occurrence (from today)
+    if (result.recurrence && !result.dueDate) {
+        result.dueDate = getNextOccurrence(result.recurrence, today, true);
+    }
+    // A time without a date means today
+    if (result.dueTime && !result.dueDate) {
+        result.dueDate = today;
+    }
+
+    return result;
+};
+
+/**
+ * toTodoFields - The parsed fields addTodo() takes (without the workspace)
+ * Priority defaults to 'normal' when none was given.
+ */
+export const toTodoFields = (parsed) => ({
+    text: parsed.text,
+    priority: parsed.priority || 'normal',
+    tags: parsed.tags,
+    dueDate: parsed.dueDate,
+    dueTime: parsed.dueTime,
+    recurrence: parsed.recurrence,
+});
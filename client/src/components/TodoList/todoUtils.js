@@ -0,0 +1,222 @@
+/**
+ * todoUtils.js - Helpers for due dates, recurrence, tags and subtask progress
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Weekday names, indexed like Date.getDay() (0 = Sunday)
+export const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * toDateKey - A Date as a local 'YYYY-MM-DD' string (the format of todo.dueDate)
+ */
+export const toDateKey = (date = new Date()) => {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+};
+
+/**
+ * fromDateKey - A 'YYYY-MM-DD' string as a local Date (midnight)
+ */
+export const fromDateKey = (dateKey) => new Date(`${dateKey}T00:00:00`);
+
+/**
+ * addDays - The date key `days` days after another one
+ */
+export const addDays = (dateKey, days) => {
+    const date = fromDateKey(dateKey);
+    date.setDate(date.getDate() + days);
+    return toDateKey(date);
+};
+
+/**
+ * getDueStatus - 'overdue', 'today', 'upcoming' or null (no due date / done)
+ * Date keys and 'HH:MM' times compare correctly as strings.
+ * A task due today becomes overdue once its due time has passed.
+ */
+export const getDueStatus = (todo, now = new Date()) => {
+    if (!todo.dueDate || todo.completed) return null;
+
+    const today = toDateKey(now);
+    if (todo.dueDate < today) return 'overdue';
+    if (todo.dueDate === today) {
+        const time = `${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}`;
+        return todo.dueTime && todo.dueTime <= time ? 'overdue' : 'today';
+    }
+    return 'upcoming';
+};
+
+/**
+ * formatDueTime - 'HH:MM' in the user's locale ("3:00 PM", "15:00")
+ */
+export const formatDueTime = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return new Date(2000, 0, 1, hours, minutes).toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit' });
+};
+
+/**
+ * formatDueDate - "Today", "Tomorrow", "Yesterday" or a short date, plus the time if set
+ */
+export const formatDueDate = (dateKey, time = null) => {
+    const days = Math.round((fromDateKey(dateKey) - fromDateKey(toDateKey())) / DAY_MS);
+
+    let label;
+    if (days === 0) label = 'Today';
+    else if (days === 1) label = 'Tomorrow';
+    else if (days === -1) label = 'Yesterday';
+    else label = fromDateKey(dateKey).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+
+    return time ? `${label} ${formatDueTime(time)}` : label;
+};
+
+// ============================================
+// RECURRENCE
+// { type: 'daily' }
+// { type: 'weekdays' }                 Monday to Friday
+// { type: 'weekly', days: [1, 4] }     Weekdays as Date.getDay() numbers
+// { type: 'monthly', day: 15 }         Day of the month (clamped in short months)
+// ============================================
+
+/**
+ * matchesRecurrence - Whether a task repeating like this falls on a date key
+ */
+export const matchesRecurrence = (recurrence, dateKey) => {
+    const date = fromDateKey(dateKey);
+    const weekday = date.getDay();
+
+    switch (recurrence.type) {
+        case 'daily':
+            return true;
+        case 'weekdays':
+            return weekday >= 1 && weekday <= 5;
+        case 'weekly':
+            return recurrence.days.includes(weekday);
+        case 'monthly': {
+            const lastDay = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+            return date.getDate() === Math.min(recurrence.day, lastDay);
+        }
+        default:
+            return false;
+    }
+};
+
+/**
+ * findOccurrence - Walks day by day (step 1 or -1) to the first date the recurrence falls on
+ * Any valid recurrence matches within two months.
+ */
+const findOccurrence = (recurrence, startKey, step) => {
+    let dateKey = startKey;
+    for (let i = 0; i < 62; i++) {
+        if (matchesRecurrence(recurrence, dateKey)) return dateKey;
+        dateKey = addDays(dateKey, step);
+    }
+    return null;
+};
+
+/**
+ * getNextOccurrence - First date key after `fromKey` (or on it, if inclusive)
+ * that the recurrence falls on
+ */
+export const getNextOccurrence = (recurrence, fromKey, inclusive = false) =>
+    findOccurrence(recurrence, inclusive ? fromKey : addDays(fromKey, 1), 1);
+
+/**
+ * getPreviousOccurrence - Last date key before `fromKey` that the recurrence falls on
+ */
+export const getPreviousOccurrence = (recurrence, fromKey) =>
+    findOccurrence(recurrence, addDays(fromKey, -1), -1);
+
+/**
+ * calculateHabitStreak - Consecutive completed occurrences of a recurring task
+ * Same idea as ProgressStats.calculateStreak, but counted in occurrences
+ * (a weekly task done four weeks in a row has a streak of 4).
+ * Today's occurrence doesn't break the streak until the day is over.
+ *
+ * @param {object} recurrence - The task's recurrence rule
+ * @param {string[]} completed - Completed occurrence date keys
+ * @returns {object} { current, best }
+ */
+export const calculateHabitStreak = (recurrence, completed, today = toDateKey()) => {
+    if (completed.length === 0) return { current: 0, best: 0 };
+    const done = new Set(completed);
+
+    // Current: back from today (or the last occurrence before it)
+    let current = 0;
+    let checkDate = matchesRecurrence(recurrence, today) && done.has(today)
+        ? today
+        : getPreviousOccurrence(recurrence, today);
+    while (checkDate && done.has(checkDate)) {
+        current++;
+        checkDate = getPreviousOccurrence(recurrence, checkDate);
+    }
+
+    // Best: longest run of occurrences from the first completion until today
+    let best = 0;
+    let run = 0;
+    checkDate = getNextOccurrence(recurrence, completed[0], true);
+    while (checkDate && checkDate <= today) {
+        run = done.has(checkDate) ? run + 1 : 0;
+        best = Math.max(best, run);
+        checkDate = getNextOccurrence(recurrence, checkDate);
+    }
+
+    return { current, best: Math.max(best, current) };
+};
+
+/**
+ * describeRecurrence - "Every day", "Every weekday", "Every Mon, Thu", "Monthly on the 15th"
+ */
+export const describeRecurrence = (recurrence) => {
+    switch (recurrence.type) {
+        case 'daily':
+            return 'Every day';
+        case 'weekdays':
+            return 'Every weekday';
+        case 'weekly':
+            return recurrence.days.length === 1
+                ? `Every ${WEEKDAYS[recurrence.days[0]]}`
+                : `Every ${recurrence.days.map(day => WEEKDAYS[day].slice(0, 3)).join(', ')}`;
+        case 'monthly': {
+            const suffix = [11, 12, 13].includes(recurrence.day % 100)
+                ? 'th'
+                : ({ 1: 'st', 2: 'nd', 3: 'rd' }[recurrence.day % 10] || 'th');
+            return `Monthly on the ${recurrence.day}${suffix}`;
+        }
+        default:
+            return 'Repeats';
+    }
+};
+
+/**
+ * getColumnId - The board column a task is in
+ * Completed tasks are in the last column (Done); tasks without a known status in the first.
+ */
+export const getColumnId = (todo, columns) => {
+    const doneColumn = columns[columns.length - 1];
+    if (todo.completed) return doneColumn.id;
+    const column = columns.find(c => c.id === todo.status);
+    return column && column !== doneColumn ? column.id : columns[0].id;
+};
+
+/**
+ * parseTags - "auth, Backend,  #urgent" → ['auth', 'backend', 'urgent'] (no duplicates)
+ */
+export const parseTags = (text) => [
+    ...new Set(
+        text.split(',')
+            .map(tag => tag.trim().replace(/^#/, '').toLowerCase())
+            .filter(Boolean)
+    ),
+];
+
+/**
+ * getSubtaskProgress - Rollup of a todo's subtasks
+ * A completed todo always counts as 100%.
+ */
+export const getSubtaskProgress = (todo) => {
+    const total = todo.subtasks?.length || 0;
+    const done = todo.subtasks?.filter(s => s.completed).length || 0;
+    const percent = todo.completed ? 100 : total > 0 ? Math.round((done / total) * 100) : 0;
+    return { done, total, percent };
+};
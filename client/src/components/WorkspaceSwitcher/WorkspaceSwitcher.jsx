@@ -24,8 +24,23 @@ import {
     switchWorkspace,
     deleteWorkspace,
 } from '../../redux/slices/workspaceSlice';
+import { registerPaletteProvider } from '../CommandPalette/paletteRegistry';
 import './WorkspaceSwitcher.css';
 
+// Command palette: switch to any other workspace
+registerPaletteProvider('workspaces', ({ state, dispatch }) =>
+    state.workspace.workspaces
+        .filter((ws) => ws.id !== state.workspace.currentId)
+        .map((ws) => ({
+            id: `workspace-${ws.id}`,
+            group: 'Workspace',
+            icon: '📁',
+            label: `Switch to ${ws.name}`,
+            keywords: 'workspace project',
+            run: () => dispatch(switchWorkspace(ws.id)),
+        }))
+);
+
 export default function WorkspaceSwitcher() {
     const dispatch = useDispatch();
 
@@ -0,0 +1,101 @@
+/**
+ * FocusLogPrompt.jsx - "Log this focus session?" Prompt
+ *
+ * When a focus session finishes, the timer slice keeps it as a pending log.
+ * This prompt (rendered in App.jsx, so it shows on every section) offers to
+ * turn it into a pre-filled check-in with the elapsed hours, using the
+ * workspace's first log type (Progress, unless the types were changed).
+ *
+ * The log goes to the workspace the session ran in, even if you've
+ * switched workspaces since.
+ */
+
+import { useState } from 'react';
+import { useSelector, useDispatch } from 'react-redux';
+import { addLog } from '../../redux/slices/workspaceSlice';
+import { dismissPendingLog } from '../../redux/slices/timerSlice';
+import { getLogTypes } from '../SystemLogs/logUtils';
+import './FocusLogPrompt.css';
+
+/**
+ * FocusLogForm - Editable log for one pending session
+ * Keyed by the session, so the form resets for each new one
+ */
+function FocusLogForm({ pendingLog, logType, workspaceName }) {
+    const dispatch = useDispatch();
+    const [content, setContent] = useState(pendingLog.content);
+    const [hours, setHours] = useState(String(pendingLog.hours));
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (!content.trim()) return;
+
+        dispatch(addLog({
+            workspaceId: pendingLog.workspaceId,
+            log: {
+                id: Date.now(),
+                type: logType,
+                content: content.trim(),
+                hours: parseFloat(hours) || 0,
+                timestamp: pendingLog.completedAt,
+            },
+        }));
+        dispatch(dismissPendingLog());
+    };
+
+    return (
+        <form className="focus-log-prompt glass-card" onSubmit={handleSubmit}>
+            <div className="focus-log-header">
+                <span className="focus-log-title">🚀 Log this focus session?</span>
+                {workspaceName && <span className="focus-log-workspace">{workspaceName}</span>}
+            </div>
+
+            <textarea
+                className="glass-input focus-log-content"
+                value={content}
+                onChange={(e) => setContent(e.target.value)}
+                rows={2}
+            />
+
+            <div className="focus-log-footer">
+                <label className="focus-log-hours">
+                    <input
+                        type="number"
+                        step="0.05"
+                        min="0"
+                        className="glass-input"
+                        value={hours}
+                        onChange={(e) => setHours(e.target.value)}
+                    />
+                    h
+                </label>
+                <button type="button" className="glass-button" onClick={() => dispatch(dismissPendingLog())}>
+                    Skip
+                </button>
+                <button type="submit" className="glass-button primary">
+                    Add Check-In
+                </button>
+            </div>
+        </form>
+    );
+}
+
+export default function FocusLogPrompt() {
+    const pendingLog = useSelector((state) => state.timer.pendingLog);
+    const { currentId, workspaces } = useSelector((state) => state.workspace);
+
+    if (!pendingLog) return null;
+
+    // Workspace deleted in the meantime - nowhere to log it
+    const workspace = workspaces.find(w => w.id === pendingLog.workspaceId);
+    if (!workspace) return null;
+
+    return (
+        <FocusLogForm
+            key={pendingLog.completedAt}
+            pendingLog={pendingLog}
+            logType={getLogTypes(workspace)[0].id}
+            workspaceName={workspace.id !== currentId ? workspace.name : null}
+        />
+    );
+}
@@ -0,0 +1,113 @@
+/**
+ * TimerIndicator.jsx - Zen Timer in the Header
+ *
+ * Shows the running (or paused) Zen Timer from any section, the same
+ * way MiniPlayer keeps music visible while you browse.
+ *
+ * Why it exists:
+ * - The timer keeps running when you leave the timer page
+ * - It's rendered in the Header, which is always mounted, so this is also
+ *   where a finished timer gets completed (recorded + chime + desktop
+ *   notification) - even if the timer page isn't open, and even right after a reload
+ * - It also lets an idle timer follow the active workspace, so it shows
+ *   that workspace's focus/break lengths
+ *
+ * Features:
+ * - Mode + time left, click to open the timer page
+ * - Pause/resume button
+ * - Optional countdown in the tab title
+ * - Hidden when the timer is idle
+ */
+
+import { useEffect } from 'react';
+import { useSelector, useDispatch } from 'react-redux';
+import { useNavigate } from 'react-router-dom';
+import { startTimer, pauseTimer, completeTimer, syncTimerWorkspace } from '../../redux/slices/timerSlice';
+import { sectionPath } from '../../routing';
+import { useTimeLeft, formatTime, getModeInfo } from './timerClock';
+import { playChime, showNotification } from './timerAlerts';
+import './TimerIndicator.css';
+
+// Notification text for each finished mode
+const COMPLETION_MESSAGES = {
+    work: { title: 'Focus session complete 🎉', body: 'Nice work! Time for a break.' },
+    shortBreak: { title: 'Break is over', body: 'Ready for the next focus session?' },
+    longBreak: { title: 'Long break is over', body: 'Recharged? Time to focus again.' },
+    custom: { title: 'Timer finished ⏱️', body: 'Your custom timer is done.' },
+};
+
+// Timers that ended longer ago than this (e.g. while the app was closed)
+// are recorded silently instead of chiming on load
+const STALE_ALERT_MS = 60 * 1000;
+
+export default function TimerIndicator() {
+    const dispatch = useDispatch();
+    const navigate = useNavigate();
+
+    const { mode, duration, endsAt, remaining, alerts } = useSelector((state) => state.timer);
+    const currentId = useSelector((state) => state.workspace.currentId);
+    const timeLeft = useTimeLeft();
+
+    // Idle timer picks up the new workspace's settings
+    useEffect(() => {
+        dispatch(syncTimerWorkspace(currentId));
+    }, [currentId, dispatch]);
+
+    // ============================================
+    // COMPLETION
+    // The running timer reached its end timestamp
+    // ============================================
+    useEffect(() => {
+        if (!endsAt || timeLeft > 0) return;
+
+        dispatch(completeTimer({ completedAt: endsAt }));
+        if (Date.now() - endsAt > STALE_ALERT_MS) return;
+
+        // Chime (synthesized, works offline) + desktop notification for background tabs
+        playChime(alerts.chime, alerts.volume);
+        if (alerts.notifications) {
+            const message = COMPLETION_MESSAGES[mode];
+            showNotification(message.title, message.body);
+        }
+    }, [endsAt, timeLeft, mode, alerts, dispatch]);
+
+    // ============================================
+    // TAB TITLE COUNTDOWN
+    // "12:34 · Focus" while running, original title otherwise
+    // ============================================
+    useEffect(() => {
+        if (!endsAt || !alerts.titleCountdown) return;
+
+        const originalTitle = document.title;
+        document.title = `${formatTime(timeLeft)} · ${getModeInfo(mode).label}`;
+        return () => {
+            document.title = originalTitle;
+        };
+    }, [endsAt, timeLeft, mode, alerts.titleCountdown]);
+
+    // Only shown while running or paused part-way through
+    const isPaused = !endsAt && remaining < duration;
+    if (!endsAt && !isPaused) return null;
+
+    const modeInfo = getModeInfo(mode);
+
+    return (
+        <div className={`timer-indicator ${isPaused ? 'paused' : ''}`} style={{ '--timer-color': modeInfo.color }}>
+            <button
+                className="timer-indicator-info"
+                onClick={() => navigate(sectionPath(currentId, 'timer'))}
+                title="Open Zen Timer"
+            >
+                <span className="timer-indicator-mode">🧘 {modeInfo.label}</span>
+                <span className="timer-indicator-time">{formatTime(timeLeft)}</span>
+            </button>
+            <button
+                className="timer-indicator-btn"
+                onClick={() => dispatch(endsAt ? pauseTimer() : startTimer(currentId))}
+                title={endsAt ? 'Pause' : 'Resume'}
+            >
+                {endsAt ? '⏸' : '▶'}
+            </button>
+        </div>
+    );
+}
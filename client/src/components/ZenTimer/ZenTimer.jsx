@@ -4,139 +4,146 @@
  * A focus timer based on the Pomodoro Technique:
  * - Work for 25 minutes, then take a 5-minute break
  * - After 4 work sessions, take a 15-minute long break
+ * (all of these are configurable per workspace in Settings)
  * 
  * Features:
- * - Preset modes: Focus (25min), Short Break (5min), Long Break (15min)
+ * - Preset modes: Focus, Short Break, Long Break
  * - Custom timer duration (1-480 minutes)
  * - Visual circular progress indicator
- * - Session counter
+ * - Daily session goal and history of completed sessions (per workspace)
+ * - Focus target: pick a todo, its tracked time grows with each session
  * - Sound notification when timer completes
- * - Auto-switch to break mode after work session
+ * - Auto-switch to break mode after work session (optionally auto-start)
+ *
+ * The timer state lives in timerSlice.js and keeps running while you
+ * browse other sections (TimerIndicator in the header shows it and
+ * completes it). This component is just a view + controls.
  */
 
-import { useState, useEffect, useRef, useCallback } from 'react';
+import { useState } from 'react';
+import { useSelector, useDispatch } from 'react-redux';
+import {
+    PRESET_MODES,
+    FOCUS_MODES,
+    TIMER_PRESETS,
+    getTimerSettings,
+    selectTimerSettings,
+    setMode,
+    setCustomDuration,
+    setFocusTodo,
+    startTimer,
+    pauseTimer,
+    resetTimer,
+    updateTimerSettings,
+    clearHistory,
+} from '../../redux/slices/timerSlice';
+import { registerPaletteProvider } from '../CommandPalette/paletteRegistry';
+import { selectCurrentTodos } from '../../redux/slices/todosSlice';
+import { useTimeLeft, formatTime, getModeInfo } from './timerClock';
 import './ZenTimer.css';
 
-// ============================================
-// PRESET TIMER MODES
-// Each mode has a label, duration (minutes), and accent color
-// ============================================
-const PRESET_MODES = {
-    work: { label: 'Focus', duration: 25, color: 'var(--accent-primary)' },
-    shortBreak: { label: 'Short Break', duration: 5, color: 'var(--accent-green)' },
-    longBreak: { label: 'Long Break', duration: 15, color: 'var(--accent-cyan)' },
-};
+// How many completed sessions the history list shows
+const RECENT_SESSIONS = 5;
 
-export default function ZenTimer() {
-    // Current timer mode (work, shortBreak, longBreak)
-    const [mode, setMode] = useState('work');
-
-    // Custom timer duration input (in minutes)
-    const [customMinutes, setCustomMinutes] = useState(25);
+// Command palette: start any mode, or a custom length ("focus 50", "90m"),
+// and switch the workspace to a named preset ("52/17", "deep work")
+// The timer is global, so it starts right away without leaving the current section
+registerPaletteProvider('zen-timer', ({ query, state, dispatch }) => {
+    const workspaceId = state.workspace.currentId;
+    const settings = getTimerSettings(state.timer, workspaceId);
 
-    // Whether we're using a custom duration or a preset
-    const [isCustomMode, setIsCustomMode] = useState(false);
+    const start = (modeAction) => () => {
+        dispatch(modeAction);
+        dispatch(startTimer(workspaceId));
+    };
 
-    // Time remaining in seconds
-    const [timeLeft, setTimeLeft] = useState(25 * 60);
+    const items = Object.entries(PRESET_MODES).map(([mode, preset]) => ({
+        id: `timer-${mode}`,
+        group: 'Timer',
+        icon: '🧘',
+        label: `Start ${settings[mode]}m ${preset.label.toLowerCase()}`,
+        keywords: 'zen timer pomodoro',
+        run: start(setMode(mode, workspaceId)),
+    }));
 
-    // Whether the timer is currently running
-    const [isRunning, setIsRunning] = useState(false);
+    TIMER_PRESETS.forEach(preset => {
+        items.push({
+            id: `timer-preset-${preset.id}`,
+            group: 'Timer',
+            icon: '⚙️',
+            label: `Use timer preset: ${preset.name}`,
+            hint: `${preset.values.work}/${preset.values.shortBreak}/${preset.values.longBreak} min`,
+            keywords: 'zen timer pomodoro cycle settings',
+            run: () => dispatch(updateTimerSettings({ workspaceId, changes: preset.values })),
+        });
+    });
 
-    // Count of completed work sessions
-    const [sessions, setSessions] = useState(0);
+    const minutes = parseInt(query.match(/\b(\d{1,3})\s*m?\b/)?.[1], 10);
+    if (minutes > 0 && minutes <= 480) {
+        items.push({
+            id: 'timer-custom',
+            group: 'Timer',
+            icon: '⏱️',
+            label: `Start ${minutes}m focus`,
+            dynamic: true,
+            score: 60,
+            run: start(setCustomDuration(minutes)),
+        });
+    }
+    return items;
+});
 
-    // Ref to store the interval ID for cleanup
-    const intervalRef = useRef(null);
+export default function ZenTimer() {
+    const dispatch = useDispatch();
 
-    // Calculate total duration based on current mode
-    const currentDuration = isCustomMode ? customMinutes * 60 : PRESET_MODES[mode].duration * 60;
+    // The timer itself lives in Redux - the dashboard widget, this page
+    // and the header indicator all show the same one
+    const { mode, duration, endsAt, history, focusTodo } = useSelector((state) => state.timer);
+    const { currentId, workspaces } = useSelector((state) => state.workspace);
+    const settings = useSelector(selectTimerSettings);
+    const timeLeft = useTimeLeft();
+    const isRunning = Boolean(endsAt);
+    const isCustomMode = mode === 'custom';
+    const modeInfo = getModeInfo(mode);
 
-    // Calculate progress percentage for the circular indicator
-    const progress = ((currentDuration - timeLeft) / currentDuration) * 100;
+    // Open todos to pick a focus target from
+    const todos = useSelector(selectCurrentTodos);
+    const openTodos = todos.filter(todo => !todo.completed);
+    const currentFocus = focusTodo?.workspaceId === currentId ? focusTodo : null;
 
-    /**
-     * formatTime - Converts seconds to MM:SS or H:MM:SS format
-     */
-    const formatTime = (seconds) => {
-        const hrs = Math.floor(seconds / 3600);
-        const mins = Math.floor((seconds % 3600) / 60);
-        const secs = seconds % 60;
-        if (hrs > 0) {
-            return `${hrs}:${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
-        }
-        return `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
-    };
+    // Custom timer duration input (in minutes)
+    const [customMinutes, setCustomMinutes] = useState(isCustomMode ? duration / 60 : 25);
 
-    // Timer control functions wrapped in useCallback for stable references
-    const startTimer = useCallback(() => {
-        setIsRunning(true);
-    }, []);
+    // Calculate progress percentage for the circular indicator
+    const progress = ((duration - timeLeft) / duration) * 100;
 
-    const pauseTimer = useCallback(() => {
-        setIsRunning(false);
-    }, []);
+    // Focus sessions completed today in this workspace (from the persisted history)
+    const today = new Date().toDateString();
+    const sessionsToday = history.filter(entry =>
+        entry.mode === 'work' &&
+        entry.workspaceId === currentId &&
+        new Date(entry.completedAt).toDateString() === today
+    ).length;
+    const goalReached = settings.dailyGoal > 0 && sessionsToday >= settings.dailyGoal;
+    const recentSessions = history.slice(-RECENT_SESSIONS).reverse();
 
-    const resetTimer = useCallback(() => {
-        setIsRunning(false);
-        setTimeLeft(currentDuration);
-    }, [currentDuration]);
+    const getWorkspaceName = (id) => workspaces.find(w => w.id === id)?.name || 'Deleted workspace';
 
     /**
-     * switchMode - Changes to a preset timer mode
-     * Stops timer and resets to the new duration
+     * changeFocusTodo - Sets (or clears) the todo focus sessions count towards
      */
-    const switchMode = useCallback((newMode) => {
-        setMode(newMode);
-        setIsCustomMode(false);
-        setTimeLeft(PRESET_MODES[newMode].duration * 60);
-        setIsRunning(false);
-    }, []);
+    const changeFocusTodo = (todoId) => {
+        const todo = openTodos.find(t => String(t.id) === todoId);
+        dispatch(setFocusTodo(todo ? { id: todo.id, text: todo.text, workspaceId: currentId } : null));
+    };
 
     /**
      * applyCustomTime - Applies the custom duration input
      */
     const applyCustomTime = () => {
-        setIsCustomMode(true);
-        setTimeLeft(customMinutes * 60);
-        setIsRunning(false);
+        dispatch(setCustomDuration(customMinutes));
     };
 
-    // ============================================
-    // TIMER LOGIC (useEffect)
-    // Runs every second when timer is active
-    // ============================================
-    useEffect(() => {
-        if (isRunning && timeLeft > 0) {
-            // Create interval to decrement time every second
-            intervalRef.current = setInterval(() => {
-                setTimeLeft((prev) => prev - 1);
-            }, 1000);
-        } else if (timeLeft === 0) {
-            // Timer completed!
-            setIsRunning(false);
-
-            // If completing a work session, increment counter and switch to break
-            if (mode === 'work' && !isCustomMode) {
-                setSessions((prev) => prev + 1);
-                // Every 4th session gets a long break, otherwise short break
-                const nextMode = sessions > 0 && (sessions + 1) % 4 === 0 ? 'longBreak' : 'shortBreak';
-                switchMode(nextMode);
-            }
-
-            // Play notification sound to alert user
-            const notif = new Audio('https://assets.mixkit.co/active_storage/sfx/2869/2869-preview.mp3');
-            notif.play().catch(console.log);
-        }
-
-        // Cleanup: clear interval when component unmounts or dependencies change
-        return () => {
-            if (intervalRef.current) {
-                clearInterval(intervalRef.current);
-            }
-        };
-    }, [isRunning, timeLeft, mode, sessions, switchMode, isCustomMode]);
-
     // SVG circle calculations for progress ring
     const circumference = 2 * Math.PI * 120;  // 2πr where r=120
     const strokeDashoffset = circumference - (progress / 100) * circumference;
@@ -149,9 +156,11 @@ export default function ZenTimer() {
                     <span className="title-icon">🧘</span>
                     Zen Timer
                 </h2>
-                <div className="session-count">
-                    <span className="session-icon">🎯</span>
-                    <span>{sessions} sessions</span>
+                <div className={`session-count ${goalReached ? 'goal-reached' : ''}`} title="Focus sessions today">
+                    <span className="session-icon">{goalReached ? '🏆' : '🎯'}</span>
+                    <span>
+                        {settings.dailyGoal > 0 ? `${sessionsToday} / ${settings.dailyGoal}` : sessionsToday} today
+                    </span>
                 </div>
             </div>
 
@@ -174,15 +183,13 @@ export default function ZenTimer() {
                                 fill="none" strokeWidth="8"
                                 strokeDasharray={circumference}
                                 strokeDashoffset={strokeDashoffset}
-                                style={{ stroke: isCustomMode ? 'var(--accent-orange)' : PRESET_MODES[mode].color }}
+                                style={{ stroke: modeInfo.color }}
                             />
                         </svg>
                         {/* Time and mode label in center */}
                         <div className="timer-inner">
                             <span className="timer-time">{formatTime(timeLeft)}</span>
-                            <span className="timer-mode-label">
-                                {isCustomMode ? 'Custom Timer' : PRESET_MODES[mode].label}
-                            </span>
+                            <span className="timer-mode-label">{modeInfo.label}</span>
                         </div>
                     </div>
                 </div>
@@ -193,9 +200,9 @@ export default function ZenTimer() {
                         <button
                             key={key}
                             className={`mode-tab ${mode === key && !isCustomMode ? 'active' : ''}`}
-                            onClick={() => switchMode(key)}
+                            onClick={() => dispatch(setMode(key, currentId))}
                         >
-                            {value.label}
+                            {value.label} · {settings[key]}m
                         </button>
                     ))}
                 </div>
@@ -219,22 +226,74 @@ export default function ZenTimer() {
                     </div>
                 </div>
 
+                {/* ====== FOCUS TARGET ====== */}
+                {FOCUS_MODES.includes(mode) && (
+                    <div className="focus-target">
+                        <label>Focusing on:</label>
+                        <select
+                            className="glass-input focus-select"
+                            value={currentFocus?.id ?? ''}
+                            onChange={(e) => changeFocusTodo(e.target.value)}
+                        >
+                            <option value="">Nothing in particular</option>
+                            {currentFocus && !openTodos.some(t => t.id === currentFocus.id) && (
+                                <option value={currentFocus.id}>{currentFocus.text}</option>
+                            )}
+                            {openTodos.map(todo => (
+                                <option key={todo.id} value={todo.id}>{todo.text}</option>
+                            ))}
+                        </select>
+                    </div>
+                )}
+
                 {/* ====== TIMER CONTROLS ====== */}
                 <div className="timer-controls">
                     {!isRunning ? (
-                        <button className="control-btn primary" onClick={startTimer}>
+                        <button className="control-btn primary" onClick={() => dispatch(startTimer(currentId))}>
                             <span>▶</span> Start
                         </button>
                     ) : (
-                        <button className="control-btn" onClick={pauseTimer}>
+                        <button className="control-btn" onClick={() => dispatch(pauseTimer())}>
                             <span>⏸</span> Pause
                         </button>
                     )}
-                    <button className="control-btn" onClick={resetTimer}>
+                    <button className="control-btn" onClick={() => dispatch(resetTimer())}>
                         <span>↺</span> Reset
                     </button>
                 </div>
 
+                {/* ====== SESSION HISTORY ====== */}
+                {recentSessions.length > 0 && (
+                    <div className="session-history">
+                        <div className="session-history-header">
+                            <span>Recent sessions</span>
+                            <button
+                                className="session-history-clear"
+                                onClick={() => window.confirm('Clear all recorded sessions? This also resets the focus time tracked on todos.') && dispatch(clearHistory())}
+                            >
+                                Clear
+                            </button>
+                        </div>
+                        {recentSessions.map(entry => (
+                            <div key={entry.id} className="session-history-item">
+                                <span
+                                    className="session-history-dot"
+                                    style={{ background: getModeInfo(entry.mode).color }}
+                                />
+                                <span className="session-history-mode">
+                                    {getModeInfo(entry.mode).label} · {Math.round(entry.duration / 60)}m
+                                </span>
+                                <span className="session-history-workspace">
+                                    {entry.todoText ? `🎯 ${entry.todoText}` : getWorkspaceName(entry.workspaceId)}
+                                </span>
+                                <span className="session-history-time">
+                                    {new Date(entry.completedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                                </span>
+                            </div>
+                        ))}
+                    </div>
+                )}
+
                 {/* ====== MUSIC HINT ====== */}
                 <div className="music-hint-box">
                     <p>🎵 Looking for music? Check out the <strong>Music</strong> tab in the sidebar!</p>
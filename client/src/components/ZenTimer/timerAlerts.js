@@ -0,0 +1,126 @@
+/**
+ * timerAlerts.js - Sounds and desktop notifications for the Zen Timer
+ *
+ * Chimes are synthesized with the Web Audio API, so they work offline
+ * and nothing has to be downloaded. Desktop notifications use the
+ * Notification API and still show when the tab is in the background.
+ *
+ * Browsers only allow audio after the user has interacted with the page,
+ * so the audio context is unlocked on the first click/keypress.
+ */
+
+// ============================================
+// CHIMES
+// Each note: [frequency (Hz), start (s), length (s), waveform]
+// ============================================
+export const CHIMES = {
+    bell: {
+        label: 'Bell',
+        notes: [[880, 0, 1.6, 'sine'], [1760, 0, 0.8, 'sine'], [1320, 0.02, 1.2, 'triangle']],
+    },
+    rise: {
+        label: 'Rising',
+        notes: [[523, 0, 0.5, 'sine'], [659, 0.15, 0.5, 'sine'], [784, 0.3, 0.5, 'sine'], [1047, 0.45, 0.9, 'sine']],
+    },
+    digital: {
+        label: 'Digital',
+        notes: [[1000, 0, 0.12, 'square'], [1000, 0.25, 0.12, 'square'], [1000, 0.5, 0.12, 'square']],
+    },
+    gong: {
+        label: 'Soft gong',
+        notes: [[196, 0, 2.5, 'sine'], [392, 0, 1.5, 'sine'], [294, 0.05, 2, 'triangle']],
+    },
+    none: { label: 'No sound', notes: [] },
+};
+
+let audioContext = null;
+
+// Creates (once) and resumes the shared audio context
+const getAudioContext = () => {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return null;
+
+    if (!audioContext) audioContext = new AudioContextClass();
+    if (audioContext.state === 'suspended') audioContext.resume().catch(() => {});
+    return audioContext;
+};
+
+// Unlock audio on the first interaction so a chime can play later without one
+if (typeof window !== 'undefined') {
+    const unlock = () => getAudioContext();
+    window.addEventListener('pointerdown', unlock, { once: true });
+    window.addEventListener('keydown', unlock, { once: true });
+}
+
+/**
+ * playChime - Plays a chime at a volume between 0 and 1
+ */
+export const playChime = (chimeId, volume = 0.7) => {
+    const chime = CHIMES[chimeId] || CHIMES.bell;
+    const context = chime.notes.length > 0 && volume > 0 ? getAudioContext() : null;
+    if (!context) return;
+
+    const now = context.currentTime;
+    chime.notes.forEach(([frequency, start, length, waveform]) => {
+        const oscillator = context.createOscillator();
+        const gain = context.createGain();
+        const startAt = now + start;
+
+        oscillator.type = waveform;
+        oscillator.frequency.value = frequency;
+
+        // Quick attack, exponential fade-out (ramps can't start from 0)
+        gain.gain.setValueAtTime(0.0001, startAt);
+        gain.gain.exponentialRampToValueAtTime(0.3 * volume, startAt + 0.01);
+        gain.gain.exponentialRampToValueAtTime(0.0001, startAt + length);
+
+        oscillator.connect(gain).connect(context.destination);
+        oscillator.start(startAt);
+        oscillator.stop(startAt + length + 0.05);
+    });
+};
+
+// ============================================
+// DESKTOP NOTIFICATIONS
+// ============================================
+
+/**
+ * getNotificationPermission - 'granted', 'denied', 'default' or 'unsupported'
+ */
+export const getNotificationPermission = () =>
+    'Notification' in window ? Notification.permission : 'unsupported';
+
+/**
+ * requestNotificationPermission - Asks the browser, resolves to the new permission
+ */
+export const requestNotificationPermission = async () => {
+    if (!('Notification' in window)) return 'unsupported';
+    try {
+        return await Notification.requestPermission();
+    } catch {
+        return Notification.permission;
+    }
+};
+
+/**
+ * showNotification - Shows a desktop notification (if allowed)
+ * Clicking it brings the StackPad tab back into focus.
+ */
+export const showNotification = (title, body) => {
+    if (getNotificationPermission() !== 'granted') return;
+
+    try {
+        const notification = new Notification(title, {
+            body,
+            icon: 'stackpad-icon.png',
+            tag: 'stackpad-timer',   // Replaces an older timer notification instead of stacking
+        });
+        notification.onclick = () => {
+            window.focus();
+            notification.close();
+        };
+    } catch (err) {
+        // Some mobile browsers only allow notifications from a service worker
+        console.error('Failed to show notification:', err);
+    }
+};
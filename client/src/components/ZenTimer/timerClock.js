@@ -0,0 +1,73 @@
+/**
+ * timerClock.js - Reading the Zen Timer from the wall clock
+ *
+ * The timer slice only stores when the running timer ends (endsAt).
+ * useTimeLeft() turns that into "seconds left" and re-renders while running.
+ * Also home to the helpers that turn session history into focus time.
+ */
+
+import { useState, useEffect } from 'react';
+import { useSelector } from 'react-redux';
+import { PRESET_MODES, FOCUS_MODES } from '../../redux/slices/timerSlice';
+
+/**
+ * useTimeLeft - Seconds left on the shared timer, updated while it runs
+ */
+export const useTimeLeft = () => {
+    const { endsAt, remaining } = useSelector((state) => state.timer);
+    // Last clock reading and the run it belongs to
+    const [tick, setTick] = useState(() => ({ endsAt, now: Date.now() }));
+
+    useEffect(() => {
+        if (!endsAt) return;
+        // Tick faster than once a second so the display never skips a second
+        const interval = setInterval(() => setTick({ endsAt, now: Date.now() }), 250);
+        return () => clearInterval(interval);
+    }, [endsAt]);
+
+    if (!endsAt) return remaining;
+    // A reading from before this run (e.g. taken before a pause) is stale;
+    // until the first tick, the run has just started with `remaining` left
+    if (tick.endsAt !== endsAt) return remaining;
+    return Math.min(remaining, Math.max(0, Math.ceil((endsAt - tick.now) / 1000)));
+};
+
+/**
+ * formatTime - Converts seconds to MM:SS or H:MM:SS format
+ */
+export const formatTime = (seconds) => {
+    const hrs = Math.floor(seconds / 3600);
+    const mins = Math.floor((seconds % 3600) / 60);
+    const secs = seconds % 60;
+    if (hrs > 0) {
+        return `${hrs}:${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+    }
+    return `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+};
+
+/**
+ * getModeInfo - Label and accent color for a timer mode (presets or 'custom')
+ */
+export const getModeInfo = (mode) =>
+    PRESET_MODES[mode] || { label: 'Custom Timer', color: 'var(--accent-orange)' };
+
+/**
+ * formatDuration - Seconds as a short human duration ("1h 15m", "25m")
+ */
+export const formatDuration = (seconds) => {
+    const totalMinutes = Math.round(seconds / 60);
+    const hrs = Math.floor(totalMinutes / 60);
+    const mins = totalMinutes % 60;
+    if (hrs > 0) return mins > 0 ? `${hrs}h ${mins}m` : `${hrs}h`;
+    return `${mins}m`;
+};
+
+/**
+ * getTrackedTime - Focus seconds per todo ID, from the session history
+ */
+export const getTrackedTime = (history) => history.reduce((tracked, entry) => {
+    if (entry.todoId != null && FOCUS_MODES.includes(entry.mode)) {
+        tracked[entry.todoId] = (tracked[entry.todoId] || 0) + entry.duration;
+    }
+    return tracked;
+}, {});
@@ -5,12 +5,14 @@
  * - Logo (StackPad branding)
  * - Workspace switcher dropdown
  * - Rotating motivational messages (changes every 30 seconds)
+ * - Zen Timer indicator (while a timer is running or paused)
+ * - Command palette button (same as Ctrl/Cmd+K)
  * - GitHub link (dynamic per workspace)
  * - LinkedIn link (dynamic per user)
  * - Theme toggle (dark/light mode)
  * - User avatar (click to edit profile)
  * 
- * Layout: [Logo | Workspace] [Motivational Message] [GitHub | LinkedIn | Theme | Avatar]
+ * Layout: [Logo | Workspace] [Motivational Message] [Timer | ⌘K | GitHub | LinkedIn | Theme | Avatar]
  */
 
 import { useState, useEffect } from 'react';
@@ -19,6 +21,8 @@ import { toggleTheme } from '../../redux/slices/themeSlice';
 import { toggleProfileModal } from '../../redux/slices/userSlice';
 import { selectCurrentWorkspace } from '../../redux/slices/workspaceSlice';
 import WorkspaceSwitcher from '../WorkspaceSwitcher/WorkspaceSwitcher';
+import TimerIndicator from '../ZenTimer/TimerIndicator';
+import { registerPaletteProvider, sendIntent } from '../CommandPalette/paletteRegistry';
 import './Header.css';
 
 // ============================================
@@ -46,6 +50,27 @@ const MOTIVATIONAL_MESSAGES = [
     { text: "Your dedication is inspiring! 💎", icon: "💎" },
 ];
 
+// Command palette: app-wide actions that live in the header
+registerPaletteProvider('header', ({ state, dispatch }) => [
+    {
+        id: 'action-toggle-theme',
+        group: 'Action',
+        icon: state.theme.mode === 'dark' ? '☀️' : '🌙',
+        label: 'Toggle theme',
+        hint: `Switch to ${state.theme.mode === 'dark' ? 'light' : 'dark'} mode`,
+        keywords: 'dark light mode appearance',
+        run: () => dispatch(toggleTheme()),
+    },
+    {
+        id: 'action-edit-profile',
+        group: 'Action',
+        icon: '👤',
+        label: 'Edit profile',
+        keywords: 'user avatar name linkedin',
+        run: () => dispatch(toggleProfileModal()),
+    },
+]);
+
 export default function Header() {
     const dispatch = useDispatch();
 
@@ -94,6 +119,18 @@ export default function Header() {
 
             {/* ====== RIGHT SECTION: Actions and User ====== */}
             <div className="header-right">
+                {/* Zen Timer - keeps counting down while you browse */}
+                <TimerIndicator />
+
+                {/* Command Palette - also opens with Ctrl/Cmd+K */}
+                <button
+                    className="header-icon-btn palette-btn"
+                    onClick={() => sendIntent('palette/open')}
+                    title="Command palette (Ctrl/Cmd+K)"
+                >
+                    ⌘K
+                </button>
+
                 {/* GitHub Link - Links to the current workspace's repository */}
                 <a
                     href={githubUrl || '#'}
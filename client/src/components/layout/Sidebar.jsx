@@ -14,12 +14,14 @@
  * - onSectionChange: function - Callback to change sections
  */
 
+import { registerPaletteProvider } from '../CommandPalette/paletteRegistry';
 import './Sidebar.css';
 
 // ============================================
 // NAVIGATION ITEMS
 // Each item has an ID (used for routing), label, and emoji icon
 // The ID must match the case values in App.jsx's renderContent()
+// and SECTION_IDS in routing.js (it becomes the URL: #/w/<workspace>/<id>)
 // ============================================
 const NAV_ITEMS = [
     { id: 'dashboard', label: 'Dashboard', icon: '🏠' },  // Main overview page
@@ -32,8 +34,22 @@ const NAV_ITEMS = [
     { id: 'commands', label: 'Commands', icon: '⚡' },    // Command vault
     { id: 'hints', label: 'DevHints', icon: '💡' },       // Developer cheat sheets
     { id: 'slack', label: 'Slack', icon: '💬' },          // Slack Integration
+    { id: 'github', label: 'GitHub', icon: '🐙' },        // Repo activity
+    { id: 'search', label: 'Search', icon: '🔎' },        // Search all workspaces
 ];
 
+// Command palette: "Go to" entries for every section (Settings lives in the footer)
+registerPaletteProvider('navigation', ({ navigate }) =>
+    [...NAV_ITEMS, { id: 'settings', label: 'Settings', icon: '⚙️' }].map((item) => ({
+        id: `nav-${item.id}`,
+        group: 'Go to',
+        icon: item.icon,
+        label: item.label,
+        keywords: item.id,
+        run: () => navigate(item.id),
+    }))
+);
+
 export default function Sidebar({ activeSection, onSectionChange }) {
     return (
         <aside className="sidebar glass-card">
@@ -6,9 +6,12 @@
  * 
  * Features:
  * - Add, update, delete commands
+ * - Bulk import (JSON backups, shell aliases)
  * - Search and filter by category
  * - Mark favorites for quick access
  * - Multi-step commands support
+ * - Remembers the last values used to fill command placeholders
+ * - Tracks how often/recently each command is copied (for search ranking)
  * 
  * State shape:
  * {
@@ -23,6 +26,12 @@
  *       tags: string[]
  *     }
  *   ],
+ *   templateValues: {           // Last placeholder values, keyed by command ID
+ *     [commandId]: { [placeholder]: string }
+ *   },
+ *   copyStats: {                // Copy usage, keyed by command ID
+ *     [commandId]: { count: number, lastCopiedAt: string }
+ *   },
  *   searchQuery: string,        // Current search text
  *   selectedCategory: string,   // Current filter category
  *   showFavoritesOnly: boolean  // Filter toggle
@@ -35,9 +44,33 @@ import { v4 as uuidv4 } from 'uuid';  // Generates unique IDs
 // No sample commands - users add their own
 const sampleCommands = [];
 
-// Initial state with sample commands and default filters
+/**
+ * loadStoredVault - Loads the saved vault from localStorage
+ *
+ * The persistence middleware saves the whole slice under 'stackpad-commands';
+ * only the data is restored here, filters always start fresh.
+ */
+const loadStoredVault = () => {
+    try {
+        const stored = localStorage.getItem('stackpad-commands');
+        const parsed = stored ? JSON.parse(stored) : {};
+        return {
+            commands: Array.isArray(parsed.commands) ? parsed.commands : sampleCommands,
+            templateValues: parsed.templateValues || {},
+            copyStats: parsed.copyStats || {},
+        };
+    } catch {
+        return { commands: sampleCommands, templateValues: {}, copyStats: {} };
+    }
+};
+
+const storedVault = loadStoredVault();
+
+// Initial state with saved commands and default filters
 const initialState = {
-    commands: sampleCommands,
+    commands: storedVault.commands,
+    templateValues: storedVault.templateValues,
+    copyStats: storedVault.copyStats,
     searchQuery: '',           // Empty = show all
     selectedCategory: 'all',   // 'all' shows everything
     showFavoritesOnly: false,  // Show all by default
@@ -48,9 +81,12 @@ const initialState = {
  * 
  * Actions for managing the command vault:
  * - addCommand: Add a new command to the library
+ * - importCommands: Add several commands at once (vault import)
  * - updateCommand: Edit an existing command
  * - deleteCommand: Remove a command
  * - toggleFavorite: Star/unstar a command
+ * - setTemplateValues: Remember placeholder values for a command
+ * - recordCopy: Count a copy of a command (feeds search ranking)
  * - setSearchQuery: Update the search filter text
  * - setSelectedCategory: Filter by category
  * - toggleShowFavorites: Toggle favorites-only view
@@ -68,6 +104,16 @@ const commandsSlice = createSlice({
             });
         },
 
+        // Add a batch of imported commands to the top of the list
+        // Keeps their favorite flag, but always assigns fresh IDs
+        importCommands: (state, action) => {
+            state.commands.unshift(...action.payload.map(cmd => ({
+                ...cmd,
+                id: uuidv4(),
+                isFavorite: !!cmd.isFavorite,
+            })));
+        },
+
         // Update an existing command by ID
         updateCommand: (state, action) => {
             const index = state.commands.findIndex(cmd => cmd.id === action.payload.id);
@@ -80,6 +126,8 @@ const commandsSlice = createSlice({
         // Delete a command by ID
         deleteCommand: (state, action) => {
             state.commands = state.commands.filter(cmd => cmd.id !== action.payload);
+            delete state.templateValues[action.payload];
+            delete state.copyStats[action.payload];
         },
 
         // Toggle the favorite status of a command
@@ -90,6 +138,27 @@ const commandsSlice = createSlice({
             }
         },
 
+        // Remember the placeholder values last used for a command
+        // Payload: { id, values: { placeholder: value } }
+        setTemplateValues: (state, action) => {
+            const { id, values } = action.payload;
+            state.templateValues[id] = { ...state.templateValues[id], ...values };
+        },
+
+        // Count a copy of a command and remember when it happened
+        recordCopy: {
+            reducer: (state, action) => {
+                const { id, copiedAt } = action.payload;
+                const stats = state.copyStats[id] || { count: 0 };
+                state.copyStats[id] = {
+                    count: stats.count + 1,
+                    lastCopiedAt: copiedAt,
+                };
+            },
+            // Copy time is taken here, keeping the reducer pure
+            prepare: (id) => ({ payload: { id, copiedAt: new Date().toISOString() } }),
+        },
+
         // Update the search query for filtering
         setSearchQuery: (state, action) => {
             state.searchQuery = action.payload;
@@ -110,9 +179,12 @@ const commandsSlice = createSlice({
 // Export actions for use in components
 export const {
     addCommand,
+    importCommands,
     updateCommand,
     deleteCommand,
     toggleFavorite,
+    setTemplateValues,
+    recordCopy,
     setSearchQuery,
     setSelectedCategory,
     toggleShowFavorites,
@@ -0,0 +1,349 @@
+/**
+ * timerSlice.js - Zen Timer (Pomodoro) State Management
+ *
+ * The timer lives in Redux (not in the ZenTimer component) so that:
+ * - It keeps running while you browse other sections
+ * - The dashboard widget, the timer page and the header show the same timer
+ * - A reload doesn't kill a running session
+ *
+ * The timer is driven by a wall-clock end timestamp instead of a
+ * "seconds left" counter that ticks down. Components compute the time
+ * left from `endsAt` (see ZenTimer/timerClock.js), so a throttled
+ * background tab or a reload never makes the timer drift.
+ *
+ * Cycle lengths, auto-start and the daily goal are configured per
+ * workspace (edited from Settings); a workspace without its own
+ * settings uses DEFAULT_TIMER_SETTINGS.
+ *
+ * State shape:
+ * {
+ *   mode: string,             // 'work', 'shortBreak', 'longBreak' or 'custom'
+ *   duration: number,         // Length of the current timer in seconds
+ *   endsAt: number | null,    // Timestamp (ms) when the running timer ends, null when stopped
+ *   remaining: number,        // Seconds left while paused/stopped
+ *   workspaceId: string,      // Workspace the timer was started in
+ *   sessions: number,         // Completed focus sessions (drives the long break cadence)
+ *   focusTodo: {              // Todo the focus sessions are spent on (null = none)
+ *     id: number, text: string, workspaceId: string
+ *   } | null,
+ *   pendingLog: {             // Finished focus session waiting to be logged (null = none)
+ *     workspaceId: string, hours: number, content: string, completedAt: string
+ *   } | null,
+ *   settings: {               // Timer settings, keyed by workspace ID
+ *     [workspaceId]: {
+ *       work: number,                     // Focus length (minutes)
+ *       shortBreak: number,               // Short break length (minutes)
+ *       longBreak: number,                // Long break length (minutes)
+ *       sessionsBeforeLongBreak: number,
+ *       autoStartBreaks: boolean,         // Start the break as soon as focus ends
+ *       autoStartFocus: boolean,          // Start the next focus as soon as a break ends
+ *       dailyGoal: number                 // Focus sessions per day (0 = no goal)
+ *     }
+ *   },
+ *   alerts: {                 // How a finished timer gets your attention (all workspaces)
+ *     chime: string,          // Key of CHIMES in ZenTimer/timerAlerts.js
+ *     volume: number,         // 0 - 1
+ *     notifications: boolean, // Desktop notification (needs browser permission)
+ *     titleCountdown: boolean // Show the time left in the tab title
+ *   },
+ *   history: [                // Completed timers, oldest first
+ *     {
+ *       id: number,
+ *       mode: string,
+ *       duration: number,     // Seconds
+ *       workspaceId: string,
+ *       todoId: number,       // Focus target, if any (todo tracked time = sum of its sessions)
+ *       todoText: string,
+ *       completedAt: string   // ISO date
+ *     }
+ *   ]
+ * }
+ */
+
+import { createSlice } from '@reduxjs/toolkit';
+
+// ============================================
+// PRESET TIMER MODES
+// Each mode has a label and accent color
+// (lengths come from the workspace's timer settings)
+// ============================================
+export const PRESET_MODES = {
+    work: { label: 'Focus', color: 'var(--accent-primary)' },
+    shortBreak: { label: 'Short Break', color: 'var(--accent-green)' },
+    longBreak: { label: 'Long Break', color: 'var(--accent-cyan)' },
+};
+
+// Modes that count as focus time (tracked on todos, reported in ProgressStats)
+export const FOCUS_MODES = ['work', 'custom'];
+
+// Classic Pomodoro: 25/5/15, long break after every 4th focus session
+export const DEFAULT_TIMER_SETTINGS = {
+    work: 25,
+    shortBreak: 5,
+    longBreak: 15,
+    sessionsBeforeLongBreak: 4,
+    autoStartBreaks: false,
+    autoStartFocus: false,
+    dailyGoal: 8,
+};
+
+// ============================================
+// NAMED PRESETS
+// One click fills in the cycle lengths in Settings
+// ============================================
+export const TIMER_PRESETS = [
+    { id: 'pomodoro', name: 'Pomodoro', values: { work: 25, shortBreak: 5, longBreak: 15, sessionsBeforeLongBreak: 4 } },
+    { id: '52-17', name: '52/17', values: { work: 52, shortBreak: 17, longBreak: 17, sessionsBeforeLongBreak: 4 } },
+    { id: 'deep-work', name: '90-minute deep work', values: { work: 90, shortBreak: 20, longBreak: 30, sessionsBeforeLongBreak: 2 } },
+    { id: 'short-sprints', name: '15-minute sprints', values: { work: 15, shortBreak: 3, longBreak: 10, sessionsBeforeLongBreak: 4 } },
+];
+
+export const DEFAULT_ALERT_SETTINGS = {
+    chime: 'bell',
+    volume: 0.7,
+    notifications: false,
+    titleCountdown: false,
+};
+
+// Oldest history entries are dropped past this size
+const MAX_HISTORY = 1000;
+
+/**
+ * loadTimer - Restores the saved timer from localStorage
+ *
+ * A timer that was running when the tab closed keeps its end timestamp;
+ * if that moment has already passed, it completes as soon as the app loads.
+ */
+const loadTimer = () => {
+    try {
+        const stored = localStorage.getItem('stackpad-timer');
+        return stored ? JSON.parse(stored) : null;
+    } catch {
+        return null;
+    }
+};
+
+const defaultState = {
+    mode: 'work',
+    duration: DEFAULT_TIMER_SETTINGS.work * 60,
+    endsAt: null,
+    remaining: DEFAULT_TIMER_SETTINGS.work * 60,
+    workspaceId: 'default',
+    sessions: 0,
+    focusTodo: null,
+    pendingLog: null,
+    settings: {},
+    alerts: DEFAULT_ALERT_SETTINGS,
+    history: [],
+};
+
+const storedTimer = loadTimer();
+const initialState = {
+    ...defaultState,
+    ...storedTimer,
+    alerts: { ...DEFAULT_ALERT_SETTINGS, ...storedTimer?.alerts },
+};
+
+/**
+ * getTimerSettings - A workspace's timer settings, filled in with the defaults
+ */
+export const getTimerSettings = (timerState, workspaceId) => ({
+    ...DEFAULT_TIMER_SETTINGS,
+    ...timerState.settings[workspaceId],
+});
+
+// Selector for the current workspace's timer settings
+export const selectTimerSettings = (state) => getTimerSettings(state.timer, state.workspace.currentId);
+
+// Stops the timer and loads a new mode/duration
+const loadMode = (state, mode, seconds) => {
+    state.mode = mode;
+    state.duration = seconds;
+    state.remaining = seconds;
+    state.endsAt = null;
+};
+
+// Stops the timer and loads a preset mode with the workspace's length for it
+const loadPresetMode = (state, mode) => {
+    loadMode(state, mode, getTimerSettings(state, state.workspaceId)[mode] * 60);
+};
+
+// An idle timer that hasn't been started since its mode was loaded
+const isUntouched = (state) => !state.endsAt && state.remaining === state.duration;
+
+/**
+ * Timer Slice
+ *
+ * Actions:
+ * - setMode: Switch to a preset mode for a workspace (stops the timer)
+ * - setCustomDuration: Switch to a custom length in minutes (stops the timer)
+ * - startTimer: Start/resume counting down, remembering the workspace
+ * - pauseTimer: Pause and keep the time left
+ * - resetTimer: Stop and go back to the full duration
+ * - completeTimer: Record the finished timer and move on to the next mode
+ * - syncTimerWorkspace: Let an idle timer follow the active workspace
+ * - setFocusTodo: Pick the todo focus sessions count towards (null to clear)
+ * - dismissPendingLog: Close the "log this session?" prompt
+ * - updateTimerSettings: Change a workspace's timer settings
+ * - updateAlertSettings: Change the chime, volume, notifications or title countdown
+ * - clearHistory: Forget all recorded sessions
+ */
+const timerSlice = createSlice({
+    name: 'timer',
+    initialState,
+    reducers: {
+        setMode: {
+            reducer: (state, action) => {
+                state.workspaceId = action.payload.workspaceId;
+                loadPresetMode(state, action.payload.mode);
+            },
+            prepare: (mode, workspaceId) => ({ payload: { mode, workspaceId } }),
+        },
+
+        setCustomDuration: (state, action) => {
+            loadMode(state, 'custom', action.payload * 60);
+        },
+
+        // The timestamp is taken when the action is created, keeping the reducer pure
+        startTimer: {
+            reducer: (state, action) => {
+                if (state.endsAt) return;
+                state.endsAt = action.payload.now + state.remaining * 1000;
+                state.workspaceId = action.payload.workspaceId;
+            },
+            prepare: (workspaceId) => ({ payload: { workspaceId, now: Date.now() } }),
+        },
+
+        pauseTimer: {
+            reducer: (state, action) => {
+                if (!state.endsAt) return;
+                state.remaining = Math.max(0, Math.ceil((state.endsAt - action.payload.now) / 1000));
+                state.endsAt = null;
+            },
+            prepare: () => ({ payload: { now: Date.now() } }),
+        },
+
+        resetTimer: (state) => {
+            state.endsAt = null;
+            state.remaining = state.duration;
+        },
+
+        // payload: { completedAt } - when the timer actually ended (its endsAt),
+        // which may be well before now if the tab was closed.
+        // Auto-started timers count from now, not from completedAt.
+        // Only completes the run that ended then: a repeated dispatch (e.g. an
+        // effect running twice in StrictMode) is ignored.
+        completeTimer: {
+            reducer: (state, action) => {
+                if (!state.endsAt || state.endsAt !== action.payload.completedAt) return;
+
+                const completedAt = new Date(action.payload.completedAt).toISOString();
+                const isFocus = FOCUS_MODES.includes(state.mode);
+                const todo = isFocus && state.focusTodo?.workspaceId === state.workspaceId ? state.focusTodo : null;
+
+                state.history.push({
+                    id: action.payload.completedAt,
+                    mode: state.mode,
+                    duration: state.duration,
+                    workspaceId: state.workspaceId,
+                    todoId: todo?.id ?? null,
+                    todoText: todo?.text ?? null,
+                    completedAt,
+                });
+                if (state.history.length > MAX_HISTORY) {
+                    state.history.splice(0, state.history.length - MAX_HISTORY);
+                }
+
+                // Offer to turn the focus session into a progress log
+                if (isFocus) {
+                    state.pendingLog = {
+                        workspaceId: state.workspaceId,
+                        hours: Math.round((state.duration / 3600) * 100) / 100,
+                        content: todo ? `Focused on: ${todo.text}` : 'Focus session',
+                        completedAt,
+                    };
+                }
+
+                const settings = getTimerSettings(state, state.workspaceId);
+
+                if (state.mode === 'work') {
+                    // Focus done - take a break (every Nth one is a long break)
+                    state.sessions += 1;
+                    const longBreakDue = state.sessions % Math.max(1, settings.sessionsBeforeLongBreak) === 0;
+                    loadPresetMode(state, longBreakDue ? 'longBreak' : 'shortBreak');
+                    if (settings.autoStartBreaks) {
+                        state.endsAt = action.payload.now + state.duration * 1000;
+                    }
+                } else if (state.mode === 'custom') {
+                    // Custom timers just reset, ready to run again
+                    loadMode(state, 'custom', state.duration);
+                } else {
+                    // Break over - back to focus
+                    loadPresetMode(state, 'work');
+                    if (settings.autoStartFocus) {
+                        state.endsAt = action.payload.now + state.duration * 1000;
+                    }
+                }
+            },
+            prepare: ({ completedAt }) => ({ payload: { completedAt, now: Date.now() } }),
+        },
+
+        // An idle timer nobody has touched switches to the active workspace,
+        // picking up that workspace's cycle lengths
+        syncTimerWorkspace: (state, action) => {
+            if (state.workspaceId === action.payload || !isUntouched(state)) return;
+            state.workspaceId = action.payload;
+            if (state.focusTodo?.workspaceId !== action.payload) state.focusTodo = null;
+            if (state.mode !== 'custom') loadPresetMode(state, state.mode);
+        },
+
+        // payload: { id, text, workspaceId } or null
+        setFocusTodo: (state, action) => {
+            state.focusTodo = action.payload;
+        },
+
+        dismissPendingLog: (state) => {
+            state.pendingLog = null;
+        },
+
+        // payload: { workspaceId, changes } - changes is a partial settings object
+        updateTimerSettings: (state, action) => {
+            const { workspaceId, changes } = action.payload;
+            state.settings[workspaceId] = { ...getTimerSettings(state, workspaceId), ...changes };
+
+            // Show the new length right away if the timer is idle in that workspace
+            if (state.workspaceId === workspaceId && state.mode !== 'custom' && isUntouched(state)) {
+                loadPresetMode(state, state.mode);
+            }
+        },
+
+        // payload: partial alerts object
+        updateAlertSettings: (state, action) => {
+            state.alerts = { ...state.alerts, ...action.payload };
+        },
+
+        clearHistory: (state) => {
+            state.history = [];
+            state.sessions = 0;
+        },
+    },
+});
+
+// Export actions for use in components
+export const {
+    setMode,
+    setCustomDuration,
+    startTimer,
+    pauseTimer,
+    resetTimer,
+    completeTimer,
+    syncTimerWorkspace,
+    setFocusTodo,
+    dismissPendingLog,
+    updateTimerSettings,
+    updateAlertSettings,
+    clearHistory,
+} = timerSlice.actions;
+
+// Export reducer for store configuration
+export default timerSlice.reducer;
@@ -0,0 +1,437 @@
+/**
+ * todosSlice.js - To-Do List State Management
+ *
+ * Manages the per-workspace task lists shown in TodoList.
+ * Saved by the persistence middleware under 'stackpad-todos'.
+ *
+ * Features:
+ * - Add, edit, complete and delete tasks
+ * - Subtasks (one level) with a progress rollup on the parent
+ * - Due dates (optionally with a time), recurrence, free-form tags and notes
+ * - Manual order (the array order is the display order, changed by drag & drop)
+ * - Recurring tasks: completing one spawns the next instance, and an instance
+ *   whose occurrence has passed is renewed for the current period (rollOverRecurring).
+ *   Completed occurrences are kept in habitLog (saved as 'stackpad-todo-habits')
+ *   so streaks survive "Clear completed".
+ * - Kanban board columns per workspace (boards, saved as 'stackpad-todo-boards').
+ *   A task's column is its status; completed tasks are always in the last column.
+ * - GitHub issue sync (syncGitHubIssues): issues become linked tasks,
+ *   closing the issue completes the task
+ *
+ * State shape:
+ * {
+ *   byWorkspace: {
+ *     [workspaceId]: [
+ *       {
+ *         id: number,
+ *         text: string,
+ *         completed: boolean,
+ *         priority: string,      // 'low', 'normal' or 'high'
+ *         dueDate: string|null,  // Local date 'YYYY-MM-DD'
+ *         dueTime: string|null,  // Local time 'HH:MM' (only with a dueDate)
+ *         recurrence: object|null, // See todoUtils.js (daily, weekdays, weekly, monthly)
+ *         seriesId: number|null, // Shared by all instances of a recurring task
+ *         nextId: number|null,   // Instance spawned when this one was completed
+ *         status: string|null,   // Board column ID (null = first column)
+ *         github: { repo: 'owner/repo', number: number, url: string } | null,
+ *         tags: string[],
+ *         notes: string,
+ *         subtasks: [{ id: number, text: string, completed: boolean }],
+ *         createdAt: string,     // ISO date
+ *         completedAt: string|null
+ *       }
+ *     ]
+ *   },
+ *   habitLog: {
+ *     [workspaceId]: { [seriesId]: string[] }  // Completed occurrence dates 'YYYY-MM-DD'
+ *   },
+ *   boards: {
+ *     [workspaceId]: [{ id: string, name: string, wipLimit: number|null }]
+ *   }
+ * }
+ */
+
+import { createSlice } from '@reduxjs/toolkit';
+import { toDateKey, getNextOccurrence } from '../../components/TodoList/todoUtils';
+
+// Old per-workspace keys written by TodoList before todos moved into Redux
+const LEGACY_KEY_PREFIX = 'stackpad-todos-';
+
+/**
+ * normalizeTodo - Fills in the fields older todos don't have yet
+ */
+const normalizeTodo = (todo) => ({
+    priority: 'normal',
+    dueDate: null,
+    dueTime: null,
+    recurrence: null,
+    seriesId: null,
+    nextId: null,
+    status: null,
+    github: null,
+    tags: [],
+    notes: '',
+    subtasks: [],
+    completedAt: null,
+    ...todo,
+});
+
+/**
+ * loadTodos - Loads todos from localStorage
+ *
+ * On first run after the upgrade, the legacy `stackpad-todos-<workspaceId>`
+ * lists are migrated into the new single key and removed.
+ */
+const loadTodos = () => {
+    try {
+        const stored = localStorage.getItem('stackpad-todos');
+        if (stored) return JSON.parse(stored);
+
+        const byWorkspace = {};
+        Object.keys(localStorage)
+            .filter(key => key.startsWith(LEGACY_KEY_PREFIX))
+            .forEach(key => {
+                const todos = JSON.parse(localStorage.getItem(key));
+                if (Array.isArray(todos)) {
+                    byWorkspace[key.slice(LEGACY_KEY_PREFIX.length)] = todos.map(normalizeTodo);
+                }
+            });
+
+        if (Object.keys(byWorkspace).length > 0) {
+            localStorage.setItem('stackpad-todos', JSON.stringify(byWorkspace));
+            Object.keys(byWorkspace).forEach(id => localStorage.removeItem(LEGACY_KEY_PREFIX + id));
+        }
+        return byWorkspace;
+    } catch {
+        return {};
+    }
+};
+
+/**
+ * loadHabitLog - Loads the completed occurrences of recurring tasks
+ */
+const loadHabitLog = () => {
+    try {
+        return JSON.parse(localStorage.getItem('stackpad-todo-habits')) || {};
+    } catch {
+        return {};
+    }
+};
+
+/**
+ * loadBoards - Loads the board columns of each workspace
+ */
+const loadBoards = () => {
+    try {
+        return JSON.parse(localStorage.getItem('stackpad-todo-boards')) || {};
+    } catch {
+        return {};
+    }
+};
+
+// Board columns for workspaces that haven't configured their own
+export const DEFAULT_BOARD_COLUMNS = [
+    { id: 'backlog', name: 'Backlog', wipLimit: null },
+    { id: 'in-progress', name: 'In Progress', wipLimit: 3 },
+    { id: 'review', name: 'Review', wipLimit: null },
+    { id: 'done', name: 'Done', wipLimit: null },
+];
+
+const initialState = {
+    byWorkspace: loadTodos(),
+    habitLog: loadHabitLog(),
+    boards: loadBoards(),
+};
+
+// Finds a todo (or undefined) in a workspace's list
+const findTodo = (state, workspaceId, id) =>
+    state.byWorkspace[workspaceId]?.find(todo => todo.id === id);
+
+// Adds or removes an occurrence date in a series' habit log
+const logOccurrence = (state, workspaceId, seriesId, dateKey, done) => {
+    if (!state.habitLog[workspaceId]) state.habitLog[workspaceId] = {};
+    const dates = (state.habitLog[workspaceId][seriesId] || []).filter(date => date !== dateKey);
+    if (done) dates.push(dateKey);
+    state.habitLog[workspaceId][seriesId] = dates.sort();
+};
+
+// A recurring task as a fresh instance due on dateKey (subtasks unchecked)
+const renewInstance = (todo, dateKey) => ({
+    ...todo,
+    completed: false,
+    completedAt: null,
+    nextId: null,
+    status: null,
+    dueDate: dateKey,
+    subtasks: todo.subtasks.map(subtask => ({ ...subtask, completed: false })),
+});
+
+/**
+ * Todos Slice
+ *
+ * Every action names the workspace it applies to, so todos of another
+ * workspace can be changed too (e.g. from the command palette).
+ *
+ * Actions:
+ * - addTodo: Append a task ({ workspaceId, text, ...fields })
+ * - updateTodo: Change fields of a task ({ workspaceId, id, changes })
+ * - toggleTodo: Complete/uncomplete a task ({ workspaceId, id })
+ * - deleteTodo: Remove a task ({ workspaceId, id })
+ * - clearCompleted: Remove all completed tasks (workspaceId)
+ * - moveTodo: Drag & drop reorder ({ workspaceId, sourceId, targetId })
+ * - addSubtask / toggleSubtask / deleteSubtask: Manage a task's subtasks
+ * - rollOverRecurring: Renew recurring tasks whose occurrence has passed
+ * - moveTodoToColumn: Board drag & drop ({ workspaceId, id, status, beforeId })
+ * - updateBoardColumns: Replace a workspace's board columns ({ workspaceId, columns })
+ * - syncGitHubIssues: Apply fetched issues ({ workspaceId, repo, issues })
+ */
+const todosSlice = createSlice({
+    name: 'todos',
+    initialState,
+    reducers: {
+        addTodo: {
+            reducer: (state, action) => {
+                const { workspaceId, ...todo } = action.payload;
+                if (!state.byWorkspace[workspaceId]) state.byWorkspace[workspaceId] = [];
+                if (todo.recurrence && !todo.seriesId) todo.seriesId = todo.id;
+                state.byWorkspace[workspaceId].push(normalizeTodo(todo));
+            },
+            // ID and creation date are generated here, keeping the reducer pure
+            prepare: ({ workspaceId, ...fields }) => ({
+                payload: {
+                    workspaceId,
+                    id: Date.now(),
+                    completed: false,
+                    createdAt: new Date().toISOString(),
+                    ...fields,
+                },
+            }),
+        },
+
+        updateTodo: (state, action) => {
+            const { workspaceId, id, changes } = action.payload;
+            const todo = findTodo(state, workspaceId, id);
+            if (!todo) return;
+            Object.assign(todo, changes);
+            // Making a task recurring starts a new series
+            if (todo.recurrence && !todo.seriesId) todo.seriesId = todo.id;
+        },
+
+        /**
+         * Completing a recurring task logs the occurrence and appends the next
+         * instance, due on the next occurrence after its due date (or today,
+         * if it was overdue). Un-completing it takes both back, as long as the
+         * next instance hasn't been completed itself.
+         */
+        toggleTodo: {
+            reducer: (state, action) => {
+                const { workspaceId, id, now, today, nextId } = action.payload;
+                const todo = findTodo(state, workspaceId, id);
+                if (!todo) return;
+                todo.completed = !todo.completed;
+                todo.completedAt = todo.completed ? now : null;
+
+                if (!todo.recurrence) return;
+                const occurrence = todo.dueDate || today;
+                logOccurrence(state, workspaceId, todo.seriesId, occurrence, todo.completed);
+
+                if (todo.completed) {
+                    const from = occurrence > today ? occurrence : today;
+                    const next = renewInstance(todo, getNextOccurrence(todo.recurrence, from));
+                    next.id = nextId;
+                    next.createdAt = now;
+                    state.byWorkspace[workspaceId].push(next);
+                    todo.nextId = nextId;
+                } else if (todo.nextId) {
+                    const todos = state.byWorkspace[workspaceId];
+                    state.byWorkspace[workspaceId] = todos.filter(t => t.id !== todo.nextId || t.completed);
+                    todo.nextId = null;
+                }
+            },
+            prepare: ({ workspaceId, id }) => ({
+                payload: {
+                    workspaceId,
+                    id,
+                    now: new Date().toISOString(),
+                    today: toDateKey(),
+                    nextId: Date.now(),
+                },
+            }),
+        },
+
+        deleteTodo: (state, action) => {
+            const { workspaceId, id } = action.payload;
+            const todos = state.byWorkspace[workspaceId];
+            if (todos) state.byWorkspace[workspaceId] = todos.filter(todo => todo.id !== id);
+        },
+
+        clearCompleted: (state, action) => {
+            const todos = state.byWorkspace[action.payload];
+            if (todos) state.byWorkspace[action.payload] = todos.filter(todo => !todo.completed);
+        },
+
+        // Moves sourceId to where targetId is (works on filtered lists too,
+        // because positions are resolved by ID in the full list)
+        moveTodo: (state, action) => {
+            const { workspaceId, sourceId, targetId } = action.payload;
+            const todos = state.byWorkspace[workspaceId];
+            if (!todos || sourceId === targetId) return;
+
+            const from = todos.findIndex(todo => todo.id === sourceId);
+            const to = todos.findIndex(todo => todo.id === targetId);
+            if (from === -1 || to === -1) return;
+
+            const [moved] = todos.splice(from, 1);
+            todos.splice(to, 0, moved);
+        },
+
+        addSubtask: {
+            reducer: (state, action) => {
+                const { workspaceId, todoId, subtask } = action.payload;
+                findTodo(state, workspaceId, todoId)?.subtasks.push(subtask);
+            },
+            prepare: ({ workspaceId, todoId, text }) => ({
+                payload: { workspaceId, todoId, subtask: { id: Date.now(), text, completed: false } },
+            }),
+        },
+
+        toggleSubtask: (state, action) => {
+            const { workspaceId, todoId, subtaskId } = action.payload;
+            const subtask = findTodo(state, workspaceId, todoId)?.subtasks.find(s => s.id === subtaskId);
+            if (subtask) subtask.completed = !subtask.completed;
+        },
+
+        deleteSubtask: (state, action) => {
+            const { workspaceId, todoId, subtaskId } = action.payload;
+            const todo = findTodo(state, workspaceId, todoId);
+            if (todo) todo.subtasks = todo.subtasks.filter(s => s.id !== subtaskId);
+        },
+
+        /**
+         * rollOverRecurring - An open recurring task whose occurrence has passed
+         * becomes a fresh instance for the current period (the missed occurrence
+         * isn't logged, so its streak restarts)
+         */
+        rollOverRecurring: {
+            reducer: (state, action) => {
+                const { today } = action.payload;
+                const isDue = (todo) => todo.recurrence && !todo.completed && todo.dueDate && todo.dueDate < today;
+                // Runs every minute - usually nothing is due, so leave the state untouched
+                if (!Object.values(state.byWorkspace).some(todos => todos.some(isDue))) return;
+
+                Object.values(state.byWorkspace).forEach(todos => {
+                    todos.forEach((todo, index) => {
+                        if (!isDue(todo)) return;
+                        todos[index] = renewInstance(todo, getNextOccurrence(todo.recurrence, today, true));
+                    });
+                });
+            },
+            prepare: () => ({ payload: { today: toDateKey() } }),
+        },
+
+        // Puts a task into a board column, before beforeId (null = end of the list).
+        // Completion is toggled separately (toggleTodo), so recurring tasks still renew.
+        moveTodoToColumn: (state, action) => {
+            const { workspaceId, id, status, beforeId } = action.payload;
+            const todos = state.byWorkspace[workspaceId];
+            const from = todos?.findIndex(todo => todo.id === id);
+            if (from == null || from === -1) return;
+
+            const [moved] = todos.splice(from, 1);
+            moved.status = status;
+            const to = beforeId == null ? -1 : todos.findIndex(todo => todo.id === beforeId);
+            todos.splice(to === -1 ? todos.length : to, 0, moved);
+        },
+
+        updateBoardColumns: (state, action) => {
+            const { workspaceId, columns } = action.payload;
+            state.boards[workspaceId] = columns;
+        },
+
+        /**
+         * syncGitHubIssues - Open issues are added as tasks (or retitled if they
+         * already are), closed issues complete their task. Tasks are never
+         * reopened or deleted by a sync - local changes win.
+         */
+        syncGitHubIssues: {
+            reducer: (state, action) => {
+                const { workspaceId, repo, issues, now, baseId } = action.payload;
+                if (!state.byWorkspace[workspaceId]) state.byWorkspace[workspaceId] = [];
+                const todos = state.byWorkspace[workspaceId];
+
+                issues.forEach((issue, index) => {
+                    const todo = todos.find(t => t.github?.repo === repo && t.github.number === issue.number);
+
+                    if (issue.state === 'closed') {
+                        if (todo && !todo.completed) {
+                            todo.completed = true;
+                            todo.completedAt = issue.closedAt || now;
+                        }
+                    } else if (todo) {
+                        todo.text = issue.title;
+                        todo.github.url = issue.url;
+                    } else {
+                        todos.push(normalizeTodo({
+                            id: baseId + index,
+                            text: issue.title,
+                            completed: false,
+                            createdAt: now,
+                            tags: issue.labels,
+                            github: { repo, number: issue.number, url: issue.url },
+                        }));
+                    }
+                });
+            },
+            prepare: ({ workspaceId, repo, issues }) => ({
+                payload: { workspaceId, repo, issues, now: new Date().toISOString(), baseId: Date.now() },
+            }),
+        },
+    },
+});
+
+// Export actions for use in components
+export const {
+    addTodo,
+    updateTodo,
+    toggleTodo,
+    deleteTodo,
+    clearCompleted,
+    moveTodo,
+    addSubtask,
+    toggleSubtask,
+    deleteSubtask,
+    rollOverRecurring,
+    moveTodoToColumn,
+    updateBoardColumns,
+    syncGitHubIssues,
+} = todosSlice.actions;
+
+// Shared empty list so selectors return a stable reference
+const NO_TODOS = [];
+const NO_HABITS = {};
+
+/**
+ * Selector: selectWorkspaceTodos - A workspace's todos in display order
+ */
+export const selectWorkspaceTodos = (state, workspaceId) =>
+    state.todos.byWorkspace[workspaceId] || NO_TODOS;
+
+/**
+ * Selector: selectCurrentTodos - Todos of the active workspace
+ */
+export const selectCurrentTodos = (state) => selectWorkspaceTodos(state, state.workspace.currentId);
+
+/**
+ * Selector: selectHabitLog - Completed occurrences per series of a workspace
+ */
+export const selectHabitLog = (state, workspaceId) =>
+    state.todos.habitLog[workspaceId] || NO_HABITS;
+
+/**
+ * Selector: selectBoardColumns - A workspace's board columns (or the defaults)
+ */
+export const selectBoardColumns = (state, workspaceId) =>
+    state.todos.boards[workspaceId] || DEFAULT_BOARD_COLUMNS;
+
+// Export reducer for store configuration
+export default todosSlice.reducer;
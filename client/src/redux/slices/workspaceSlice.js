@@ -5,7 +5,8 @@
  * Each workspace has its own:
  * - Name
  * - GitHub URL (for the header link)
- * - Notes (sticky notes)
+ * - Notes (sticky notes), note frames (named groups on the notes canvas)
+ *   and note connectors (labelled arrows between notes)
  * - Logs (check-ins)
  * 
  * This allows users to keep different projects separate.
@@ -20,7 +21,10 @@
  *       name: string,
  *       githubUrl: string,    // Project's GitHub repo URL
  *       notes: array,         // Sticky notes for this workspace
+ *       noteFrames: array,    // Frames grouping notes on the canvas
+ *       noteConnectors: array, // Arrows between notes: { id, from, to, label }
  *       logs: array,          // Check-in logs for this workspace
+ *       logTypes: array,      // Optional custom check-in types: { id, label, icon, color }
  *       createdAt: string     // ISO date string
  *     }
  *   ]
@@ -78,8 +82,14 @@ const initialState = getStoredWorkspaces();
  * - switchWorkspace: Change the active workspace
  * - renameWorkspace: Update workspace name
  * - deleteWorkspace: Remove a workspace (keeps at least one)
- * - updateNotes: Save sticky notes for current workspace
+ * - updateNotes: Save sticky notes for a workspace
+ * - updateNoteFrames: Save note frames for a workspace
+ * - updateNoteConnectors: Save note connectors for a workspace
  * - updateLogs: Save check-in logs for current workspace
+ * - addLog: Add one check-in log to any workspace (e.g. after a focus session)
+ * - updateLog: Change one check-in log of a workspace
+ * - deleteLog: Remove one check-in log from a workspace
+ * - updateLogTypes: Save the check-in types of the current workspace
  */
 const workspaceSlice = createSlice({
     name: 'workspace',
@@ -129,11 +139,33 @@ const workspaceSlice = createSlice({
             }
         },
 
-        // Update sticky notes for the current workspace
+        // Update sticky notes for a workspace
+        // (by ID: a canvas may save while the user is already switching away)
+        // payload: { workspaceId, notes }
         updateNotes: (state, action) => {
-            const workspace = state.workspaces.find(w => w.id === state.currentId);
+            const workspace = state.workspaces.find(w => w.id === action.payload.workspaceId);
+            if (workspace) {
+                workspace.notes = action.payload.notes;
+                saveToStorage(state);
+            }
+        },
+
+        // Update note frames for a workspace
+        // payload: { workspaceId, frames }
+        updateNoteFrames: (state, action) => {
+            const workspace = state.workspaces.find(w => w.id === action.payload.workspaceId);
+            if (workspace) {
+                workspace.noteFrames = action.payload.frames;
+                saveToStorage(state);
+            }
+        },
+
+        // Update note connectors for a workspace
+        // payload: { workspaceId, connectors }
+        updateNoteConnectors: (state, action) => {
+            const workspace = state.workspaces.find(w => w.id === action.payload.workspaceId);
             if (workspace) {
-                workspace.notes = action.payload;
+                workspace.noteConnectors = action.payload.connectors;
                 saveToStorage(state);
             }
         },
@@ -146,6 +178,49 @@ const workspaceSlice = createSlice({
                 saveToStorage(state);
             }
         },
+
+        // Add a single log to a specific workspace (newest first)
+        // payload: { workspaceId, log }
+        addLog: (state, action) => {
+            const { workspaceId, log } = action.payload;
+            const workspace = state.workspaces.find(w => w.id === workspaceId);
+            if (workspace) {
+                workspace.logs = [log, ...(workspace.logs || [])];
+                saveToStorage(state);
+            }
+        },
+
+        // Change fields of one log in a specific workspace
+        // payload: { workspaceId, id, changes }
+        updateLog: (state, action) => {
+            const { workspaceId, id, changes } = action.payload;
+            const workspace = state.workspaces.find(w => w.id === workspaceId);
+            const log = workspace?.logs?.find(l => l.id === id);
+            if (log) {
+                Object.assign(log, changes);
+                saveToStorage(state);
+            }
+        },
+
+        // Remove one log from a specific workspace
+        // payload: { workspaceId, id }
+        deleteLog: (state, action) => {
+            const { workspaceId, id } = action.payload;
+            const workspace = state.workspaces.find(w => w.id === workspaceId);
+            if (workspace) {
+                workspace.logs = (workspace.logs || []).filter(l => l.id !== id);
+                saveToStorage(state);
+            }
+        },
+
+        // Update the check-in types for the current workspace
+        updateLogTypes: (state, action) => {
+            const workspace = state.workspaces.find(w => w.id === state.currentId);
+            if (workspace) {
+                workspace.logTypes = action.payload;
+                saveToStorage(state);
+            }
+        },
     },
 });
 
@@ -156,7 +231,13 @@ export const {
     renameWorkspace,
     deleteWorkspace,
     updateNotes,
+    updateNoteFrames,
+    updateNoteConnectors,
     updateLogs,
+    addLog,
+    updateLog,
+    deleteLog,
+    updateLogTypes,
 } = workspaceSlice.actions;
 
 /**
@@ -27,6 +27,8 @@ import commandsReducer from './slices/commandsSlice';   // Command vault data
 import userReducer from './slices/userSlice';           // User profile info
 import workspaceReducer from './slices/workspaceSlice'; // Workspace management
 import musicReducer from './slices/musicSlice';         // Music player state
+import timerReducer from './slices/timerSlice';         // Zen Timer + session history
+import todosReducer from './slices/todosSlice';         // Per-workspace todo lists
 
 /**
  * Configure and create the Redux store
@@ -37,28 +39,34 @@ import musicReducer from './slices/musicSlice';         // Music player state
  * - state.user     → userReducer
  * - state.workspace → workspaceReducer
  * - state.music    → musicReducer
+ * - state.timer    → timerReducer
+ * - state.todos    → todosReducer
  */
 /**
  * persistenceMiddleware - Centralized Auto-Save
  * 
  * Automatically saves specific slices of state to localStorage
- * whenever an action is dispatched that might change them.
+ * whenever an action changes them. Actions that leave their slice as it
+ * was (e.g. the minutely recurring-todo check) don't write anything.
  * This guarantees data is never lost, even if the browser crashes.
  */
 const persistenceMiddleware = store => next => action => {
+    const prevState = store.getState();
     const result = next(action);
     const state = store.getState();
 
+    // Did this action change the slice? (Redux Toolkit keeps unchanged state as the same object)
+    const changed = (slice) => action.type.startsWith(`${slice}/`) && state[slice] !== prevState[slice];
+
     // Save only what needs persisting
-    // (Debouncing could be added here if performance becomes an issue)
 
     // 1. User Profile
-    if (action.type.startsWith('user/')) {
+    if (changed('user')) {
         localStorage.setItem('stackpad-user', JSON.stringify(state.user.user));
     }
 
     // 2. Workspaces (Notes & Logs)
-    if (action.type.startsWith('workspace/')) {
+    if (changed('workspace')) {
         localStorage.setItem('stackpad-workspaces', JSON.stringify({
             currentId: state.workspace.currentId,
             workspaces: state.workspace.workspaces
@@ -66,15 +74,27 @@ const persistenceMiddleware = store => next => action => {
     }
 
     // 3. Command Vault
-    if (action.type.startsWith('commands/')) {
+    if (changed('commands')) {
         localStorage.setItem('stackpad-commands', JSON.stringify(state.commands));
     }
 
     // 4. Music Playlist
-    if (action.type.startsWith('music/')) {
+    if (changed('music')) {
         localStorage.setItem('stackpad-my-playlist', JSON.stringify(state.music.playlist));
     }
 
+    // 5. Zen Timer (running timer + session history)
+    if (changed('timer')) {
+        localStorage.setItem('stackpad-timer', JSON.stringify(state.timer));
+    }
+
+    // 6. Todos (all workspaces) + completed occurrences of recurring todos + board columns
+    if (changed('todos')) {
+        localStorage.setItem('stackpad-todos', JSON.stringify(state.todos.byWorkspace));
+        localStorage.setItem('stackpad-todo-habits', JSON.stringify(state.todos.habitLog));
+        localStorage.setItem('stackpad-todo-boards', JSON.stringify(state.todos.boards));
+    }
+
     return result;
 };
 
@@ -85,6 +105,8 @@ export const store = configureStore({
         user: userReducer,
         workspace: workspaceReducer,
         music: musicReducer,
+        timer: timerReducer,
+        todos: todosReducer,
     },
     middleware: (getDefaultMiddleware) =>
         getDefaultMiddleware().concat(persistenceMiddleware),
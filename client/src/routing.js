@@ -0,0 +1,90 @@
+/**
+ * routing.js - URL Routing Helpers
+ *
+ * StackPad uses hash-based URLs so deep links work on GitHub Pages
+ * (the `deploy` script publishes a static build with a relative base,
+ * and GitHub Pages can't rewrite unknown paths to index.html):
+ *
+ *   #/w/<workspaceId>/<section>?<filters>
+ *   e.g. #/w/default/todos
+ *        #/w/1712345678901/commands?q=docker
+ *
+ * The workspace and section live in the path, per-section filters
+ * (search text, category, todo filter...) live in the query string.
+ */
+
+import { useCallback } from 'react';
+import { useSearchParams } from 'react-router-dom';
+
+// Every section that can appear in the URL
+// The IDs must match the case values in App.jsx's renderContent()
+export const SECTION_IDS = [
+    'dashboard',
+    'todos',
+    'timer',
+    'music',
+    'notes',
+    'logs',
+    'progress',
+    'commands',
+    'hints',
+    'slack',
+    'github',
+    'search',
+    'settings',
+];
+
+export const DEFAULT_SECTION = 'dashboard';
+
+/**
+ * sectionPath - Builds the route for a section inside a workspace
+ * params: optional query string values, e.g. { q: 'docker' }
+ */
+export const sectionPath = (workspaceId, section = DEFAULT_SECTION, params = {}) => {
+    const query = new URLSearchParams(
+        Object.entries(params).filter(([, value]) => value)
+    ).toString();
+    return `/w/${encodeURIComponent(workspaceId)}/${section}${query ? `?${query}` : ''}`;
+};
+
+/**
+ * useSearchParamState - useState-like hook backed by a URL query parameter
+ *
+ * Updates replace the current history entry (so typing doesn't flood the
+ * back button), but each section visit keeps its own filters for back/forward.
+ * The parameter is removed from the URL when it equals the default value.
+ */
+export const useSearchParamState = (key, defaultValue = '') => {
+    const [searchParams, setSearchParams] = useSearchParams();
+    const value = searchParams.get(key) ?? defaultValue;
+
+    const setValue = useCallback((next) => {
+        setSearchParams((prev) => {
+            const params = new URLSearchParams(prev);
+            if (!next || next === defaultValue) {
+                params.delete(key);
+            } else {
+                params.set(key, next);
+            }
+            return params;
+        }, { replace: true });
+    }, [key, defaultValue, setSearchParams]);
+
+    return [value, setValue];
+};
+
+/**
+ * useClearSearchParams - Returns a function that removes several query parameters at once
+ * (calling several useSearchParamState setters in a row would only keep the last change)
+ */
+export const useClearSearchParams = (keys) => {
+    const [, setSearchParams] = useSearchParams();
+
+    return useCallback(() => {
+        setSearchParams((prev) => {
+            const params = new URLSearchParams(prev);
+            keys.forEach((key) => params.delete(key));
+            return params;
+        }, { replace: true });
+    }, [keys, setSearchParams]);
+};